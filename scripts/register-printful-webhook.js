@@ -0,0 +1,91 @@
+require('dotenv').config();
+const axios = require('axios');
+const { WEBHOOK_EVENTS, signWebhookBody, verifyWebhookSignature } = require('../src/printful-webhooks');
+
+// Usage: node scripts/register-printful-webhook.js [webhook-url]
+//        node scripts/register-printful-webhook.js --check [webhook-url]
+const check = process.argv.includes('--check');
+const url = process.argv.slice(2).find(arg => !arg.startsWith('--')) || 'https://clawyard.dev/api/webhooks/printful';
+const apiKey = process.env.PRINTFUL_API_KEY;
+
+// An event type the receiver acknowledges without touching any order
+function sampleDelivery() {
+  return JSON.stringify({ type: 'webhook_check', occurred_at: new Date().toISOString(), retries: 0, data: {} });
+}
+
+// The secret must sign a delivery the way the receiver verifies it (hex-decoded HMAC key)
+function checkSecretLocally(secret) {
+  if (!/^[0-9a-f]+$/i.test(secret) || secret.length % 2 !== 0) {
+    throw new Error('Webhook secret is not hex - it will not verify Printful v2 signatures');
+  }
+  const body = Buffer.from(sampleDelivery());
+  const previous = process.env.PRINTFUL_WEBHOOK_SECRET;
+  process.env.PRINTFUL_WEBHOOK_SECRET = secret;
+  const verified = verifyWebhookSignature(body, signWebhookBody(body, secret));
+  process.env.PRINTFUL_WEBHOOK_SECRET = previous;
+  if (!verified) {
+    throw new Error('Webhook secret does not verify a signed delivery');
+  }
+}
+
+async function register() {
+  if (!apiKey) {
+    console.error('❌ PRINTFUL_API_KEY is not set');
+    process.exit(1);
+  }
+
+  console.log(`🔗 Registering Printful webhook: ${url}`);
+  console.log(`   Events: ${WEBHOOK_EVENTS.join(', ')}`);
+
+  // v2 webhooks are signed with x-pf-webhook-signature; this replaces the store's existing configuration
+  const response = await axios.post('https://api.printful.com/v2/webhooks', {
+    default_url: url,
+    events: WEBHOOK_EVENTS.map(type => ({ type }))
+  }, {
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+      'User-Agent': 'Clawyard/1.0'
+    }
+  });
+
+  const result = response.data.data || {};
+  console.log('✅ Webhook registered');
+  console.log(JSON.stringify({ ...result, secret_key: result.secret_key ? '<hidden>' : undefined }, null, 2));
+
+  if (!result.secret_key) {
+    console.log('\n⚠️  Printful returned no secret_key - copy it from the Printful dashboard into PRINTFUL_WEBHOOK_SECRET');
+    return;
+  }
+  checkSecretLocally(result.secret_key);
+  console.log('\n✅ The secret verifies a signed delivery. Add it to your environment, then run with --check:');
+  console.log(`PRINTFUL_WEBHOOK_SECRET=${result.secret_key}`);
+}
+
+// Send a signed delivery to the deployed endpoint: a 401 means its PRINTFUL_WEBHOOK_SECRET doesn't match
+async function checkEndpoint() {
+  const secret = process.env.PRINTFUL_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('❌ PRINTFUL_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+  checkSecretLocally(secret);
+
+  const body = sampleDelivery();
+  console.log(`🔎 Sending a signed test delivery to ${url}`);
+  const response = await axios.post(url, body, {
+    headers: { 'Content-Type': 'application/json', 'x-pf-webhook-signature': signWebhookBody(body, secret) },
+    validateStatus: () => true
+  });
+
+  if (response.status !== 200) {
+    console.error(`❌ Endpoint answered ${response.status}:`, response.data);
+    process.exit(1);
+  }
+  console.log('✅ Endpoint verified the signature');
+}
+
+(check ? checkEndpoint() : register()).catch(error => {
+  console.error(`❌ ${check ? 'Webhook check' : 'Failed to register webhook'}:`, error.response?.data || error.message);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+require('dotenv').config();
+
+// Usage: node scripts/sync-printful-catalog.js [--deactivate] [--json]
+const deactivate = process.argv.includes('--deactivate');
+const asJson = process.argv.includes('--json');
+
+// With --json stdout is the report alone, so progress logging goes to stderr
+if (asJson) {
+  console.log = console.error;
+  console.warn = console.error;
+}
+
+const db = require('../src/database');
+const { seedCatalog } = require('../src/catalog');
+const { syncCatalog } = require('../src/catalog-sync');
+
+if (!process.env.PRINTFUL_API_KEY) {
+  console.error('❌ PRINTFUL_API_KEY is not set');
+  process.exit(1);
+}
+
+async function sync() {
+  db.init();
+  // A fresh database starts from config/catalog.json, as the server does at boot
+  seedCatalog();
+  const report = await syncCatalog({ deactivate });
+
+  if (asJson) {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    for (const product of report.products) {
+      console.log(`${product.issues.length > 0 ? '❌' : '✅'} ${product.id}`);
+      for (const variant of product.variants) {
+        const cost = variant.cost === null ? 'cost unknown' : `cost ${variant.cost.toFixed(2)}, margin ${variant.margin.toFixed(2)}`;
+        console.log(`   ${variant.id} (Printful ${variant.printfulVariantId}): price ${variant.price.toFixed(2)}, ${cost}${variant.issues.length > 0 ? ` - ${variant.issues.join(', ')}` : ''}`);
+      }
+    }
+    console.log(`\n${report.problems} of ${report.products.length} products have problems`);
+    if (report.deactivated.length > 0) console.log(`Deactivated: ${report.deactivated.join(', ')}`);
+  }
+
+  // Non-zero exit so a scheduled run can alert
+  process.exitCode = report.problems > 0 ? 2 : 0;
+}
+
+sync().catch(error => {
+  console.error('❌ Catalog sync failed:', error.response?.data || error.message);
+  process.exit(1);
+});
@@ -114,7 +114,7 @@ async function testX402Payment() {
         signature: '0x2d6a7588d6acca505cbf0d9a4a227e0c52c6c34008c8e8986a1283259764173608a2ce6496642e377d6da8dbbf5836e9bd15092f9ecab05ded3d6293af148b571c',
         authorization: {
           from: '0x857b06519E91e3A54538791bDbb0E22373e36b66',
-          to: getClawyard Address(),
+          to: getClawyardAddress(),
           value: '4990000',
           validAfter: Math.floor(Date.now() / 1000) - 60,
           validBefore: Math.floor(Date.now() / 1000) + 300,
@@ -153,7 +153,7 @@ async function testX402Payment() {
   }
 }
 
-function getClawyard Address() {
+function getClawyardAddress() {
   try {
     return fs.readFileSync('/root/.secrets/clawyard-wallet-address', 'utf8').trim();
   } catch (error) {
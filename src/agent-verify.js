@@ -1,5 +1,5 @@
-const { createPublicClient, http, parseAbi } = require('viem');
-const { mainnet } = require('viem/chains');
+const { parseAbi, ContractFunctionRevertedError } = require('viem');
+const { getPublicClient } = require('./providers');
 
 // ERC-8004 Identity Registry on Ethereum mainnet
 const IDENTITY_REGISTRY = '0x8004A169FB4a3325136EB29fA0ceB6D2e539a432';
@@ -10,10 +10,7 @@ const ERC721_ABI = parseAbi([
   'function balanceOf(address owner) view returns (uint256)',
 ]);
 
-const client = createPublicClient({
-  chain: mainnet,
-  transport: http(process.env.ETH_RPC_URL || 'https://eth.llamarpc.com'),
-});
+const client = getPublicClient('ethereum');
 
 /**
  * Verify that a wallet owns a registered ERC-8004 agent
@@ -53,12 +50,13 @@ async function verifyAgent(agentId, walletAddress) {
     };
 
   } catch (error) {
-    // If ownerOf reverts, the token doesn't exist
-    if (error.message?.includes('ERC721') || error.message?.includes('nonexistent token')) {
+    // If ownerOf reverts, the token doesn't exist - anything else is the RPC (already retried across providers)
+    const reverted = typeof error.walk === 'function' && error.walk(e => e instanceof ContractFunctionRevertedError);
+    if (reverted || error.message?.includes('ERC721') || error.message?.includes('nonexistent token')) {
       return { verified: false, error: `Agent #${agentId} does not exist in ERC-8004 registry` };
     }
     console.error('Agent verification error:', error.message);
-    return { verified: false, error: `Verification failed: ${error.message}` };
+    return { verified: false, retryable: true, error: `Verification failed: ${error.message}` };
   }
 }
 
@@ -32,6 +32,7 @@ async function uploadItems(orderId, items) {
     items: items.map(i => ({
       id: i.id,
       name: i.name,
+      ...(i.variant ? { productType: i.productType, variant: i.variant, options: i.options } : {}),
       qty: i.qty,
       price: i.price,
       imageUrl: i.imageUrl || null
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const { verifyMessage, getAddress } = require('viem');
+const { createSiweMessage, generateSiweNonce, parseSiweMessage, validateSiweMessage } = require('viem/siwe');
+const db = require('./database');
+const { NETWORKS } = require('./networks');
+const { getPublicClient } = require('./providers');
+
+// EIP-4361 domain and URI the signed message must name
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || 'clawyard.dev';
+const SIWE_URI = process.env.SIWE_URI || `https://${SIWE_DOMAIN}`;
+const SIWE_STATEMENT = 'Sign in to Clawyard to view and manage your orders.';
+
+// How long a nonce may wait to be signed, and how long the resulting session lasts
+const AUTH_NONCE_TTL_SECONDS = 300;
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL_SECONDS || '3600', 10);
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function networkForChain(chainId) {
+  return Object.values(NETWORKS).find(network => network.chainId === chainId) || null;
+}
+
+/**
+ * Issue a one-time SIWE nonce. With an address, also returns the message to sign.
+ * @param {Object} params - { address?, chainId? } (chainId defaults to Base)
+ * @returns {Object} { nonce, expiresAt, domain, uri, message? } or { status, error }
+ */
+function createAuthChallenge({ address, chainId = NETWORKS.base.chainId } = {}) {
+  if (!networkForChain(chainId)) {
+    return { status: 400, error: `Unsupported chainId ${chainId}` };
+  }
+  if (address && !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    return { status: 400, error: 'Invalid address' };
+  }
+
+  const nonce = generateSiweNonce();
+  const issuedAt = new Date();
+  const expirationTime = new Date(issuedAt.getTime() + AUTH_NONCE_TTL_SECONDS * 1000);
+  db.createAuthNonce(nonce, expirationTime.toISOString());
+
+  const challenge = { nonce, expiresAt: expirationTime.toISOString(), domain: SIWE_DOMAIN, uri: SIWE_URI, chainId };
+  if (address) {
+    challenge.message = createSiweMessage({
+      address: getAddress(address),
+      chainId,
+      domain: SIWE_DOMAIN,
+      uri: SIWE_URI,
+      nonce,
+      version: '1',
+      statement: SIWE_STATEMENT,
+      issuedAt,
+      expirationTime
+    });
+  }
+  return challenge;
+}
+
+/**
+ * Check a signed SIWE message and open a session. EOA signatures are checked
+ * locally; anything else is checked on the message's chain, which covers
+ * EIP-1271 smart-contract wallets (and undeployed EIP-6492 ones).
+ * @param {Object} params - { message, signature }
+ * @returns {Promise<Object>} { token, wallet, chainId, expiresAt } or { status, error }
+ */
+async function verifySiweLogin({ message, signature }) {
+  let parsed;
+  try {
+    parsed = parseSiweMessage(message);
+  } catch (error) {
+    parsed = {};
+  }
+  if (!parsed.address || !parsed.nonce || !parsed.chainId) {
+    return { status: 400, error: 'Malformed SIWE message' };
+  }
+  if (!validateSiweMessage({ message: parsed, domain: SIWE_DOMAIN })) {
+    return { status: 401, error: `Message must be for ${SIWE_DOMAIN} and not expired` };
+  }
+
+  const network = networkForChain(parsed.chainId);
+  if (!network) {
+    return { status: 400, error: `Unsupported chainId ${parsed.chainId}` };
+  }
+
+  let valid = false;
+  try {
+    valid = await verifyMessage({ address: parsed.address, message, signature });
+  } catch (error) {
+    valid = false;
+  }
+  if (!valid) {
+    try {
+      valid = await getPublicClient(network.id).verifySiweMessage({ message, signature, domain: SIWE_DOMAIN, nonce: parsed.nonce });
+    } catch (error) {
+      console.error('SIWE contract signature check failed:', error.message);
+      return { status: 503, error: 'Could not check the wallet signature on-chain, try again shortly' };
+    }
+  }
+  if (!valid) {
+    return { status: 401, error: 'Invalid signature' };
+  }
+
+  // Checked last so a bad signature doesn't burn the nonce
+  if (!db.consumeAuthNonce(parsed.nonce)) {
+    return { status: 401, error: 'Nonce expired or already used - get a new one from GET /api/auth/nonce' };
+  }
+
+  // The message's Expiration Time bounds when it can be exchanged, not the session
+  const expiresAt = new Date(Date.now() + SESSION_TTL_SECONDS * 1000);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const wallet = parsed.address.toLowerCase();
+  db.createSession({ tokenHash: hashToken(token), wallet, chainId: parsed.chainId, expiresAt: expiresAt.toISOString() });
+  console.log(`🔑 Session opened for ${wallet} (chain ${parsed.chainId})`);
+
+  return { token, wallet, chainId: parsed.chainId, expiresAt: expiresAt.toISOString() };
+}
+
+function bearerToken(headers) {
+  const header = headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+}
+
+/**
+ * The wallet of a valid session in `Authorization: Bearer <token>`, if any.
+ * Unlike requireSession, a missing or stale token is not an error.
+ * @param {Object} headers - Request headers
+ * @returns {string|null} Lowercase wallet
+ */
+function sessionWallet(headers = {}) {
+  const token = bearerToken(headers);
+  return token ? db.getSession(hashToken(token))?.wallet || null : null;
+}
+
+/**
+ * Message a wallet signs (EIP-191) to prove it is placing an order without a session
+ * @param {Object} params - { wallet, quoteId }
+ * @returns {string}
+ */
+function orderSignatureMessage({ wallet, quoteId }) {
+  return [
+    'Clawyard order',
+    `Wallet: ${wallet.toLowerCase()}`,
+    `Quote: ${quoteId}`
+  ].join('\n');
+}
+
+/**
+ * Whether the caller controls a wallet: a session for it, or a signature of
+ * orderSignatureMessage for this quote
+ * @param {Object} params - { wallet, quoteId, sessionWallet, signature }
+ * @returns {Promise<boolean>}
+ */
+async function proveWallet({ wallet, quoteId, sessionWallet: signedIn, signature }) {
+  if (!wallet) return false;
+  if (signedIn && signedIn === wallet.toLowerCase()) return true;
+  if (!signature) return false;
+
+  try {
+    return await verifyMessage({ address: wallet, message: orderSignatureMessage({ wallet, quoteId }), signature });
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Express middleware: require `Authorization: Bearer <token>` from POST /api/auth/verify.
+ * Sets req.wallet (lowercase).
+ */
+function requireSession(req, res, next) {
+  const token = bearerToken(req.headers);
+  if (!token) {
+    return res.status(401).json({
+      error: 'Sign-in required',
+      message: 'Get a nonce from GET /api/auth/nonce, sign the SIWE message, exchange it at POST /api/auth/verify and send the token as Authorization: Bearer <token>.'
+    });
+  }
+
+  const session = db.getSession(hashToken(token));
+  if (!session) {
+    return res.status(401).json({ error: 'Session expired or invalid', message: 'Sign in again via GET /api/auth/nonce and POST /api/auth/verify' });
+  }
+
+  req.wallet = session.wallet;
+  next();
+}
+
+/**
+ * Express middleware: require `Authorization: Bearer <ADMIN_API_KEY>` for operator routes
+ */
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ error: 'Admin API disabled', message: 'Set ADMIN_API_KEY to enable it' });
+  }
+
+  const header = req.headers.authorization || '';
+  const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(adminKey);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({ error: 'Admin authentication required' });
+  }
+
+  next();
+}
+
+module.exports = {
+  createAuthChallenge,
+  verifySiweLogin,
+  requireSession,
+  requireAdmin,
+  sessionWallet,
+  orderSignatureMessage,
+  proveWallet,
+  SIWE_DOMAIN,
+  SESSION_TTL_SECONDS
+};
@@ -0,0 +1,124 @@
+const db = require('./database');
+const { refundOrder } = require('./refunds');
+const { enqueueRevocation } = require('./jobs');
+const { cancelShipments } = require('./fulfillment');
+const { isPaid } = require('./order-status');
+
+// Printful hasn't started on these yet ('failed' here means Printful rejected it)
+const CANCELLABLE_STATUSES = ['paid', 'submitted', 'failed'];
+
+/**
+ * Cancel an order for the agent that placed it: stop the Printful order,
+ * mark it cancelled, refund it in full and revoke its EAS receipt.
+ * A failed refund leaves the order cancelled, for the operator to refund.
+ * Nothing is cancelled while any shipment is in production; if Printful
+ * starts on one mid-way, the shipments already cancelled are refunded pro
+ * rata and listed in `partial`.
+ * @param {string} orderId
+ * @param {Object} options - { reason }
+ * @returns {Promise<Object>} { order, refund, refundError, printfulCancelled, partial, attestationRevocation } or { status, error }
+ */
+async function cancelOrder(orderId, { reason } = {}) {
+  const order = db.getOrder(orderId);
+  if (!order) {
+    return { status: 404, error: 'Order not found' };
+  }
+  if (order.status === 'cancelled' || order.status === 'refunded') {
+    return { status: 409, error: `Order is already ${order.status}` };
+  }
+  if (!isPaid(order)) {
+    return { status: 409, error: `Order is ${order.status} - only paid orders can be cancelled` };
+  }
+  if (!CANCELLABLE_STATUSES.includes(order.status)) {
+    return { status: 409, error: `Order is ${order.status} and can no longer be cancelled - contact the store for a refund` };
+  }
+
+  let result;
+  try {
+    result = await cancelShipments(order);
+  } catch (error) {
+    return { status: 502, error: 'Could not reach Printful, so nothing was cancelled - try again shortly' };
+  }
+  if (result.blocked) {
+    return { status: 409, error: 'Printful has already started on this order, so it can no longer be cancelled - contact the store for a refund' };
+  }
+  if (result.partial) {
+    const refunded = await refundCancelledShipments(orderId, result.partial, { actor: 'agent', reason });
+    return {
+      order: db.getOrder(orderId),
+      refund: refunded.refund || null,
+      refundError: refunded.error || null,
+      printfulCancelled: true,
+      partial: { cancelled: result.partial.cancelled, remaining: result.partial.remaining },
+      attestationRevocation: null
+    };
+  }
+
+  const refunded = await closeCancelledOrder(orderId, { actor: 'agent', reason: reason || 'Cancelled by the agent' });
+
+  return {
+    order: db.getOrder(orderId),
+    refund: refunded.refund || null,
+    refundError: refunded.error || null,
+    printfulCancelled: result.cancelled,
+    partial: null,
+    attestationRevocation: 'queued'
+  };
+}
+
+/**
+ * Finish cancelling an order whose Printful orders are all stopped: mark it
+ * cancelled, queue revoking its receipt and refund it in full. A failed
+ * refund leaves it cancelled, for the operator to refund.
+ * @param {string} orderId
+ * @param {Object} options - { actor, reason }
+ * @returns {Promise<Object>} The refundOrder result
+ */
+async function closeCancelledOrder(orderId, { actor, reason }) {
+  // From here a queued or in-flight Printful submission backs off (see submitToPrintful)
+  db.updateOrderStatus(orderId, 'cancelled', { actor, reason });
+  console.log(`🛑 Order ${orderId} cancelled by ${actor === 'agent' ? 'the agent' : actor}`);
+
+  enqueueRevocation(orderId);
+
+  const refunded = await refundOrder(orderId, { scope: 'full', reason, initiatedBy: actor, cancelPrintful: false });
+  if (refunded.error) {
+    console.error(`❌ Order ${orderId} cancelled but not refunded: ${refunded.error}`);
+  }
+  return refunded;
+}
+
+/**
+ * Record that only some of an order's shipments were cancelled and refund
+ * those pro rata. The order keeps its status, since the rest still ship, and
+ * its receipt stands.
+ * @param {string} orderId
+ * @param {Object} partial - { cancelled, remaining, error } shipment positions, from cancelShipments
+ * @param {Object} options - { actor, reason }
+ * @returns {Promise<Object>} The refundOrder result
+ */
+async function refundCancelledShipments(orderId, partial, { actor, reason } = {}) {
+  const order = db.getOrder(orderId);
+  const note = `Partially cancelled: shipment(s) ${partial.cancelled.join(', ')} cancelled, ${partial.remaining.join(', ')} still going out`;
+  db.addOrderEvent(orderId, { from: order.status, to: order.status, actor, reason: partial.error ? `${note} (${partial.error})` : note });
+  console.error(`❌ Order ${orderId} only partly cancelled - shipment(s) ${partial.remaining.join(', ')} still going out`);
+
+  const refunded = await refundOrder(orderId, {
+    scope: 'shipments',
+    positions: partial.cancelled,
+    reason: reason || `Shipment(s) ${partial.cancelled.join(', ')} cancelled`,
+    initiatedBy: actor,
+    cancelPrintful: false
+  });
+  if (refunded.error) {
+    console.error(`❌ Cancelled shipments of order ${orderId} not refunded: ${refunded.error}`);
+  }
+  return refunded;
+}
+
+module.exports = {
+  cancelOrder,
+  closeCancelledOrder,
+  refundCancelledShipments,
+  CANCELLABLE_STATUSES
+};
@@ -0,0 +1,107 @@
+const printfulService = require('./printful');
+const { getCatalog, updateSticker } = require('./catalog');
+const { productVariants } = require('./products');
+const { unitPrice, customStickerPrice, CUSTOM_STICKER_VARIANTS } = require('./pricing');
+
+// Printful can't make these - the variant is broken, not just badly priced
+const UNAVAILABLE_ISSUES = ['missing', 'discontinued', 'out_of_stock'];
+
+/**
+ * Check one of our variants against Printful
+ * @param {Object} variant - Catalog variant (see productVariants)
+ * @param {Map} lookups - Printful variant ID → lookup promise, shared across the run
+ * @returns {Promise<Object>} { id, printfulVariantId, price, cost, margin, issues }
+ */
+async function checkVariant(variant, lookups) {
+  const key = variant.printfulVariantId;
+  if (!lookups.has(key)) lookups.set(key, printfulService.getVariant(key).catch(error => ({ error })));
+  const printful = await lookups.get(key);
+
+  const report = { id: variant.id, printfulVariantId: key, price: variant.price, cost: null, margin: null, issues: [] };
+  if (printful?.error) {
+    report.issues.push('lookup_failed');
+    report.error = printful.error.message;
+    return report;
+  }
+  if (!printful) {
+    report.issues.push('missing');
+    return report;
+  }
+
+  report.cost = parseFloat(printfulService.toUsd(printful.price, printful.currency).toFixed(2));
+  report.margin = parseFloat((variant.price - report.cost).toFixed(2));
+  if (printful.discontinued) report.issues.push('discontinued');
+  else if (!printful.inStock) report.issues.push('out_of_stock');
+  if (report.margin < 0) report.issues.push('negative_margin');
+  return report;
+}
+
+// Turn off the product's unavailable variants, or the whole product when none are left
+function deactivateBroken(product, variantReports) {
+  const broken = variantReports
+    .filter(report => report.issues.some(issue => UNAVAILABLE_ISSUES.includes(issue)))
+    .map(report => report.id);
+  if (broken.length === 0) return [];
+
+  const remaining = productVariants(product).filter(variant => variant.active && !broken.includes(variant.id));
+  if (!product.variants || remaining.length === 0) {
+    updateSticker(product.id, { active: false });
+    return [product.id];
+  }
+
+  updateSticker(product.id, {
+    variants: product.variants.map(variant => (broken.includes(variant.id) ? { ...variant, active: false } : variant))
+  });
+  return broken.map(id => `${product.id}/${id}`);
+}
+
+/**
+ * Check every active catalog product against Printful: the variant exists,
+ * is still made and in stock, and costs us less than we charge.
+ * Custom stickers are checked too, as product 'custom' with a variant per
+ * size; they aren't in the catalog, so they are never deactivated.
+ * Variants sharing a Printful variant ID are looked up once.
+ * @param {Object} options - { deactivate } turns off unavailable variants and products
+ * @returns {Promise<Object>} { checkedAt, stubbed, products, problems, deactivated }
+ */
+async function syncCatalog({ deactivate = false } = {}) {
+  const lookups = new Map();
+  const products = [];
+  const deactivated = [];
+
+  for (const product of getCatalog({ includeInactive: false })) {
+    const variants = [];
+    for (const variant of productVariants(product).filter(v => v.active)) {
+      // Margin on what it sells for, after any category price
+      variants.push(await checkVariant({ ...variant, price: unitPrice(product, variant) }, lookups));
+    }
+
+    const issues = [...new Set(variants.flatMap(variant => variant.issues))];
+    products.push({ id: product.id, name: product.name, issues, variants });
+    if (deactivate) deactivated.push(...deactivateBroken(product, variants));
+  }
+
+  const customVariants = [];
+  for (const [size, printfulVariantId] of Object.entries(CUSTOM_STICKER_VARIANTS)) {
+    customVariants.push(await checkVariant({ id: size, printfulVariantId, price: customStickerPrice() }, lookups));
+  }
+  products.push({ id: 'custom', name: 'Custom Sticker', issues: [...new Set(customVariants.flatMap(variant => variant.issues))], variants: customVariants });
+
+  const problems = products.filter(product => product.issues.length > 0).length;
+  console.log(`🔎 Checked ${products.length} products against Printful: ${problems} with problems${deactivate ? `, ${deactivated.length} deactivated` : ''}`);
+  deactivated.forEach(id => console.warn(`⚠️  Deactivated ${id} - Printful can no longer make it`));
+
+  return {
+    checkedAt: new Date().toISOString(),
+    // Without PRINTFUL_API_KEY every variant looks fine
+    stubbed: !process.env.PRINTFUL_API_KEY,
+    products,
+    problems,
+    deactivated
+  };
+}
+
+module.exports = {
+  syncCatalog,
+  UNAVAILABLE_ISSUES
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./database');
+const { validateCatalogImport } = require('./validation');
+const { productVariants, checkVariants } = require('./products');
+const { unitPrice, fromPrice } = require('./pricing');
+
+// Seed and import format: a JSON array of stickers
+const SEED_PATH = path.join(__dirname, '..', 'config', 'catalog.json');
+
+/**
+ * Load config/catalog.json into an empty catalog, so a fresh database starts with the stickers
+ * @returns {number} Stickers imported (0 if the catalog already had some)
+ */
+function seedCatalog() {
+  if (db.countCatalogItems() > 0) return 0;
+
+  const { error, value } = validateCatalogImport(JSON.parse(fs.readFileSync(SEED_PATH, 'utf8')));
+  if (error) {
+    throw new Error(`Invalid config/catalog.json: ${error.details[0].message}`);
+  }
+  const { imported, error: importError } = importCatalog(value);
+  if (importError) {
+    throw new Error(`Invalid config/catalog.json: ${importError}`);
+  }
+  console.log(`📦 Seeded catalog with ${imported} stickers from config/catalog.json`);
+  return imported;
+}
+
+/**
+ * The stickers, in display order. Read from the database every time, so
+ * admin changes apply to the next request without a restart.
+ * @param {Object} options - { includeInactive }
+ * @returns {Array}
+ */
+function getCatalog({ includeInactive = true } = {}) {
+  return db.getCatalogItems({ activeOnly: !includeInactive });
+}
+
+function getSticker(id) {
+  return db.getCatalogItem(id);
+}
+
+/**
+ * A product as listed by /api/catalog: the catalog-file fields, with every
+ * variant it can be ordered in (a product without variants lists its
+ * 'default' one) at the price it sells for. basePrice is the lowest of them.
+ * @param {Object} product
+ * @returns {Object}
+ */
+function publicSticker({ position, createdAt, updatedAt, ...product }) {
+  return {
+    ...product,
+    basePrice: fromPrice(product),
+    variants: productVariants(product)
+      .filter(variant => variant.active)
+      .map(variant => ({ id: variant.id, options: variant.options, price: unitPrice(product, variant) }))
+  };
+}
+
+// Work out basePrice and printfulVariantId from the variants, once they check out
+function normalizeProduct(product) {
+  const error = checkVariants(product);
+  if (error) return { error: `${product.id}: ${error}` };
+  if (!product.variants) {
+    // Options only mean something as variant choices
+    if (product.options?.length > 0) return { error: `${product.id}: options need variants to choose between` };
+    return { product };
+  }
+
+  const active = product.variants.filter(variant => variant.active);
+  const main = active[0] || product.variants[0];
+  return {
+    product: {
+      ...product,
+      basePrice: Math.min(...(active.length > 0 ? active : product.variants).map(variant => variant.price)),
+      printfulVariantId: main.printfulVariantId
+    }
+  };
+}
+
+/**
+ * Add or replace products in the catalog-file format. Products are positioned in file order.
+ * @param {Array} items - Validated catalog products
+ * @returns {Object} { imported } or { status, error }
+ */
+function importCatalog(items) {
+  const products = [];
+  for (const [index, item] of items.entries()) {
+    const normalized = normalizeProduct(item);
+    if (normalized.error) return { status: 400, error: normalized.error };
+    products.push({ ...normalized.product, position: index + 1 });
+  }
+  return { imported: db.upsertCatalogItems(products) };
+}
+
+/**
+ * Add a product at the end of the catalog
+ * @param {Object} item - Validated catalog product
+ * @returns {Object} { sticker } or { status, error }
+ */
+function createSticker(item) {
+  if (db.getCatalogItem(item.id)) {
+    return { status: 409, error: `Sticker already exists: ${item.id}` };
+  }
+  const normalized = normalizeProduct(item);
+  if (normalized.error) {
+    return { status: 400, error: normalized.error };
+  }
+  db.upsertCatalogItems([normalized.product]);
+  console.log(`🆕 Sticker added to catalog: ${item.id}`);
+  return { sticker: db.getCatalogItem(item.id) };
+}
+
+/**
+ * Change a product. Open quotes keep the price they were given.
+ * @param {string} id
+ * @param {Object} fields - Validated fields to change; `variants: null` drops the variants and options
+ * @returns {Object} { sticker } or { status, error }
+ */
+function updateSticker(id, fields) {
+  const existing = db.getCatalogItem(id);
+  if (!existing) {
+    return { status: 404, error: 'Sticker not found' };
+  }
+  if (fields.basePrice !== undefined && (fields.variants !== undefined ? fields.variants : existing.variants)) {
+    return { status: 400, error: 'basePrice comes from the variant prices - change those instead' };
+  }
+
+  // A product without variants has nothing to choose, so its options go with them
+  const changes = fields.variants === null ? { options: [], ...fields } : fields;
+
+  const normalized = normalizeProduct({ ...existing, ...changes });
+  if (normalized.error) {
+    return { status: 400, error: normalized.error };
+  }
+  db.upsertCatalogItems([normalized.product]);
+  console.log(`✏️  Sticker updated: ${id} (${Object.keys(fields).join(', ')})`);
+  return { sticker: db.getCatalogItem(id) };
+}
+
+/**
+ * Set the display order
+ * @param {string[]} ids - Stickers to put first, in order; the rest follow as they were
+ * @returns {Object} { stickers } or { status, error }
+ */
+function reorderCatalog(ids) {
+  const known = new Set(db.getCatalogItems().map(item => item.id));
+  const unknown = ids.filter(id => !known.has(id));
+  if (unknown.length > 0) {
+    return { status: 400, error: `Unknown stickers: ${unknown.join(', ')}` };
+  }
+  db.reorderCatalogItems(ids);
+  return { stickers: db.getCatalogItems() };
+}
+
+module.exports = {
+  seedCatalog,
+  getCatalog,
+  getSticker,
+  publicSticker,
+  importCatalog,
+  createSticker,
+  updateSticker,
+  reorderCatalog
+};
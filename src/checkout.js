@@ -0,0 +1,129 @@
+const db = require('./database');
+const { enqueueFulfillment } = require('./jobs');
+const { overpaymentCredit } = require('./credit');
+const { PAYMENT_CONFIRMATIONS } = require('./payment');
+const { settleX402Payment } = require('./x402');
+
+// What an order takes from its quote and the order request
+function orderFields({ quote, wallet, agentId, gift, actor }) {
+  return {
+    wallet,
+    items: quote.items,
+    shippingAddress: quote.shippingAddress,
+    shipments: quote.shipments,
+    giftMessage: gift?.giftMessage || quote.giftMessage,
+    giftFrom: gift?.giftFrom || quote.giftFrom,
+    discounts: quote.discounts,
+    totalUSDC: quote.totalUSDC,
+    agentId,
+    quoteId: quote.id,
+    actor
+  };
+}
+
+/**
+ * Record the order for a paid quote and queue fulfilment once the payment is
+ * final. Shared by the order routes and the payment watcher. Printful, Arweave
+ * and EAS run afterwards on the job queue, so this returns before they do.
+ * @param {Object} params
+ * @param {Object} params.quote - Open quote being paid
+ * @param {string} params.wallet - Verified agent wallet
+ * @param {string} params.agentId - ERC-8004 agent ID
+ * @param {Object} params.paymentInfo - Verified payment (verifyPayment / settleX402Payment result)
+ * @param {Object} [params.credit] - applyCredit result; defaults to no credit applied
+ * @param {Object} [params.gift] - { giftMessage, giftFrom } from the order request, each falling back to the quote's
+ * @param {string} [params.actor] - Who placed it, for the order history ('agent', 'watcher' or 'operator')
+ * @returns {Promise<Object>} { orderId, status, printfulOrderId, attestationUID, creditEarned }
+ */
+async function placeOrder({ quote, wallet, agentId, paymentInfo, credit, gift, actor = 'agent' }) {
+  const { applied = 0, amountDue = parseFloat(quote.totalUSDC) } = credit || {};
+  const paymentFinal = paymentInfo.final === true;
+  const creditEarned = overpaymentCredit(paymentInfo.amountUSD, amountDue);
+
+  // Unconfirmed payments wait for the confirmer
+  const orderId = db.createOrder({
+    ...orderFields({ quote, wallet, agentId, gift, actor }),
+    status: paymentFinal ? 'paid' : 'payment_pending',
+    statusReason: paymentInfo.method === 'store-credit'
+      ? 'Paid with store credit'
+      : `Payment ${paymentInfo.transactionHash} on ${paymentInfo.network}${paymentFinal ? '' : ' awaiting confirmations'}`,
+    paymentTxHash: paymentInfo.transactionHash,
+    paymentBlockNumber: paymentInfo.blockNumber,
+    paymentBlockHash: paymentInfo.blockHash,
+    paymentTimestamp: paymentInfo.timestamp,
+    paymentConfirmations: paymentInfo.confirmations,
+    paymentNetwork: paymentInfo.network,
+    paymentToken: paymentInfo.token,
+    paymentAmount: String(paymentInfo.amount),
+    paymentFrom: paymentInfo.from,
+    creditApplied: applied,
+    creditEarned
+  });
+
+  if (paymentInfo.transactionHash) {
+    db.claimOrphanPayments(paymentInfo.transactionHash, orderId);
+  }
+
+  if (!paymentFinal) {
+    console.log(`⏳ Order ${orderId} waiting for ${PAYMENT_CONFIRMATIONS} confirmations`);
+    return { orderId, status: 'payment_pending', printfulOrderId: null, attestationUID: null, creditEarned };
+  }
+
+  // Payment is final - Printful submission and the receipt follow on the job queue
+  enqueueFulfillment(orderId);
+  return { orderId, status: 'paid', printfulOrderId: null, attestationUID: null, creditEarned };
+}
+
+/**
+ * Place an order paid with an x402 authorization. Once the authorization is
+ * verified, and before it settles, the order is recorded as payment_pending
+ * (claiming the quote and any credit), so money never moves without an order
+ * to show for it. A settlement that fails marks the order failed
+ * ('payment_failed'); if no money moved the quote is reopened for a retry.
+ * @param {Object} params - As for placeOrder, with { paymentSignature, paymentRequirements, bindPayer }
+ *   instead of paymentInfo
+ * @returns {Promise<Object>} { paymentInfo, placed } - placed as placeOrder returns it, null unless settled
+ */
+async function placeX402Order({ quote, wallet, agentId, credit, gift, actor = 'agent', paymentSignature, paymentRequirements, bindPayer }) {
+  const { applied = 0, amountDue = parseFloat(quote.totalUSDC) } = credit || {};
+
+  let orderId = null;
+  const paymentInfo = await settleX402Payment(paymentSignature, paymentRequirements, {
+    bindPayer,
+    beforeSettle: async ({ from }) => {
+      orderId = db.createOrder({
+        ...orderFields({ quote, wallet, agentId, gift, actor }),
+        status: 'payment_pending',
+        statusReason: `x402 authorization from ${from}, settling`,
+        paymentFrom: from,
+        creditApplied: applied
+      });
+    }
+  });
+  if (!orderId) return { paymentInfo, placed: null };
+
+  if (!paymentInfo.verified) {
+    db.updateOrderStatus(orderId, 'failed', { actor, failureReason: 'payment_failed', reason: `x402 settlement failed: ${paymentInfo.error}` });
+    db.reverseOrderCredit(orderId);
+    if (paymentInfo.unsettled) db.releaseQuote(quote.id, orderId);
+    const error = paymentInfo.unsettled
+      ? `${paymentInfo.error} - nothing was charged, so retry with a new authorization`
+      : `${paymentInfo.error} - if the authorization settles anyway, order ${orderId} records it; contact the store`;
+    return { paymentInfo: { ...paymentInfo, error, orderId }, placed: null };
+  }
+
+  const creditEarned = overpaymentCredit(paymentInfo.amountUSD, amountDue);
+  db.recordOrderPayment(orderId, { ...paymentInfo, creditEarned });
+  db.claimOrphanPayments(paymentInfo.transactionHash, orderId);
+
+  if (!paymentInfo.final) {
+    console.log(`⏳ Order ${orderId} waiting for ${PAYMENT_CONFIRMATIONS} confirmations`);
+    return { paymentInfo, placed: { orderId, status: 'payment_pending', printfulOrderId: null, attestationUID: null, creditEarned } };
+  }
+
+  db.updateOrderStatus(orderId, 'paid', { actor, reason: `Payment ${paymentInfo.transactionHash} on ${paymentInfo.network}` });
+  enqueueFulfillment(orderId);
+  return { paymentInfo, placed: { orderId, status: 'paid', printfulOrderId: null, attestationUID: null, creditEarned } };
+}
+
+module.exports = { placeOrder, placeX402Order };
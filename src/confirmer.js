@@ -0,0 +1,82 @@
+const db = require('./database');
+const { checkPaymentFinality, PAYMENT_CONFIRMATIONS } = require('./payment');
+const { enqueueFulfillment } = require('./jobs');
+const { confirmSubmittedRefunds } = require('./refunds');
+
+const CONFIRMER_INTERVAL_MS = parseInt(process.env.CONFIRMER_INTERVAL_MS || '15000', 10);
+
+let timer = null;
+let running = false;
+
+/**
+ * Re-check every order waiting on confirmations. Final payments move to
+ * 'paid' and are queued for fulfilment; payments that vanished in a reorg are flagged.
+ * Refund transfers sent but not yet confirmed are settled on the same round.
+ */
+async function confirmPendingPayments() {
+  if (running) return;
+  running = true;
+
+  try {
+    const pending = db.getOrdersByStatus('payment_pending');
+    for (const order of pending) {
+      // An x402 order is recorded before its authorization settles - nothing to check until it has a tx
+      if (!order.txHash) continue;
+      try {
+        const check = await checkPaymentFinality(order.txHash, {
+          blockNumber: order.paymentBlockNumber,
+          blockHash: order.paymentBlockHash
+        }, order.paymentNetwork);
+
+        if (check.state === 'reorged' || check.state === 'failed') {
+          console.warn(`⚠️  Payment for order ${order.id} ${check.state === 'reorged' ? 'was reorged out' : 'failed'} (tx ${order.txHash})`);
+          db.updateOrderStatus(order.id, 'failed', {
+            actor: 'confirmer',
+            failureReason: 'payment_reorged',
+            reason: check.state === 'reorged' ? `Payment ${order.txHash} was reorged out` : `Payment ${order.txHash} failed`
+          });
+          // Credit spent on or earned by this order is no longer backed by a payment
+          db.reverseOrderCredit(order.id);
+          continue;
+        }
+
+        db.updateOrderPayment(order.id, {
+          blockNumber: check.blockNumber ?? order.paymentBlockNumber,
+          blockHash: check.blockHash || order.paymentBlockHash,
+          timestamp: check.timestamp,
+          confirmations: check.confirmations
+        });
+
+        if (check.state === 'final') {
+          console.log(`✅ Payment final for order ${order.id} (${check.confirmations} confirmations)`);
+          db.updateOrderStatus(order.id, 'paid', { actor: 'confirmer', reason: `${check.confirmations} confirmations` });
+          enqueueFulfillment(order.id);
+        }
+      } catch (error) {
+        console.error(`Confirmation check failed for order ${order.id}:`, error.message);
+      }
+    }
+
+    await confirmSubmittedRefunds();
+  } finally {
+    running = false;
+  }
+}
+
+function startConfirmer() {
+  if (timer) return;
+  timer = setInterval(confirmPendingPayments, CONFIRMER_INTERVAL_MS);
+  timer.unref();
+  console.log(`⏳ Payment confirmer running (${PAYMENT_CONFIRMATIONS} confirmations, every ${CONFIRMER_INTERVAL_MS / 1000}s)`);
+}
+
+function stopConfirmer() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  startConfirmer,
+  stopConfirmer,
+  confirmPendingPayments
+};
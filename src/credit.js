@@ -0,0 +1,63 @@
+const db = require('./database');
+
+// Differences smaller than this are not worth a ledger entry (USD)
+const MIN_CREDIT_USD = 0.01;
+
+function roundUsd(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Apply a wallet's store credit to an order total
+ * @param {string} wallet - Agent wallet placing the order
+ * @param {number} totalUSD - Quote total
+ * @returns {Object} { balance, applied, amountDue }
+ */
+function applyCredit(wallet, totalUSD) {
+  const balance = db.getCreditBalance(wallet);
+  const applied = roundUsd(Math.min(Math.max(balance, 0), totalUSD));
+  return { balance, applied, amountDue: roundUsd(totalUSD - applied) };
+}
+
+/**
+ * Credit owed back when a payment exceeds the amount due
+ * @param {number} paidUSD - USD value received
+ * @param {number} amountDueUSD - USD value that was due
+ * @returns {number} Credit to record (0 if none)
+ */
+function overpaymentCredit(paidUSD, amountDueUSD) {
+  const excess = roundUsd(paidUSD - amountDueUSD);
+  return excess >= MIN_CREDIT_USD ? excess : 0;
+}
+
+/**
+ * Credit a final short payment so a top-up transfer can complete the same quote
+ * @param {string} wallet - Agent wallet the payment is bound to
+ * @param {Object} paymentInfo - Insufficient result from verifyPayment
+ * @param {Object} quote - Quote being paid
+ * @returns {Object} { credited, balance, topUp }
+ */
+function creditShortPayment(wallet, paymentInfo, quote) {
+  db.addCreditEntry({
+    wallet,
+    amountUSDC: paymentInfo.amountUSD,
+    reason: 'short_payment',
+    quoteId: quote.id,
+    txHash: paymentInfo.transactionHash
+  });
+  db.claimOrphanPayments(paymentInfo.transactionHash);
+
+  const balance = db.getCreditBalance(wallet);
+  return {
+    credited: paymentInfo.amountUSD,
+    balance,
+    topUp: roundUsd(Math.max(parseFloat(quote.totalUSDC) - balance, 0))
+  };
+}
+
+module.exports = {
+  applyCredit,
+  overpaymentCredit,
+  creditShortPayment,
+  MIN_CREDIT_USD
+};
@@ -1,11 +1,12 @@
 const Database = require('better-sqlite3');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const { assertTransition, LEGACY_STATUSES, ORDER_STATUSES } = require('./order-status');
 
 let db;
 
 function init() {
-  const dbPath = path.join(__dirname, '..', 'data', 'clawyard.db');
+  const dbPath = process.env.DB_PATH ? path.resolve(process.env.DB_PATH) : path.join(__dirname, '..', 'data', 'clawyard.db');
   
   // Ensure data directory exists
   const fs = require('fs');
@@ -36,33 +37,497 @@ function createTables() {
       printful_order_id INTEGER,
       attestation_uid TEXT,
       agent_id TEXT,
-      status TEXT DEFAULT 'pending',
+      status TEXT DEFAULT 'quoted', -- see order-status.js
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )
   `;
   
   db.exec(createOrdersTable);
+
+  // Quotes table - server-priced items + shipping, locked until expiry
+  const createQuotesTable = `
+    CREATE TABLE IF NOT EXISTS quotes (
+      id TEXT PRIMARY KEY,
+      kind TEXT NOT NULL DEFAULT 'catalog', -- 'catalog' or 'custom'
+      items TEXT NOT NULL, -- JSON array of priced line items
+      shipping_address TEXT NOT NULL, -- JSON object
+      shipping_method TEXT NOT NULL,
+      shipping_cost TEXT NOT NULL,
+      subtotal_usdc TEXT NOT NULL,
+      total_usdc TEXT NOT NULL,
+      status TEXT DEFAULT 'open', -- 'open' or 'used'
+      order_id TEXT,
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  db.exec(createQuotesTable);
+
+  // Store credit ledger - one signed row per balance change, balance is the sum per wallet
+  const createCreditLedgerTable = `
+    CREATE TABLE IF NOT EXISTS credit_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      wallet TEXT NOT NULL, -- lowercase
+      amount_usdc TEXT NOT NULL, -- positive = credit earned, negative = credit spent
+      reason TEXT NOT NULL, -- 'overpayment', 'short_payment', 'order_payment', 'orphan_payment', 'refund', 'reversal'
+      order_id TEXT,
+      quote_id TEXT,
+      tx_hash TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  db.exec(createCreditLedgerTable);
+
+  // Incoming transfers the watcher could not turn into an order, for an operator to resolve
+  const createOrphanPaymentsTable = `
+    CREATE TABLE IF NOT EXISTS orphan_payments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      network TEXT NOT NULL,
+      token TEXT NOT NULL,
+      tx_hash TEXT NOT NULL,
+      log_index INTEGER NOT NULL,
+      from_address TEXT NOT NULL,
+      amount TEXT NOT NULL, -- token units, decimal string
+      amount_usd TEXT NOT NULL,
+      block_number INTEGER,
+      quote_id TEXT, -- quote it looked like, if any
+      reason TEXT NOT NULL,
+      status TEXT DEFAULT 'open', -- 'open' or 'resolved'
+      resolution TEXT, -- 'order', 'credit', 'dismissed' or 'claimed'
+      order_id TEXT,
+      note TEXT,
+      resolved_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (tx_hash, log_index)
+    )
+  `;
+
+  db.exec(createOrphanPaymentsTable);
+
+  // Refunds sent back to buyers - an order can have several partial refunds
+  const createRefundsTable = `
+    CREATE TABLE IF NOT EXISTS refunds (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT NOT NULL,
+      amount_usdc TEXT NOT NULL,
+      token_amount TEXT, -- in the refunded token, decimal string
+      network TEXT,
+      token TEXT,
+      to_address TEXT NOT NULL,
+      method TEXT NOT NULL, -- 'onchain' or 'credit'
+      tx_hash TEXT,
+      status TEXT DEFAULT 'pending', -- 'pending', 'submitted' (tx sent, unconfirmed), 'sent' or 'failed'
+      reason TEXT,
+      initiated_by TEXT NOT NULL, -- 'operator', 'agent' or 'printful'
+      error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    )
+  `;
+
+  db.exec(createRefundsTable);
+
+  // Last block the transfer watcher has processed, per network and token
+  const createWatcherCursorsTable = `
+    CREATE TABLE IF NOT EXISTS watcher_cursors (
+      network TEXT NOT NULL,
+      token TEXT NOT NULL,
+      last_block INTEGER NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (network, token)
+    )
+  `;
+
+  db.exec(createWatcherCursorsTable);
+
+  // Order status history - one row per transition, written by updateOrderStatus
+  const createOrderEventsTable = `
+    CREATE TABLE IF NOT EXISTS order_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT NOT NULL,
+      from_status TEXT, -- null for the order's first status
+      to_status TEXT NOT NULL,
+      actor TEXT NOT NULL, -- 'agent', 'operator', 'watcher', 'confirmer', 'fulfillment', 'printful' or 'system'
+      reason TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  db.exec(createOrderEventsTable);
+
+  // Post-payment work (Printful, Arweave, EAS) - one row per order and step, retried until done or dead
+  const createJobsTable = `
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT NOT NULL,
+      type TEXT NOT NULL, -- 'printful_submit', 'arweave_upload', 'eas_attest' or 'eas_revoke'
+      status TEXT DEFAULT 'pending', -- 'pending', 'running', 'done' or 'dead'
+      input TEXT, -- JSON handed to the step
+      result TEXT, -- JSON returned by the step
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER NOT NULL,
+      run_at DATETIME NOT NULL,
+      last_error TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME,
+      UNIQUE (order_id, type)
+    )
+  `;
+
+  db.exec(createJobsTable);
+
+  // Order responses kept for replay, keyed by Idempotency-Key header and/or payment tx hash
+  const createIdempotencyKeysTable = `
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      key TEXT PRIMARY KEY, -- 'key:<Idempotency-Key>' or 'tx:<lowercase tx hash>'
+      request_hash TEXT NOT NULL, -- sha256 of route, body and payment headers
+      status TEXT DEFAULT 'processing', -- 'processing' or 'complete'
+      response_status INTEGER,
+      response_body TEXT, -- JSON
+      response_headers TEXT, -- JSON
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    )
+  `;
+
+  db.exec(createIdempotencyKeysTable);
+
+  // One parcel per recipient - each becomes its own Printful order with its own tracking
+  const createShipmentsTable = `
+    CREATE TABLE IF NOT EXISTS shipments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_id TEXT NOT NULL,
+      position INTEGER NOT NULL, -- 1-based, in the order the quote listed them
+      items TEXT NOT NULL, -- JSON array of priced line items
+      shipping_address TEXT NOT NULL, -- JSON object
+      shipping_method TEXT,
+      shipping_cost TEXT,
+      status TEXT DEFAULT 'pending', -- 'pending', 'submitted', 'in_production', 'shipped', 'delivered', 'failed' or 'cancelled'
+      printful_order_id INTEGER,
+      carrier TEXT,
+      shipping_service TEXT,
+      tracking_number TEXT,
+      tracking_url TEXT,
+      shipped_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (order_id, position)
+    )
+  `;
+
+  db.exec(createShipmentsTable);
+
+  // Sticker catalog, seeded from config/catalog.json and managed through /api/admin/catalog
+  const createCatalogTable = `
+    CREATE TABLE IF NOT EXISTS catalog_items (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT DEFAULT '',
+      category TEXT,
+      image TEXT,
+      printful_variant_id INTEGER NOT NULL,
+      base_price TEXT NOT NULL,
+      active INTEGER NOT NULL DEFAULT 1,
+      position INTEGER NOT NULL DEFAULT 0, -- display order, lowest first
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  db.exec(createCatalogTable);
+
+  // Sign-In-With-Ethereum: one-time nonces, and the bearer sessions they are exchanged for
+  const createAuthNoncesTable = `
+    CREATE TABLE IF NOT EXISTS auth_nonces (
+      nonce TEXT PRIMARY KEY,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  db.exec(createAuthNoncesTable);
+
+  const createSessionsTable = `
+    CREATE TABLE IF NOT EXISTS sessions (
+      token_hash TEXT PRIMARY KEY, -- sha256 of the bearer token, the token itself is never stored
+      wallet TEXT NOT NULL, -- lowercase
+      chain_id INTEGER NOT NULL,
+      expires_at DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  db.exec(createSessionsTable);
+
+  // Printful webhook deliveries already applied, so a retried or replayed one is ignored
+  const createWebhookEventsTable = `
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      event_key TEXT PRIMARY KEY, -- type, Printful order and occurred_at
+      expires_at DATETIME NOT NULL, -- past this the event is too old to be accepted anyway
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  db.exec(createWebhookEventsTable);
+
+  // Columns added after the initial schema
+  addColumnIfMissing('orders', 'quote_id', 'TEXT');
+  addColumnIfMissing('orders', 'payment_block_number', 'INTEGER');
+  addColumnIfMissing('orders', 'payment_block_hash', 'TEXT');
+  addColumnIfMissing('orders', 'payment_timestamp', 'INTEGER');
+  addColumnIfMissing('orders', 'payment_confirmations', 'INTEGER');
+  addColumnIfMissing('orders', 'payment_network', "TEXT DEFAULT 'base'");
+  addColumnIfMissing('orders', 'payment_token', "TEXT DEFAULT 'USDC'");
+  addColumnIfMissing('orders', 'payment_amount', 'TEXT');
+  addColumnIfMissing('orders', 'payment_from', 'TEXT');
+  addColumnIfMissing('orders', 'refund_tx_hash', 'TEXT');
+  addColumnIfMissing('orders', 'refunded_usdc', "TEXT DEFAULT '0'");
+  addColumnIfMissing('quotes', 'fingerprint', 'INTEGER DEFAULT 0');
+  addColumnIfMissing('quotes', 'agent_id', 'TEXT');
+  addColumnIfMissing('quotes', 'payer_wallet', 'TEXT');
+  addColumnIfMissing('quotes', 'shipments', 'TEXT'); // JSON array, multi-recipient quotes only
+  addColumnIfMissing('quotes', 'gift_message', 'TEXT');
+  addColumnIfMissing('quotes', 'gift_from', 'TEXT');
+  addColumnIfMissing('orders', 'gift_message', 'TEXT');
+  addColumnIfMissing('orders', 'gift_from', 'TEXT');
+  addColumnIfMissing('quotes', 'discounts', 'TEXT'); // JSON array of bundle and volume discounts
+  addColumnIfMissing('quotes', 'payer_verified', 'INTEGER DEFAULT 0'); // Quoted with a session for payer_wallet
+  addColumnIfMissing('orders', 'discounts', 'TEXT');
+  addColumnIfMissing('shipments', 'gift_message', 'TEXT'); // Overrides the order's for this recipient
+  addColumnIfMissing('catalog_items', 'product_type', "TEXT DEFAULT 'sticker'");
+  addColumnIfMissing('catalog_items', 'options', 'TEXT'); // JSON array of { name, values }
+  addColumnIfMissing('catalog_items', 'variants', 'TEXT'); // JSON array, null for a single-variant product
+  addColumnIfMissing('orders', 'failure_reason', 'TEXT');
+  addColumnIfMissing('orders', 'carrier', 'TEXT');
+  addColumnIfMissing('orders', 'shipping_service', 'TEXT');
+  addColumnIfMissing('orders', 'tracking_number', 'TEXT');
+  addColumnIfMissing('orders', 'tracking_url', 'TEXT');
+  addColumnIfMissing('orders', 'shipped_at', 'DATETIME');
+  addColumnIfMissing('orders', 'attestation_revoked_at', 'DATETIME');
+  addColumnIfMissing('refunds', 'credit_usdc', 'TEXT'); // Part of amount_usdc returned as store credit
+
+  migrateLegacyStatuses();
+  migrateOrderShipments();
   
   // Create indexes
   db.exec('CREATE INDEX IF NOT EXISTS idx_orders_wallet ON orders(wallet)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_orders_wallet_history ON orders(lower(wallet), created_at, id)');
   db.exec('CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status)');
   db.exec('CREATE INDEX IF NOT EXISTS idx_orders_created ON orders(created_at)');
   db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_tx_hash ON orders(tx_hash) WHERE tx_hash IS NOT NULL');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_credit_wallet ON credit_ledger(wallet)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_orphan_status ON orphan_payments(status)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_refunds_order ON refunds(order_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_order_events_order ON order_events(order_id)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(status, run_at)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_idempotency_created ON idempotency_keys(created_at)');
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_tx_hash ON credit_ledger(tx_hash) WHERE tx_hash IS NOT NULL');
   
   console.log('✅ Database tables created');
 }
 
+// Move orders still on pre-lifecycle statuses ('pending', 'payment_reorged', 'printful_failed') onto it
+function migrateLegacyStatuses() {
+  const update = db.prepare('UPDATE orders SET status = ?, failure_reason = ? WHERE status = ?');
+  const insertEvent = db.prepare(`
+    INSERT INTO order_events (order_id, from_status, to_status, actor, reason)
+    SELECT id, ?, ?, 'system', 'Migrated from legacy status' FROM orders WHERE status = ?
+  `);
+
+  db.transaction(() => {
+    for (const [legacy, { status, failureReason }] of Object.entries(LEGACY_STATUSES)) {
+      insertEvent.run(legacy, status, legacy);
+      const result = update.run(status, failureReason || null, legacy);
+      if (result.changes > 0) {
+        console.log(`📦 Migrated ${result.changes} '${legacy}' orders to '${status}'`);
+      }
+    }
+  })();
+}
+
+function mapCatalogRow(row) {
+  return {
+    id: row.id,
+    productType: row.product_type || 'sticker',
+    name: row.name,
+    description: row.description,
+    category: row.category,
+    image: row.image,
+    printfulVariantId: row.printful_variant_id,
+    active: row.active === 1,
+    basePrice: parseFloat(row.base_price),
+    options: row.options ? JSON.parse(row.options) : [],
+    variants: row.variants ? JSON.parse(row.variants) : null,
+    position: row.position,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function getCatalogItems({ activeOnly = false } = {}) {
+  const stmt = db.prepare(`
+    SELECT * FROM catalog_items ${activeOnly ? 'WHERE active = 1' : ''} ORDER BY position ASC, created_at ASC
+  `);
+
+  try {
+    return stmt.all().map(mapCatalogRow);
+  } catch (error) {
+    console.error('Failed to get catalog items:', error);
+    throw error;
+  }
+}
+
+function getCatalogItem(id) {
+  const stmt = db.prepare('SELECT * FROM catalog_items WHERE id = ?');
+
+  try {
+    const row = stmt.get(id);
+    return row ? mapCatalogRow(row) : null;
+  } catch (error) {
+    console.error('Failed to get catalog item:', error);
+    throw error;
+  }
+}
+
+// Insert or replace catalog items; new ones without a position go to the end
+function upsertCatalogItems(items) {
+  const stmt = db.prepare(`
+    INSERT INTO catalog_items (
+      id, product_type, name, description, category, image, printful_variant_id, base_price, options, variants, active, position
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, (SELECT COALESCE(MAX(position), 0) + 1 FROM catalog_items)))
+    ON CONFLICT(id) DO UPDATE SET
+      product_type = excluded.product_type, name = excluded.name, description = excluded.description,
+      category = excluded.category, image = excluded.image, printful_variant_id = excluded.printful_variant_id,
+      base_price = excluded.base_price, options = excluded.options, variants = excluded.variants, active = excluded.active,
+      position = COALESCE(?, catalog_items.position), updated_at = CURRENT_TIMESTAMP
+  `);
+
+  const upsert = db.transaction(() => {
+    for (const item of items) {
+      const position = item.position ?? null;
+      stmt.run(
+        item.id,
+        item.productType || 'sticker',
+        item.name,
+        item.description || '',
+        item.category || null,
+        item.image || null,
+        item.printfulVariantId,
+        String(item.basePrice),
+        JSON.stringify(item.options || []),
+        item.variants ? JSON.stringify(item.variants) : null,
+        item.active === false ? 0 : 1,
+        position,
+        position
+      );
+    }
+  });
+
+  try {
+    upsert();
+    return items.length;
+  } catch (error) {
+    console.error('Failed to save catalog items:', error);
+    throw error;
+  }
+}
+
+// Put the given ids first, in that order; the rest keep their relative order after them
+function reorderCatalogItems(ids) {
+  const stmt = db.prepare('UPDATE catalog_items SET position = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+
+  const reorder = db.transaction(() => {
+    const rest = getCatalogItems().map(item => item.id).filter(id => !ids.includes(id));
+    [...ids, ...rest].forEach((id, index) => stmt.run(index + 1, id));
+  });
+
+  try {
+    reorder();
+  } catch (error) {
+    console.error('Failed to reorder catalog:', error);
+    throw error;
+  }
+}
+
+function countCatalogItems() {
+  return db.prepare('SELECT COUNT(*) AS count FROM catalog_items').get().count;
+}
+
+// Orders from before shipments get one shipment carrying their Printful order and tracking
+function migrateOrderShipments() {
+  const result = db.prepare(`
+    INSERT INTO shipments (
+      order_id, position, items, shipping_address, shipping_method, shipping_cost, status,
+      printful_order_id, carrier, shipping_service, tracking_number, tracking_url, shipped_at, created_at
+    )
+    SELECT
+      o.id, 1, o.items, o.shipping_address, q.shipping_method, q.shipping_cost,
+      CASE
+        WHEN o.status IN ('shipped', 'delivered', 'cancelled') THEN o.status
+        WHEN o.shipped_at IS NOT NULL THEN 'shipped'
+        WHEN o.status IN ('submitted', 'in_production') THEN o.status
+        WHEN o.status = 'failed' AND o.failure_reason = 'printful_failed' THEN 'failed'
+        WHEN o.printful_order_id IS NOT NULL THEN 'submitted'
+        ELSE 'pending'
+      END,
+      o.printful_order_id, o.carrier, o.shipping_service, o.tracking_number, o.tracking_url, o.shipped_at, o.created_at
+    FROM orders o
+    LEFT JOIN quotes q ON q.id = o.quote_id
+    WHERE NOT EXISTS (SELECT 1 FROM shipments s WHERE s.order_id = o.id)
+  `).run();
+
+  if (result.changes > 0) {
+    console.log(`🔁 Created shipments for ${result.changes} existing orders`);
+  }
+}
+
+// SQLite has no ADD COLUMN IF NOT EXISTS, so check table_info first
+function addColumnIfMissing(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(col => col.name === column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
 function createOrder(orderData) {
   const orderId = uuidv4();
   
   const stmt = db.prepare(`
     INSERT INTO orders (
-      id, wallet, items, shipping_address, total_usdc, agent_id, tx_hash
-    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      id, wallet, items, shipping_address, total_usdc, agent_id, tx_hash, quote_id,
+      status, payment_block_number, payment_block_hash, payment_timestamp, payment_confirmations,
+      payment_network, payment_token, payment_amount, payment_from, gift_message, gift_from, discounts
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
-  try {
+  const insertShipment = db.prepare(`
+    INSERT INTO shipments (order_id, position, items, shipping_address, shipping_method, shipping_cost, gift_message)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const status = orderData.status || 'quoted';
+  assertTransition(null, status, { actor: orderData.actor });
+
+  // Claiming the quote, spending/earning credit and inserting the order must succeed or fail together
+  const insert = db.transaction(() => {
+    if (orderData.quoteId && !claimQuote(orderData.quoteId, orderId)) {
+      throw new Error(`Quote ${orderData.quoteId} has already been used`);
+    }
+    if (orderData.creditApplied > 0) {
+      if (getCreditBalance(orderData.wallet) + 1e-9 < orderData.creditApplied) {
+        throw new Error(`Insufficient store credit for ${orderData.wallet}`);
+      }
+      addCreditEntry({ wallet: orderData.wallet, amountUSDC: -orderData.creditApplied, reason: 'order_payment', orderId, quoteId: orderData.quoteId });
+    }
+    if (orderData.creditEarned > 0) {
+      addCreditEntry({ wallet: orderData.wallet, amountUSDC: orderData.creditEarned, reason: 'overpayment', orderId, quoteId: orderData.quoteId, txHash: orderData.paymentTxHash });
+    }
     stmt.run(
       orderId,
       orderData.wallet,
@@ -70,8 +535,36 @@ function createOrder(orderData) {
       JSON.stringify(orderData.shippingAddress),
       orderData.totalUSDC,
       orderData.agentId || null,
-      orderData.paymentTxHash || null
+      orderData.paymentTxHash || null,
+      orderData.quoteId || null,
+      status,
+      orderData.paymentBlockNumber ?? null,
+      orderData.paymentBlockHash || null,
+      orderData.paymentTimestamp || null,
+      orderData.paymentConfirmations ?? null,
+      orderData.paymentNetwork || 'base',
+      orderData.paymentToken || 'USDC',
+      orderData.paymentAmount || null,
+      orderData.paymentFrom || null,
+      orderData.giftMessage || null,
+      orderData.giftFrom || null,
+      JSON.stringify(orderData.discounts || [])
     );
+    const shipments = orderData.shipments || [{ items: orderData.items, shippingAddress: orderData.shippingAddress }];
+    shipments.forEach((shipment, index) => insertShipment.run(
+      orderId,
+      index + 1,
+      JSON.stringify(shipment.items),
+      JSON.stringify(shipment.shippingAddress),
+      shipment.shippingMethod || null,
+      shipment.shippingCost || null,
+      shipment.giftMessage || null
+    ));
+    addOrderEvent(orderId, { from: null, to: status, actor: orderData.actor || 'system', reason: orderData.statusReason });
+  });
+
+  try {
+    insert();
     
     console.log(`📝 Order created: ${orderId}`);
     return orderId;
@@ -81,6 +574,114 @@ function createOrder(orderData) {
   }
 }
 
+/**
+ * Map an order row, with its shipments. Printful and tracking fields live on
+ * the shipments; the order-level ones mirror a single shipment and are null
+ * when there are several.
+ */
+function mapOrderRow(row) {
+  const shipments = getShipments(row.id);
+  const single = shipments.length === 1 ? shipments[0] : {};
+  return {
+    id: row.id,
+    wallet: row.wallet,
+    items: JSON.parse(row.items),
+    shippingAddress: JSON.parse(row.shipping_address),
+    totalUSDC: row.total_usdc,
+    txHash: row.tx_hash,
+    printfulOrderId: single.printfulOrderId ?? null,
+    attestationUID: row.attestation_uid,
+    attestationRevokedAt: row.attestation_revoked_at,
+    agentId: row.agent_id,
+    giftMessage: row.gift_message,
+    giftFrom: row.gift_from,
+    discounts: row.discounts ? JSON.parse(row.discounts) : [],
+    quoteId: row.quote_id,
+    status: row.status,
+    failureReason: row.failure_reason,
+    paymentBlockNumber: row.payment_block_number,
+    paymentBlockHash: row.payment_block_hash,
+    paymentTimestamp: row.payment_timestamp,
+    paymentConfirmations: row.payment_confirmations,
+    paymentNetwork: row.payment_network,
+    paymentToken: row.payment_token,
+    paymentAmount: row.payment_amount,
+    paymentFrom: row.payment_from,
+    refundTxHash: row.refund_tx_hash,
+    refundedUSDC: row.refunded_usdc || '0',
+    carrier: single.carrier ?? null,
+    shippingService: single.shippingService ?? null,
+    trackingNumber: single.trackingNumber ?? null,
+    trackingUrl: single.trackingUrl ?? null,
+    shippedAt: single.shippedAt ?? null,
+    shipments,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function mapShipmentRow(row) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    position: row.position,
+    items: JSON.parse(row.items),
+    shippingAddress: JSON.parse(row.shipping_address),
+    shippingMethod: row.shipping_method,
+    shippingCost: row.shipping_cost,
+    giftMessage: row.gift_message,
+    status: row.status,
+    printfulOrderId: row.printful_order_id,
+    carrier: row.carrier,
+    shippingService: row.shipping_service,
+    trackingNumber: row.tracking_number,
+    trackingUrl: row.tracking_url,
+    shippedAt: row.shipped_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function getShipments(orderId) {
+  const stmt = db.prepare('SELECT * FROM shipments WHERE order_id = ? ORDER BY position ASC');
+
+  try {
+    return stmt.all(orderId).map(mapShipmentRow);
+  } catch (error) {
+    console.error('Failed to get shipments:', error);
+    throw error;
+  }
+}
+
+// Record the Printful order created for a shipment
+function updateShipmentPrintful(shipmentId, printfulOrderId) {
+  const stmt = db.prepare(`
+    UPDATE shipments
+    SET printful_order_id = ?, status = 'submitted', updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  try {
+    return stmt.run(printfulOrderId, shipmentId).changes > 0;
+  } catch (error) {
+    console.error('Failed to update shipment Printful order ID:', error);
+    throw error;
+  }
+}
+
+function updateShipmentStatus(shipmentId, status) {
+  const stmt = db.prepare(`
+    UPDATE shipments SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `);
+
+  try {
+    return stmt.run(status, shipmentId).changes > 0;
+  } catch (error) {
+    console.error('Failed to update shipment status:', error);
+    throw error;
+  }
+}
+
 function getOrder(orderId) {
   const stmt = db.prepare(`
     SELECT * FROM orders WHERE id = ?
@@ -90,54 +691,111 @@ function getOrder(orderId) {
     const row = stmt.get(orderId);
     if (!row) return null;
     
-    return {
-      id: row.id,
-      wallet: row.wallet,
-      items: JSON.parse(row.items),
-      shippingAddress: JSON.parse(row.shipping_address),
-      totalUSDC: row.total_usdc,
-      txHash: row.tx_hash,
-      printfulOrderId: row.printful_order_id,
-      attestationUID: row.attestation_uid,
-      agentId: row.agent_id,
-      status: row.status,
-      createdAt: row.created_at,
-      updatedAt: row.updated_at
-    };
+    return mapOrderRow(row);
   } catch (error) {
     console.error('Failed to get order:', error);
     throw error;
   }
 }
 
-function updateOrderStatus(orderId, status) {
+/**
+ * Move an order to a new status, enforcing the lifecycle in order-status.js
+ * and recording the change in order_events
+ * @param {string} orderId
+ * @param {string} status - New status
+ * @param {Object} [event] - { actor, reason, failureReason } (failureReason is required for 'failed')
+ * @returns {boolean} false if the order was already in that status
+ */
+function updateOrderStatus(orderId, status, { actor = 'system', reason, failureReason } = {}) {
+  const currentStmt = db.prepare('SELECT status FROM orders WHERE id = ?');
   const stmt = db.prepare(`
     UPDATE orders 
-    SET status = ?, updated_at = CURRENT_TIMESTAMP 
-    WHERE id = ?
+    SET status = ?, failure_reason = ?, updated_at = CURRENT_TIMESTAMP 
+    WHERE id = ? AND status = ?
   `);
+
+  const transition = db.transaction(() => {
+    const current = currentStmt.get(orderId);
+    if (!current) {
+      throw new Error(`Order not found: ${orderId}`);
+    }
+    if (current.status === status) return false;
+
+    assertTransition(current.status, status, { actor, failureReason });
+    stmt.run(status, status === 'failed' ? failureReason : null, orderId, current.status);
+    addOrderEvent(orderId, { from: current.status, to: status, actor, reason });
+    return true;
+  });
   
   try {
-    const result = stmt.run(status, orderId);
-    return result.changes > 0;
+    return transition();
   } catch (error) {
     console.error('Failed to update order status:', error);
     throw error;
   }
 }
 
-function updateOrderPrintful(orderId, printfulOrderId) {
+function addOrderEvent(orderId, { from, to, actor, reason }) {
   const stmt = db.prepare(`
-    UPDATE orders 
-    SET printful_order_id = ?, updated_at = CURRENT_TIMESTAMP 
+    INSERT INTO order_events (order_id, from_status, to_status, actor, reason)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  try {
+    stmt.run(orderId, from, to, actor, reason || null);
+  } catch (error) {
+    console.error('Failed to record order event:', error);
+    throw error;
+  }
+}
+
+function getOrderEvents(orderId) {
+  const stmt = db.prepare(`
+    SELECT * FROM order_events WHERE order_id = ? ORDER BY id ASC
+  `);
+
+  try {
+    return stmt.all(orderId).map(row => ({
+      from: row.from_status,
+      to: row.to_status,
+      actor: row.actor,
+      reason: row.reason,
+      createdAt: row.created_at
+    }));
+  } catch (error) {
+    console.error('Failed to get order events:', error);
+    throw error;
+  }
+}
+
+// Printful shipped a parcel
+function updateShipmentTracking(shipmentId, { carrier, service, trackingNumber, trackingUrl, shippedAt }) {
+  const stmt = db.prepare(`
+    UPDATE shipments
+    SET status = 'shipped', carrier = ?, shipping_service = ?, tracking_number = ?, tracking_url = ?, shipped_at = ?,
+        updated_at = CURRENT_TIMESTAMP
     WHERE id = ?
   `);
-  
+
   try {
-    const result = stmt.run(printfulOrderId, orderId);
+    const result = stmt.run(carrier || null, service || null, trackingNumber || null, trackingUrl || null, shippedAt || null, shipmentId);
     return result.changes > 0;
   } catch (error) {
-    console.error('Failed to update Printful order ID:', error);
+    console.error('Failed to update shipment tracking:', error);
+    throw error;
+  }
+}
+
+// Printful only knows the first characters of our order ID (external_id CLW-xxxxxxxx)
+function getOrdersByIdPrefix(prefix) {
+  const stmt = db.prepare(`
+    SELECT * FROM orders WHERE id LIKE ? ORDER BY created_at ASC LIMIT 10
+  `);
+
+  try {
+    return stmt.all(`${prefix.replace(/[^0-9a-f-]/gi, '')}%`).map(mapOrderRow);
+  } catch (error) {
+    console.error('Failed to get orders by ID prefix:', error);
     throw error;
   }
 }
@@ -145,7 +803,7 @@ function updateOrderPrintful(orderId, printfulOrderId) {
 function updateOrderTxHash(orderId, txHash) {
   const stmt = db.prepare(`
     UPDATE orders 
-    SET tx_hash = ?, status = 'paid', updated_at = CURRENT_TIMESTAMP 
+    SET tx_hash = ?, updated_at = CURRENT_TIMESTAMP 
     WHERE id = ?
   `);
   
@@ -158,6 +816,71 @@ function updateOrderTxHash(orderId, txHash) {
   }
 }
 
+function updateOrderPayment(orderId, payment) {
+  const stmt = db.prepare(`
+    UPDATE orders 
+    SET payment_block_number = ?, payment_block_hash = ?, payment_timestamp = COALESCE(?, payment_timestamp),
+        payment_confirmations = ?, updated_at = CURRENT_TIMESTAMP 
+    WHERE id = ?
+  `);
+  
+  try {
+    const result = stmt.run(
+      payment.blockNumber ?? null,
+      payment.blockHash || null,
+      payment.timestamp || null,
+      payment.confirmations ?? null,
+      orderId
+    );
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Failed to update payment confirmations:', error);
+    throw error;
+  }
+}
+
+/**
+ * Attach a settled payment to an order recorded before it settled, with any
+ * overpayment credit it earned
+ * @returns {boolean} Whether the order was still waiting for its payment
+ */
+function recordOrderPayment(orderId, payment) {
+  const orderStmt = db.prepare('SELECT wallet, quote_id FROM orders WHERE id = ?');
+  const stmt = db.prepare(`
+    UPDATE orders
+    SET tx_hash = ?, payment_block_number = ?, payment_block_hash = ?, payment_timestamp = ?, payment_confirmations = ?,
+        payment_network = ?, payment_token = ?, payment_amount = ?, payment_from = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'payment_pending' AND tx_hash IS NULL
+  `);
+
+  const record = db.transaction(() => {
+    const updated = stmt.run(
+      payment.transactionHash,
+      payment.blockNumber ?? null,
+      payment.blockHash || null,
+      payment.timestamp || null,
+      payment.confirmations ?? null,
+      payment.network,
+      payment.token,
+      String(payment.amount),
+      payment.from || null,
+      orderId
+    ).changes > 0;
+    if (updated && payment.creditEarned > 0) {
+      const order = orderStmt.get(orderId);
+      addCreditEntry({ wallet: order.wallet, amountUSDC: payment.creditEarned, reason: 'overpayment', orderId, quoteId: order.quote_id, txHash: payment.transactionHash });
+    }
+    return updated;
+  });
+
+  try {
+    return record();
+  } catch (error) {
+    console.error('Failed to record order payment:', error);
+    throw error;
+  }
+}
+
 function updateOrderAttestation(orderId, attestationUID) {
   const stmt = db.prepare(`
     UPDATE orders 
@@ -174,32 +897,81 @@ function updateOrderAttestation(orderId, attestationUID) {
   }
 }
 
-function getOrdersByWallet(wallet, limit = 10) {
+/**
+ * A wallet's orders, newest first. Pages by keyset: pass the createdAt and id
+ * of the last order seen as `before` to get the next page.
+ * @param {string} wallet
+ * @param {Object} options - { limit, statuses, agentId, createdFrom, createdTo, before: { createdAt, id } }
+ * @returns {Array}
+ */
+// The order's EAS receipt was revoked on-chain
+function markAttestationRevoked(orderId) {
+  const stmt = db.prepare(`
+    UPDATE orders
+    SET attestation_revoked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  try {
+    return stmt.run(orderId).changes > 0;
+  } catch (error) {
+    console.error('Failed to mark attestation revoked:', error);
+    throw error;
+  }
+}
+
+function getOrdersByWallet(wallet, { limit = 10, statuses, agentId, createdFrom, createdTo, before } = {}) {
+  const where = ['lower(wallet) = ?'];
+  const params = [wallet.toLowerCase()];
+
+  if (statuses?.length) {
+    where.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  if (agentId) {
+    where.push('agent_id = ?');
+    params.push(agentId);
+  }
+  if (createdFrom) {
+    where.push('created_at >= ?');
+    params.push(createdFrom);
+  }
+  if (createdTo) {
+    where.push('created_at < ?');
+    params.push(createdTo);
+  }
+  if (before) {
+    where.push('(created_at < ? OR (created_at = ? AND id < ?))');
+    params.push(before.createdAt, before.createdAt, before.id);
+  }
+
+  const stmt = db.prepare(`
+    SELECT * FROM orders
+    WHERE ${where.join(' AND ')}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `);
+
+  try {
+    return stmt.all(...params, limit).map(mapOrderRow);
+  } catch (error) {
+    console.error('Failed to get orders by wallet:', error);
+    throw error;
+  }
+}
+
+function getOrdersByStatus(status, limit = 100) {
   const stmt = db.prepare(`
     SELECT * FROM orders 
-    WHERE wallet = ? 
-    ORDER BY created_at DESC 
+    WHERE status = ? 
+    ORDER BY created_at ASC 
     LIMIT ?
   `);
   
   try {
-    const rows = stmt.all(wallet, limit);
-    return rows.map(row => ({
-      id: row.id,
-      wallet: row.wallet,
-      items: JSON.parse(row.items),
-      shippingAddress: JSON.parse(row.shipping_address),
-      totalUSDC: row.total_usdc,
-      txHash: row.tx_hash,
-      printfulOrderId: row.printful_order_id,
-      attestationUID: row.attestation_uid,
-      agentId: row.agent_id,
-      status: row.status,
-      createdAt: row.created_at,
-      updatedAt: row.updated_at
-    }));
+    return stmt.all(status, limit).map(mapOrderRow);
   } catch (error) {
-    console.error('Failed to get orders by wallet:', error);
+    console.error('Failed to get orders by status:', error);
     throw error;
   }
 }
@@ -207,16 +979,21 @@ function getOrdersByWallet(wallet, limit = 10) {
 function getStats() {
   try {
     const totalOrders = db.prepare('SELECT COUNT(*) as count FROM orders').get();
-    const totalRevenue = db.prepare('SELECT SUM(CAST(total_usdc AS REAL)) as revenue FROM orders WHERE status != "pending"').get();
+    // Revenue counts paid orders only - not unpaid ones, payments lost to a reorg or x402 payments that never settled
+    const totalRevenue = db.prepare(`
+      SELECT SUM(CAST(total_usdc AS REAL) - CAST(COALESCE(refunded_usdc, '0') AS REAL)) as revenue FROM orders
+      WHERE status NOT IN ('quoted', 'payment_pending') AND COALESCE(failure_reason, '') NOT IN ('payment_reorged', 'payment_failed')
+    `).get();
     const ordersByStatus = db.prepare('SELECT status, COUNT(*) as count FROM orders GROUP BY status').all();
     
     return {
       totalOrders: totalOrders.count,
       totalRevenue: totalRevenue.revenue || 0,
+      // Every lifecycle status, including those with no orders
       ordersByStatus: ordersByStatus.reduce((acc, row) => {
         acc[row.status] = row.count;
         return acc;
-      }, {})
+      }, Object.fromEntries(ORDER_STATUSES.map(status => [status, 0])))
     };
   } catch (error) {
     console.error('Failed to get stats:', error);
@@ -240,16 +1017,976 @@ function getOrderByTxHash(txHash) {
   return stmt.get(txHash) || null;
 }
 
+function createQuote(quoteData) {
+  const quoteId = uuidv4();
+
+  const stmt = db.prepare(`
+    INSERT INTO quotes (
+      id, kind, items, shipping_address, shipping_method, shipping_cost,
+      subtotal_usdc, total_usdc, expires_at, fingerprint, agent_id, payer_wallet, shipments,
+      gift_message, gift_from, discounts, payer_verified
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  try {
+    stmt.run(
+      quoteId,
+      quoteData.kind || 'catalog',
+      JSON.stringify(quoteData.items),
+      JSON.stringify(quoteData.shippingAddress),
+      quoteData.shippingMethod,
+      quoteData.shippingCost,
+      quoteData.subtotalUSDC,
+      quoteData.totalUSDC,
+      quoteData.expiresAt,
+      quoteData.fingerprint || 0,
+      quoteData.agentId || null,
+      quoteData.payerWallet || null,
+      quoteData.shipments ? JSON.stringify(quoteData.shipments) : null,
+      quoteData.giftMessage || null,
+      quoteData.giftFrom || null,
+      JSON.stringify(quoteData.discounts || []),
+      quoteData.payerVerified ? 1 : 0
+    );
+
+    console.log(`🧾 Quote created: ${quoteId}`);
+    return quoteId;
+  } catch (error) {
+    console.error('Failed to create quote:', error);
+    throw error;
+  }
+}
+
+// Single-address quotes read as one shipment, so callers can always iterate `shipments`
+function mapQuoteRow(row) {
+  const items = JSON.parse(row.items);
+  const shippingAddress = JSON.parse(row.shipping_address);
+  return {
+    id: row.id,
+    kind: row.kind,
+    items,
+    shippingAddress,
+    shipments: row.shipments
+      ? JSON.parse(row.shipments)
+      : [{ items, shippingAddress, shippingMethod: row.shipping_method, shippingCost: row.shipping_cost }],
+    shippingMethod: row.shipping_method,
+    shippingCost: row.shipping_cost,
+    subtotalUSDC: row.subtotal_usdc,
+    totalUSDC: row.total_usdc,
+    fingerprint: row.fingerprint || 0,
+    agentId: row.agent_id,
+    payerWallet: row.payer_wallet,
+    payerVerified: row.payer_verified === 1,
+    giftMessage: row.gift_message,
+    giftFrom: row.gift_from,
+    discounts: row.discounts ? JSON.parse(row.discounts) : [],
+    status: row.status,
+    orderId: row.order_id,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at
+  };
+}
+
+function getQuote(quoteId) {
+  const stmt = db.prepare('SELECT * FROM quotes WHERE id = ?');
+
+  try {
+    const row = stmt.get(quoteId);
+    if (!row) return null;
+
+    return mapQuoteRow(row);
+  } catch (error) {
+    console.error('Failed to get quote:', error);
+    throw error;
+  }
+}
+
+// Open quotes that expire after the cutoff (ISO string)
+function getOpenQuotes(expiresAfter) {
+  const stmt = db.prepare(`
+    SELECT * FROM quotes
+    WHERE status = 'open' AND expires_at > ?
+    ORDER BY created_at ASC
+  `);
+
+  try {
+    return stmt.all(expiresAfter).map(mapQuoteRow);
+  } catch (error) {
+    console.error('Failed to get open quotes:', error);
+    throw error;
+  }
+}
+
+function isFingerprintInUse(fingerprint, expiresAfter) {
+  const stmt = db.prepare(`
+    SELECT 1 FROM quotes
+    WHERE status = 'open' AND fingerprint = ? AND expires_at > ?
+  `);
+  return !!stmt.get(fingerprint, expiresAfter);
+}
+
+function mapCreditRow(row) {
+  return {
+    id: row.id,
+    wallet: row.wallet,
+    amountUSDC: row.amount_usdc,
+    reason: row.reason,
+    orderId: row.order_id,
+    quoteId: row.quote_id,
+    txHash: row.tx_hash,
+    createdAt: row.created_at
+  };
+}
+
+function addCreditEntry(entry) {
+  const stmt = db.prepare(`
+    INSERT INTO credit_ledger (wallet, amount_usdc, reason, order_id, quote_id, tx_hash)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  try {
+    const result = stmt.run(
+      entry.wallet.toLowerCase(),
+      Number(entry.amountUSDC).toFixed(2),
+      entry.reason,
+      entry.orderId || null,
+      entry.quoteId || null,
+      entry.txHash || null
+    );
+    console.log(`💳 Credit ${entry.reason}: ${Number(entry.amountUSDC).toFixed(2)} for ${entry.wallet}`);
+    return result.lastInsertRowid;
+  } catch (error) {
+    console.error('Failed to add credit entry:', error);
+    throw error;
+  }
+}
+
+function getCreditBalance(wallet) {
+  const stmt = db.prepare('SELECT SUM(CAST(amount_usdc AS REAL)) as balance FROM credit_ledger WHERE wallet = ?');
+
+  try {
+    const row = stmt.get(wallet.toLowerCase());
+    return Math.round((row.balance || 0) * 100) / 100;
+  } catch (error) {
+    console.error('Failed to get credit balance:', error);
+    throw error;
+  }
+}
+
+function getCreditEntries(wallet, limit = 50) {
+  const stmt = db.prepare(`
+    SELECT * FROM credit_ledger
+    WHERE wallet = ?
+    ORDER BY id DESC
+    LIMIT ?
+  `);
+
+  try {
+    return stmt.all(wallet.toLowerCase(), limit).map(mapCreditRow);
+  } catch (error) {
+    console.error('Failed to get credit entries:', error);
+    throw error;
+  }
+}
+
+function getCreditByTxHash(txHash) {
+  const stmt = db.prepare('SELECT * FROM credit_ledger WHERE tx_hash = ?');
+  const row = stmt.get(txHash);
+  return row ? mapCreditRow(row) : null;
+}
+
+// Undo every credit movement tied to an order (e.g. its payment was reorged out)
+function reverseOrderCredit(orderId) {
+  const stmt = db.prepare(`
+    SELECT wallet, SUM(CAST(amount_usdc AS REAL)) as net FROM credit_ledger
+    WHERE order_id = ?
+    GROUP BY wallet
+  `);
+
+  try {
+    for (const row of stmt.all(orderId)) {
+      if (Math.abs(row.net) >= 0.005) {
+        addCreditEntry({ wallet: row.wallet, amountUSDC: -row.net, reason: 'reversal', orderId });
+      }
+    }
+  } catch (error) {
+    console.error('Failed to reverse order credit:', error);
+    throw error;
+  }
+}
+
+function mapOrphanRow(row) {
+  return {
+    id: row.id,
+    network: row.network,
+    token: row.token,
+    txHash: row.tx_hash,
+    logIndex: row.log_index,
+    from: row.from_address,
+    amount: row.amount,
+    amountUSD: row.amount_usd,
+    blockNumber: row.block_number,
+    quoteId: row.quote_id,
+    reason: row.reason,
+    status: row.status,
+    resolution: row.resolution,
+    orderId: row.order_id,
+    note: row.note,
+    resolvedAt: row.resolved_at,
+    createdAt: row.created_at
+  };
+}
+
+// Queue an unmatched transfer. Returns false if it was already queued.
+function addOrphanPayment(orphan) {
+  const stmt = db.prepare(`
+    INSERT OR IGNORE INTO orphan_payments (
+      network, token, tx_hash, log_index, from_address, amount, amount_usd, block_number, quote_id, reason
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  try {
+    const result = stmt.run(
+      orphan.network,
+      orphan.token,
+      orphan.txHash,
+      orphan.logIndex,
+      orphan.from,
+      orphan.amount,
+      orphan.amountUSD,
+      orphan.blockNumber ?? null,
+      orphan.quoteId || null,
+      orphan.reason
+    );
+    if (result.changes > 0) {
+      console.warn(`👻 Orphan payment ${orphan.txHash}: ${orphan.reason}`);
+    }
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Failed to add orphan payment:', error);
+    throw error;
+  }
+}
+
+function getOrphanPayment(id) {
+  const stmt = db.prepare('SELECT * FROM orphan_payments WHERE id = ?');
+  const row = stmt.get(id);
+  return row ? mapOrphanRow(row) : null;
+}
+
+function isOrphanPayment(txHash, logIndex) {
+  const stmt = db.prepare('SELECT 1 FROM orphan_payments WHERE tx_hash = ? AND log_index = ?');
+  return !!stmt.get(txHash, logIndex);
+}
+
+function getOrphanPayments(status = 'open', limit = 100) {
+  const stmt = db.prepare(`
+    SELECT * FROM orphan_payments
+    WHERE status = ?
+    ORDER BY created_at ASC
+    LIMIT ?
+  `);
+
+  try {
+    return stmt.all(status, limit).map(mapOrphanRow);
+  } catch (error) {
+    console.error('Failed to get orphan payments:', error);
+    throw error;
+  }
+}
+
+function resolveOrphanPayment(id, { resolution, orderId, note }) {
+  const stmt = db.prepare(`
+    UPDATE orphan_payments
+    SET status = 'resolved', resolution = ?, order_id = ?, note = ?, resolved_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  try {
+    const result = stmt.run(resolution, orderId || null, note || null, id);
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Failed to resolve orphan payment:', error);
+    throw error;
+  }
+}
+
+/**
+ * Credit an open orphan payment to a wallet and resolve it, together. Does
+ * nothing if the orphan was resolved meanwhile or its transfer was credited.
+ * @returns {boolean} Whether the credit was made
+ */
+function creditOrphanPayment(id, { wallet, note }) {
+  const credit = db.transaction(() => {
+    const orphan = db.prepare(`SELECT * FROM orphan_payments WHERE id = ? AND status = 'open'`).get(id);
+    if (!orphan || getCreditByTxHash(orphan.tx_hash)) return false;
+    addCreditEntry({ wallet, amountUSDC: parseFloat(orphan.amount_usd), reason: 'orphan_payment', txHash: orphan.tx_hash });
+    return resolveOrphanPayment(id, { resolution: 'credit', note });
+  });
+
+  try {
+    return credit();
+  } catch (error) {
+    console.error('Failed to credit orphan payment:', error);
+    throw error;
+  }
+}
+
+// An agent claimed the transfer itself (order or credit) after it was queued
+function claimOrphanPayments(txHash, orderId) {
+  const stmt = db.prepare(`
+    UPDATE orphan_payments
+    SET status = 'resolved', resolution = 'claimed', order_id = ?, resolved_at = CURRENT_TIMESTAMP
+    WHERE tx_hash = ? AND status = 'open'
+  `);
+
+  try {
+    return stmt.run(orderId || null, txHash).changes;
+  } catch (error) {
+    console.error('Failed to claim orphan payment:', error);
+    throw error;
+  }
+}
+
+function getWatcherCursor(network, token) {
+  const stmt = db.prepare('SELECT last_block FROM watcher_cursors WHERE network = ? AND token = ?');
+  const row = stmt.get(network, token);
+  return row ? row.last_block : null;
+}
+
+function setWatcherCursor(network, token, lastBlock) {
+  const stmt = db.prepare(`
+    INSERT INTO watcher_cursors (network, token, last_block) VALUES (?, ?, ?)
+    ON CONFLICT (network, token) DO UPDATE SET last_block = excluded.last_block, updated_at = CURRENT_TIMESTAMP
+  `);
+
+  try {
+    stmt.run(network, token, lastBlock);
+  } catch (error) {
+    console.error('Failed to update watcher cursor:', error);
+    throw error;
+  }
+}
+
+function mapJobRow(row) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    type: row.type,
+    status: row.status,
+    input: row.input ? JSON.parse(row.input) : null,
+    result: row.result ? JSON.parse(row.result) : null,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    runAt: row.run_at,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at
+  };
+}
+
+// Queue a step for an order - a no-op if that step is already queued
+function createJob({ orderId, type, input, maxAttempts, runAt = new Date() }) {
+  const stmt = db.prepare(`
+    INSERT INTO jobs (order_id, type, input, max_attempts, run_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (order_id, type) DO NOTHING
+  `);
+
+  try {
+    const result = stmt.run(orderId, type, input ? JSON.stringify(input) : null, maxAttempts, runAt.toISOString());
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Failed to create job:', error);
+    throw error;
+  }
+}
+
+function getJob(jobId) {
+  const stmt = db.prepare('SELECT * FROM jobs WHERE id = ?');
+
+  try {
+    const row = stmt.get(jobId);
+    return row ? mapJobRow(row) : null;
+  } catch (error) {
+    console.error('Failed to get job:', error);
+    throw error;
+  }
+}
+
+function getJobsByOrder(orderId) {
+  const stmt = db.prepare('SELECT * FROM jobs WHERE order_id = ? ORDER BY id ASC');
+
+  try {
+    return stmt.all(orderId).map(mapJobRow);
+  } catch (error) {
+    console.error('Failed to get jobs for order:', error);
+    throw error;
+  }
+}
+
+function getJobs(status, limit = 100) {
+  const stmt = db.prepare('SELECT * FROM jobs WHERE status = ? ORDER BY id DESC LIMIT ?');
+
+  try {
+    return stmt.all(status, limit).map(mapJobRow);
+  } catch (error) {
+    console.error('Failed to get jobs:', error);
+    throw error;
+  }
+}
+
+// Atomically take up to `limit` due jobs, oldest first, marking them running
+function claimDueJobs(limit = 10) {
+  const selectStmt = db.prepare(`
+    SELECT * FROM jobs WHERE status = 'pending' AND run_at <= ? ORDER BY id ASC LIMIT ?
+  `);
+  const claimStmt = db.prepare(`
+    UPDATE jobs SET status = 'running', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'pending'
+  `);
+
+  const claim = db.transaction(() => {
+    const rows = selectStmt.all(new Date().toISOString(), limit);
+    return rows
+      .filter(row => claimStmt.run(row.id).changes > 0)
+      .map(row => mapJobRow({ ...row, status: 'running', attempts: row.attempts + 1 }));
+  });
+
+  try {
+    return claim();
+  } catch (error) {
+    console.error('Failed to claim jobs:', error);
+    throw error;
+  }
+}
+
+function completeJob(jobId, result) {
+  const stmt = db.prepare(`
+    UPDATE jobs SET status = 'done', result = ?, last_error = NULL, updated_at = CURRENT_TIMESTAMP, completed_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  try {
+    stmt.run(result ? JSON.stringify(result) : null, jobId);
+  } catch (error) {
+    console.error('Failed to complete job:', error);
+    throw error;
+  }
+}
+
+// Record a failed attempt: back to pending at runAt, or dead when runAt is null
+function failJob(jobId, errorMessage, runAt) {
+  const stmt = db.prepare(`
+    UPDATE jobs SET status = ?, last_error = ?, run_at = COALESCE(?, run_at), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  try {
+    stmt.run(runAt ? 'pending' : 'dead', errorMessage, runAt ? runAt.toISOString() : null, jobId);
+  } catch (error) {
+    console.error('Failed to record job failure:', error);
+    throw error;
+  }
+}
+
+// Put a dead job back in the queue with a fresh set of attempts
+function requeueJob(jobId) {
+  const stmt = db.prepare(`
+    UPDATE jobs SET status = 'pending', attempts = 0, run_at = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'dead'
+  `);
+
+  try {
+    return stmt.run(new Date().toISOString(), jobId).changes > 0;
+  } catch (error) {
+    console.error('Failed to requeue job:', error);
+    throw error;
+  }
+}
+
+// Jobs left 'running' by a crash or restart are retried
+function resetRunningJobs() {
+  const stmt = db.prepare(`
+    UPDATE jobs SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE status = 'running'
+  `);
+
+  try {
+    return stmt.run().changes;
+  } catch (error) {
+    console.error('Failed to reset running jobs:', error);
+    throw error;
+  }
+}
+
+function mapIdempotencyRow(row) {
+  return {
+    key: row.key,
+    requestHash: row.request_hash,
+    status: row.status,
+    responseStatus: row.response_status,
+    responseBody: row.response_body ? JSON.parse(row.response_body) : null,
+    responseHeaders: row.response_headers ? JSON.parse(row.response_headers) : {},
+    createdAt: row.created_at,
+    completedAt: row.completed_at
+  };
+}
+
+/**
+ * Claim idempotency keys for a request. Keys older than `expiresBefore` are
+ * dropped first. If any key is already taken, nothing is claimed.
+ * @param {string[]} keys
+ * @param {string} requestHash
+ * @param {string} expiresBefore - SQLite datetime
+ * @returns {Object|null} The existing record, or null if the keys were claimed
+ */
+function claimIdempotencyKeys(keys, requestHash, expiresBefore) {
+  const pruneStmt = db.prepare('DELETE FROM idempotency_keys WHERE created_at < ?');
+  const selectStmt = db.prepare('SELECT * FROM idempotency_keys WHERE key = ?');
+  const insertStmt = db.prepare('INSERT INTO idempotency_keys (key, request_hash) VALUES (?, ?)');
+
+  const claim = db.transaction(() => {
+    pruneStmt.run(expiresBefore);
+    for (const key of keys) {
+      const row = selectStmt.get(key);
+      if (row) return mapIdempotencyRow(row);
+    }
+    for (const key of keys) insertStmt.run(key, requestHash);
+    return null;
+  });
+
+  try {
+    return claim();
+  } catch (error) {
+    console.error('Failed to claim idempotency keys:', error);
+    throw error;
+  }
+}
+
+// Store the response to replay for these keys
+function completeIdempotencyKeys(keys, { status, body, headers }) {
+  const stmt = db.prepare(`
+    UPDATE idempotency_keys
+    SET status = 'complete', response_status = ?, response_body = ?, response_headers = ?, completed_at = CURRENT_TIMESTAMP
+    WHERE key = ?
+  `);
+
+  const complete = db.transaction(() => {
+    for (const key of keys) stmt.run(status, JSON.stringify(body), JSON.stringify(headers || {}), key);
+  });
+
+  try {
+    complete();
+  } catch (error) {
+    console.error('Failed to complete idempotency keys:', error);
+    throw error;
+  }
+}
+
+// Free keys whose request didn't create an order, so a corrected retry can use them
+function releaseIdempotencyKeys(keys) {
+  const stmt = db.prepare("DELETE FROM idempotency_keys WHERE key = ? AND status = 'processing'");
+
+  const release = db.transaction(() => {
+    for (const key of keys) stmt.run(key);
+  });
+
+  try {
+    release();
+  } catch (error) {
+    console.error('Failed to release idempotency keys:', error);
+    throw error;
+  }
+}
+
+// Requests cut off by a crash or restart never finished - let them be retried
+function releaseProcessingIdempotencyKeys() {
+  const stmt = db.prepare("DELETE FROM idempotency_keys WHERE status = 'processing'");
+
+  try {
+    return stmt.run().changes;
+  } catch (error) {
+    console.error('Failed to release idempotency keys:', error);
+    throw error;
+  }
+}
+
+// Issue a SIWE nonce, clearing out expired ones
+function createAuthNonce(nonce, expiresAt) {
+  const pruneStmt = db.prepare('DELETE FROM auth_nonces WHERE expires_at < ?');
+  const insertStmt = db.prepare('INSERT INTO auth_nonces (nonce, expires_at) VALUES (?, ?)');
+
+  try {
+    pruneStmt.run(new Date().toISOString());
+    insertStmt.run(nonce, expiresAt);
+  } catch (error) {
+    console.error('Failed to create auth nonce:', error);
+    throw error;
+  }
+}
+
+// Atomically use up a nonce. Returns false if it is unknown, expired or already used.
+function consumeAuthNonce(nonce) {
+  const stmt = db.prepare(`
+    UPDATE auth_nonces SET used_at = CURRENT_TIMESTAMP
+    WHERE nonce = ? AND used_at IS NULL AND expires_at > ?
+  `);
+
+  try {
+    return stmt.run(nonce, new Date().toISOString()).changes > 0;
+  } catch (error) {
+    console.error('Failed to consume auth nonce:', error);
+    throw error;
+  }
+}
+
+function createSession({ tokenHash, wallet, chainId, expiresAt }) {
+  const pruneStmt = db.prepare('DELETE FROM sessions WHERE expires_at < ?');
+  const insertStmt = db.prepare(`
+    INSERT INTO sessions (token_hash, wallet, chain_id, expires_at) VALUES (?, ?, ?, ?)
+  `);
+
+  try {
+    pruneStmt.run(new Date().toISOString());
+    insertStmt.run(tokenHash, wallet.toLowerCase(), chainId, expiresAt);
+  } catch (error) {
+    console.error('Failed to create session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a webhook event as being applied
+ * @param {string} eventKey
+ * @param {string} expiresAt - ISO time after which it would be rejected as stale
+ * @returns {boolean} False if it was already recorded
+ */
+function claimWebhookEvent(eventKey, expiresAt) {
+  const pruneStmt = db.prepare('DELETE FROM webhook_events WHERE expires_at < ?');
+  const insertStmt = db.prepare('INSERT OR IGNORE INTO webhook_events (event_key, expires_at) VALUES (?, ?)');
+
+  try {
+    pruneStmt.run(new Date().toISOString());
+    return insertStmt.run(eventKey, expiresAt).changes > 0;
+  } catch (error) {
+    console.error('Failed to record webhook event:', error);
+    throw error;
+  }
+}
+
+// Forget a webhook event that failed to apply, so Printful's retry is processed
+function releaseWebhookEvent(eventKey) {
+  const stmt = db.prepare('DELETE FROM webhook_events WHERE event_key = ?');
+
+  try {
+    stmt.run(eventKey);
+  } catch (error) {
+    console.error('Failed to release webhook event:', error);
+    throw error;
+  }
+}
+
+// Live session for a token hash, or null if unknown or expired
+function getSession(tokenHash) {
+  const stmt = db.prepare('SELECT * FROM sessions WHERE token_hash = ? AND expires_at > ?');
+
+  try {
+    const row = stmt.get(tokenHash, new Date().toISOString());
+    return row ? { wallet: row.wallet, chainId: row.chain_id, expiresAt: row.expires_at, createdAt: row.created_at } : null;
+  } catch (error) {
+    console.error('Failed to get session:', error);
+    throw error;
+  }
+}
+
+function mapRefundRow(row) {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    amountUSDC: row.amount_usdc,
+    tokenAmount: row.token_amount,
+    network: row.network,
+    token: row.token,
+    to: row.to_address,
+    method: row.method,
+    creditUSDC: row.credit_usdc,
+    txHash: row.tx_hash,
+    status: row.status,
+    reason: row.reason,
+    initiatedBy: row.initiated_by,
+    error: row.error,
+    createdAt: row.created_at,
+    completedAt: row.completed_at
+  };
+}
+
+// Reserve a refund before sending it, so concurrent refunds can't exceed the order total
+function createRefund(refund) {
+  const sumStmt = db.prepare(`
+    SELECT SUM(CAST(amount_usdc AS REAL)) as total FROM refunds
+    WHERE order_id = ? AND status IN ('pending', 'submitted', 'sent')
+  `);
+  const orderStmt = db.prepare('SELECT total_usdc FROM orders WHERE id = ?');
+  const insertStmt = db.prepare(`
+    INSERT INTO refunds (order_id, amount_usdc, credit_usdc, token_amount, network, token, to_address, method, reason, initiated_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const reserve = db.transaction(() => {
+    const order = orderStmt.get(refund.orderId);
+    const alreadyRefunded = sumStmt.get(refund.orderId).total || 0;
+    if (alreadyRefunded + refund.amountUSDC > parseFloat(order.total_usdc) + 0.005) {
+      throw new Error(`Refund exceeds the refundable amount for order ${refund.orderId}`);
+    }
+    return insertStmt.run(
+      refund.orderId,
+      refund.amountUSDC.toFixed(2),
+      (refund.creditUSDC || 0).toFixed(2),
+      refund.tokenAmount || null,
+      refund.network || null,
+      refund.token || null,
+      refund.to,
+      refund.method,
+      refund.reason || null,
+      refund.initiatedBy
+    ).lastInsertRowid;
+  });
+
+  try {
+    return reserve();
+  } catch (error) {
+    console.error('Failed to create refund:', error);
+    throw error;
+  }
+}
+
+// Record a refund transfer's hash as soon as it is sent, before it confirms
+function submitRefund(refundId, txHash) {
+  const stmt = db.prepare(`
+    UPDATE refunds SET status = 'submitted', tx_hash = ? WHERE id = ? AND status = 'pending'
+  `);
+
+  try {
+    stmt.run(txHash, refundId);
+  } catch (error) {
+    console.error('Failed to mark refund submitted:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a refund sent, return its store-credit part to the wallet that spent
+ * it and roll it into the order's refunded total. Only a pending or
+ * submitted refund completes, so this is safe to call twice.
+ * @returns {boolean} Whether the refund was completed by this call
+ */
+function completeRefund(refundId, txHash) {
+  const refundStmt = db.prepare('SELECT * FROM refunds WHERE id = ?');
+  const walletStmt = db.prepare('SELECT wallet FROM orders WHERE id = ?');
+  const updateRefund = db.prepare(`
+    UPDATE refunds SET status = 'sent', tx_hash = COALESCE(?, tx_hash), completed_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status IN ('pending', 'submitted')
+  `);
+  const updateOrder = db.prepare(`
+    UPDATE orders
+    SET refunded_usdc = printf('%.2f', CAST(COALESCE(refunded_usdc, '0') AS REAL) + ?),
+        refund_tx_hash = COALESCE(?, refund_tx_hash),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+
+  const complete = db.transaction(() => {
+    const refund = refundStmt.get(refundId);
+    if (updateRefund.run(txHash || null, refundId).changes === 0) return false;
+    const credit = parseFloat(refund.credit_usdc || 0);
+    if (credit > 0) {
+      addCreditEntry({ wallet: walletStmt.get(refund.order_id).wallet, amountUSDC: credit, reason: 'refund', orderId: refund.order_id });
+    }
+    updateOrder.run(parseFloat(refund.amount_usdc), txHash || refund.tx_hash, refund.order_id);
+    return true;
+  });
+
+  try {
+    return complete();
+  } catch (error) {
+    console.error('Failed to complete refund:', error);
+    throw error;
+  }
+}
+
+function failRefund(refundId, errorMessage) {
+  const stmt = db.prepare(`
+    UPDATE refunds SET status = 'failed', error = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ? AND status IN ('pending', 'submitted')
+  `);
+
+  try {
+    stmt.run(errorMessage, refundId);
+  } catch (error) {
+    console.error('Failed to mark refund failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store credit an order spent, and how much of it refunds have given back
+ * (or are giving back)
+ * @returns {Object} { applied, refunded } in USD
+ */
+function getOrderCreditRefundable(orderId) {
+  const appliedStmt = db.prepare(`
+    SELECT SUM(CAST(amount_usdc AS REAL)) as total FROM credit_ledger
+    WHERE order_id = ? AND reason = 'order_payment'
+  `);
+  const refundedStmt = db.prepare(`
+    SELECT SUM(CAST(COALESCE(credit_usdc, CASE WHEN method = 'credit' THEN amount_usdc ELSE '0' END) AS REAL)) as total
+    FROM refunds WHERE order_id = ? AND status IN ('pending', 'submitted', 'sent')
+  `);
+
+  try {
+    return {
+      applied: -(appliedStmt.get(orderId).total || 0),
+      refunded: refundedStmt.get(orderId).total || 0
+    };
+  } catch (error) {
+    console.error('Failed to get order credit:', error);
+    throw error;
+  }
+}
+
+// On-chain refunds sent but not yet confirmed
+function getSubmittedRefunds() {
+  const stmt = db.prepare("SELECT * FROM refunds WHERE status = 'submitted' ORDER BY id ASC");
+
+  try {
+    return stmt.all().map(mapRefundRow);
+  } catch (error) {
+    console.error('Failed to get submitted refunds:', error);
+    throw error;
+  }
+}
+
+function getRefund(refundId) {
+  const stmt = db.prepare('SELECT * FROM refunds WHERE id = ?');
+  const row = stmt.get(refundId);
+  return row ? mapRefundRow(row) : null;
+}
+
+function getRefundsByOrder(orderId) {
+  const stmt = db.prepare('SELECT * FROM refunds WHERE order_id = ? ORDER BY id ASC');
+
+  try {
+    return stmt.all(orderId).map(mapRefundRow);
+  } catch (error) {
+    console.error('Failed to get refunds:', error);
+    throw error;
+  }
+}
+
+// Atomically mark an open quote as used by an order. Returns false if it was already used.
+function claimQuote(quoteId, orderId) {
+  const stmt = db.prepare(`
+    UPDATE quotes
+    SET status = 'used', order_id = ?
+    WHERE id = ? AND status = 'open'
+  `);
+
+  try {
+    const result = stmt.run(orderId || null, quoteId);
+    return result.changes > 0;
+  } catch (error) {
+    console.error('Failed to claim quote:', error);
+    throw error;
+  }
+}
+
+// Reopen a quote claimed by an order whose payment never went through
+function releaseQuote(quoteId, orderId) {
+  const stmt = db.prepare(`
+    UPDATE quotes SET status = 'open', order_id = NULL
+    WHERE id = ? AND status = 'used' AND order_id = ?
+  `);
+
+  try {
+    return stmt.run(quoteId, orderId).changes > 0;
+  } catch (error) {
+    console.error('Failed to release quote:', error);
+    throw error;
+  }
+}
+
 module.exports = {
   init,
+  getCatalogItems,
+  getCatalogItem,
+  upsertCatalogItems,
+  reorderCatalogItems,
+  countCatalogItems,
   createOrder,
   getOrder,
   getOrderByTxHash,
+  createQuote,
+  getQuote,
+  getOpenQuotes,
+  isFingerprintInUse,
+  claimQuote,
+  releaseQuote,
+  addOrphanPayment,
+  getOrphanPayment,
+  isOrphanPayment,
+  getOrphanPayments,
+  resolveOrphanPayment,
+  creditOrphanPayment,
+  claimOrphanPayments,
+  getWatcherCursor,
+  setWatcherCursor,
+  createJob,
+  getJob,
+  getJobsByOrder,
+  getJobs,
+  claimDueJobs,
+  completeJob,
+  failJob,
+  requeueJob,
+  resetRunningJobs,
+  claimIdempotencyKeys,
+  completeIdempotencyKeys,
+  releaseIdempotencyKeys,
+  releaseProcessingIdempotencyKeys,
+  createAuthNonce,
+  consumeAuthNonce,
+  createSession,
+  claimWebhookEvent,
+  releaseWebhookEvent,
+  getSession,
+  createRefund,
+  submitRefund,
+  completeRefund,
+  failRefund,
+  getRefund,
+  getRefundsByOrder,
+  getOrderCreditRefundable,
+  getSubmittedRefunds,
+  addCreditEntry,
+  getCreditBalance,
+  getCreditEntries,
+  getCreditByTxHash,
+  reverseOrderCredit,
   updateOrderStatus,
-  updateOrderPrintful,
+  addOrderEvent,
+  getOrderEvents,
+  getShipments,
+  updateShipmentPrintful,
+  updateShipmentStatus,
+  updateShipmentTracking,
+  getOrdersByIdPrefix,
   updateOrderTxHash,
+  updateOrderPayment,
+  recordOrderPayment,
   updateOrderAttestation,
+  markAttestationRevoked,
   getOrdersByWallet,
+  getOrdersByStatus,
   getStats,
   close
 };
\ No newline at end of file
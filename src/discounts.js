@@ -0,0 +1,135 @@
+const { parseAbi, formatUnits, isAddress } = require('viem');
+const { getPublicClient } = require('./providers');
+const { hasRegisteredAgent } = require('./agent-verify');
+const { listHolderDiscounts } = require('./pricing');
+
+/*
+ * Token-holder and ERC-8004 agent discounts. A quote that names its
+ * payerWallet gets the best rule the wallet qualifies for, checked on-chain;
+ * the discount is locked into the quote total, so the payment is verified
+ * against the discounted amount. Placing the order checks the wallet still
+ * qualifies.
+ */
+
+// Default minimum token balance for a holder discount (whole tokens)
+const DISCOUNT_THRESHOLD = parseFloat(process.env.DISCOUNT_THRESHOLD || '100000');
+
+const ERC20_ABI = parseAbi([
+  'function balanceOf(address account) view returns (uint256)',
+  'function decimals() view returns (uint8)'
+]);
+
+// Token address → decimals; they never change
+const decimalsCache = new Map();
+
+function roundUsd(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// <TOKEN>_TOKEN_ADDRESS, or null while it is unset (e.g. still the .env.example placeholder)
+function tokenAddress(rule) {
+  const address = process.env[`${rule.token}_TOKEN_ADDRESS`];
+  return address && isAddress(address) ? address : null;
+}
+
+function minBalance(rule) {
+  return rule.minBalance ?? (rule.agent ? 1 : DISCOUNT_THRESHOLD);
+}
+
+// Rules that can be checked - token rules need their address configured
+function activeRules() {
+  return listHolderDiscounts().filter(rule => rule.agent || tokenAddress(rule));
+}
+
+/**
+ * How much of a rule's token (or how many ERC-8004 agents) a wallet holds.
+ * RPC failures throw.
+ * @param {Object} rule - Holder discount from config/pricing.json
+ * @param {string} wallet
+ * @returns {Promise<number>}
+ */
+async function ruleBalance(rule, wallet) {
+  if (rule.agent) {
+    const { agentCount, error } = await hasRegisteredAgent(wallet);
+    if (error) throw new Error(error);
+    return agentCount;
+  }
+
+  const address = tokenAddress(rule);
+  const client = getPublicClient(rule.network);
+  if (!decimalsCache.has(address)) {
+    decimalsCache.set(address, await client.readContract({ address, abi: ERC20_ABI, functionName: 'decimals' }));
+  }
+  const balance = await client.readContract({ address, abi: ERC20_ABI, functionName: 'balanceOf', args: [wallet] });
+  return parseFloat(formatUnits(balance, decimalsCache.get(address)));
+}
+
+function discountAmount(rule, itemsTotal) {
+  const amount = rule.percentOff ? itemsTotal * rule.percentOff / 100 : rule.amountOff;
+  return roundUsd(Math.min(amount, itemsTotal));
+}
+
+/**
+ * The best holder discount a wallet qualifies for, as a quote discount line.
+ * A rule whose balance can't be read is skipped, so a flaky RPC only costs the discount.
+ * @param {string} wallet - The quote's payerWallet
+ * @param {number} itemsTotal - Items total after bundles and quantity tiers (shipping is never discounted)
+ * @returns {Promise<Object|null>} { type, id, label, wallet, balance, amount } or null
+ */
+async function walletDiscount(wallet, itemsTotal) {
+  if (!wallet || itemsTotal <= 0) return null;
+
+  let best = null;
+  for (const rule of activeRules()) {
+    let balance;
+    try {
+      balance = await ruleBalance(rule, wallet);
+    } catch (error) {
+      console.warn(`⚠️  Skipped ${rule.id} discount for ${wallet}: ${error.message}`);
+      continue;
+    }
+    if (balance < minBalance(rule)) continue;
+
+    const amount = discountAmount(rule, itemsTotal);
+    if (!best || amount > best.amount) {
+      best = { type: rule.agent ? 'agent' : 'holder', id: rule.id, label: rule.label, wallet: wallet.toLowerCase(), balance, amount };
+    }
+  }
+  return best;
+}
+
+/**
+ * Check a quote's holder discount still holds for the wallet placing the order
+ * @param {Object} quote
+ * @param {string} payerWallet - Wallet placing the order
+ * @returns {Promise<Object>} { valid } or { valid: false, retryable, error }
+ */
+async function recheckDiscount(quote, payerWallet) {
+  const line = quote.discounts.find(discount => discount.wallet);
+  if (!line) return { valid: true };
+
+  if (!payerWallet || payerWallet.toLowerCase() !== line.wallet) {
+    return { valid: false, error: `The quote's ${line.label} discount is for ${line.wallet} - order from that wallet or request a new quote` };
+  }
+
+  // A rule withdrawn since the quote keeps its locked price
+  const rule = activeRules().find(r => r.id === line.id);
+  if (!rule) return { valid: true };
+
+  let balance;
+  try {
+    balance = await ruleBalance(rule, payerWallet);
+  } catch (error) {
+    return { valid: false, retryable: true, error: `Could not check the ${line.label} discount: ${error.message}` };
+  }
+  if (balance < minBalance(rule)) {
+    return { valid: false, error: `${payerWallet} no longer qualifies for the ${line.label} discount - request a new quote` };
+  }
+  return { valid: true };
+}
+
+module.exports = {
+  walletDiscount,
+  recheckDiscount,
+  DISCOUNT_THRESHOLD
+};
@@ -2,9 +2,9 @@ const { EAS, SchemaEncoder, SchemaRegistry } = require('@ethereum-attestation-se
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const { getEthersProvider } = require('./providers');
 
 // Base network configuration
-const BASE_RPC = 'https://mainnet.base.org';
 const EAS_CONTRACT_ADDRESS = '0x4200000000000000000000000000000000000021';
 const SCHEMA_REGISTRY_ADDRESS = '0x4200000000000000000000000000000000000020';
 const WALLET_KEY_PATH = '/root/.secrets/clawyard-wallet.json';
@@ -28,8 +28,8 @@ class EASService {
     if (this.initialized) return;
 
     try {
-      // Initialize provider
-      this.provider = new ethers.JsonRpcProvider(BASE_RPC);
+      // Initialize provider (shared Base provider with RPC fallbacks)
+      this.provider = getEthersProvider('base');
 
       // Load wallet key
       const walletKey = await this.loadWalletKey();
@@ -137,6 +137,25 @@ class EASService {
     }
   }
 
+  // Revoke a receipt (the schema's attestations are revocable), e.g. when its order is cancelled
+  async revokeAttestation(uid) {
+    if (!this.initialized) await this.initialize();
+
+    try {
+      console.log(`🪙 Revoking EAS attestation ${uid}...`);
+      const transaction = await this.eas.revoke({
+        schema: CLAWYARD_SCHEMA_UID,
+        data: { uid }
+      });
+      await transaction.wait();
+
+      console.log(`✅ Attestation revoked: ${uid}`);
+    } catch (error) {
+      console.error('❌ Failed to revoke attestation:', error);
+      throw error;
+    }
+  }
+
   async getAttestation(uid) {
     if (!this.initialized) await this.initialize();
     
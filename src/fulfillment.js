@@ -0,0 +1,250 @@
+const db = require('./database');
+const printfulService = require('./printful');
+const { easService } = require('./eas');
+const { uploadItems, uploadMetadata } = require('./arweave');
+const { getNetwork } = require('./networks');
+const { itemLabel, productCategory } = require('./products');
+
+/*
+ * Post-payment steps, run by the job queue (see jobs.js) once a payment is
+ * final. Each step throws to be retried and must be safe to run again.
+ */
+
+function hasJob(orderId, type) {
+  return db.getJobsByOrder(orderId).some(job => job.type === type);
+}
+
+function orderContext(orderId) {
+  const order = db.getOrder(orderId);
+  if (!order) {
+    throw new Error(`Order not found: ${orderId}`);
+  }
+  const quote = order.quoteId ? db.getQuote(order.quoteId) : null;
+  return {
+    order,
+    quote,
+    shippingMethod: quote?.shippingMethod || 'STANDARD',
+    customItem: quote?.kind === 'custom' ? order.items[0] : null
+  };
+}
+
+// The shipment's share of the order's discounts (bundles, quantity tiers, holder), by its items total
+function shipmentDiscount(order, shipment) {
+  const itemsTotal = items => items.reduce((sum, item) => sum + item.total, 0);
+  const discount = (order.discounts || []).reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0);
+  const orderItems = itemsTotal(order.items);
+  const share = orderItems > 0 ? itemsTotal(shipment.items) / orderItems : 0;
+  return Math.round(discount * share * 100) / 100;
+}
+
+// Shipments Printful already has an order for
+function submittedShipments(order) {
+  return order.shipments.filter(shipment => shipment.printfulOrderId);
+}
+
+/**
+ * Submit each of the order's shipments to Printful as its own order and
+ * confirm them for production
+ * @param {string} orderId
+ * @param {Object} job - { attempts } from the queue
+ * @returns {Promise<Object>} { printfulOrderIds }
+ */
+async function submitToPrintful(orderId, { attempts = 0 } = {}) {
+  const { order, quote, shippingMethod, customItem } = orderContext(orderId);
+  if (submittedShipments(order).length === order.shipments.length) {
+    return { printfulOrderIds: order.shipments.map(shipment => shipment.printfulOrderId) };
+  }
+  // Refunded or cancelled while queued - nothing to print
+  if (order.status !== 'paid' && order.status !== 'failed') {
+    return { skipped: order.status };
+  }
+
+  for (const shipment of order.shipments) {
+    if (shipment.printfulOrderId) continue;
+
+    // An earlier attempt may have created the draft and then failed - pick it up rather than duplicate it
+    let printfulOrderId;
+    const existing = attempts > 0 ? await printfulService.findOrder(orderId, shipment.position) : null;
+    if (existing) {
+      if (existing.status === 'draft') await printfulService.confirmOrder(existing.id);
+      printfulOrderId = existing.id;
+    } else {
+      printfulOrderId = await printfulService.createOrder({
+        orderId,
+        shipment: shipment.position,
+        items: shipment.items,
+        shippingAddress: shipment.shippingAddress,
+        shippingMethod: shipment.shippingMethod || shippingMethod,
+        shippingCost: shipment.shippingCost ?? quote?.shippingCost,
+        discount: shipmentDiscount(order, shipment),
+        gift: { giftFrom: order.giftFrom, giftMessage: shipment.giftMessage || order.giftMessage },
+        customImageUrl: customItem?.imageUrl
+      });
+    }
+
+    db.updateShipmentPrintful(shipment.id, printfulOrderId);
+  }
+
+  // Cancelled while the submission was in flight - undo it rather than print a cancelled order
+  const current = db.getOrder(orderId);
+  const printfulOrderIds = current.shipments.map(shipment => shipment.printfulOrderId);
+  if (current.status !== 'paid' && current.status !== 'failed') {
+    for (const printfulOrderId of printfulOrderIds) {
+      await printfulService.cancelOrder(printfulOrderId);
+    }
+    return { printfulOrderIds, skipped: current.status };
+  }
+
+  db.updateOrderStatus(orderId, 'submitted', { actor: 'fulfillment', reason: `Printful order ${printfulOrderIds.join(', ')}` });
+  return { printfulOrderIds };
+}
+
+// Printful order statuses it will still cancel - anything later is being printed or has shipped
+const PRINTFUL_CANCELLABLE_STATUSES = ['draft', 'pending', 'failed', 'onhold'];
+
+/**
+ * Cancel the Printful order of every shipment that has one, or of none.
+ * Each is checked with Printful first, so one already in production leaves
+ * them all alone. If Printful still refuses one after the check (it started
+ * in between), the shipments already cancelled stay cancelled and come back
+ * as `partial`, for the caller to refund.
+ * @param {Object} order
+ * @returns {Promise<Object>} { cancelled } - whether any Printful order was cancelled,
+ *   { blocked } - positions Printful has started on, nothing cancelled,
+ *   or { partial: { cancelled, remaining, error } } - positions either side of the refusal
+ */
+async function cancelShipments(order) {
+  const open = submittedShipments(order).filter(shipment => shipment.status !== 'cancelled');
+
+  const statuses = new Map();
+  for (const shipment of open) {
+    const { status } = await printfulService.getOrderStatus(shipment.printfulOrderId);
+    statuses.set(shipment.id, status);
+  }
+  const blocked = open.filter(shipment => statuses.get(shipment.id) !== 'canceled' && !PRINTFUL_CANCELLABLE_STATUSES.includes(statuses.get(shipment.id)));
+  if (blocked.length > 0) {
+    return { blocked: blocked.map(shipment => shipment.position) };
+  }
+
+  const cancelled = [];
+  for (const shipment of open) {
+    if (statuses.get(shipment.id) !== 'canceled') {
+      try {
+        await printfulService.cancelOrder(shipment.printfulOrderId);
+      } catch (error) {
+        const remaining = open.filter(other => !cancelled.includes(other.position)).map(other => other.position);
+        if (cancelled.length === 0) return { blocked: remaining, error: error.message };
+        return { partial: { cancelled, remaining, error: error.message } };
+      }
+    }
+    db.updateShipmentStatus(shipment.id, 'cancelled');
+    cancelled.push(shipment.position);
+  }
+  return { cancelled: cancelled.length > 0 };
+}
+
+/**
+ * Upload the order items and metadata to Arweave for the receipt
+ * @param {string} orderId
+ * @returns {Promise<Object>} { itemsRef, metadataRef } - arweave.net URLs, empty when uploads are stubbed
+ */
+async function uploadReceipt(orderId) {
+  const { order, shippingMethod, customItem } = orderContext(orderId);
+
+  const itemsTxId = await uploadItems(orderId, order.items);
+  const metaTxId = await uploadMetadata(orderId, {
+    shippingMethod,
+    productCategory: productCategory(order.items),
+    paymentNetwork: order.paymentNetwork,
+    paymentToken: order.paymentToken,
+    ...(customItem ? { customImage: customItem.imageUrl } : {}),
+    printfulOrderId: order.printfulOrderId || null,
+    // Bundle, volume and token-holder/agent discounts, as quoted
+    discounts: order.discounts,
+    totalUSDC: order.totalUSDC,
+    shipments: order.shipments.map(shipment => ({
+      shipment: shipment.position,
+      printfulOrderId: shipment.printfulOrderId,
+      items: shipment.items
+    }))
+  });
+
+  return {
+    itemsRef: itemsTxId ? `https://arweave.net/${itemsTxId}` : '',
+    metadataRef: metaTxId ? `https://arweave.net/${metaTxId}` : ''
+  };
+}
+
+/**
+ * Mint the EAS attestation (receipt)
+ * @param {string} orderId
+ * @param {Object} refs - uploadReceipt result, or {} if the uploads gave up
+ * @returns {Promise<Object>} { attestationUID }
+ */
+async function attestOrder(orderId, { itemsRef, metadataRef } = {}) {
+  const { order, customItem } = orderContext(orderId);
+  if (order.attestationUID) {
+    return { attestationUID: order.attestationUID };
+  }
+  // Cancelled before the receipt was minted - a revocation is already queued
+  if (hasJob(orderId, 'eas_revoke')) {
+    return { skipped: order.status };
+  }
+
+  // Without an Arweave upload the receipt carries a plain-text summary, per shipment when there are several
+  const listItems = (items) => items.map(i => `${itemLabel(i)} x${i.qty}`).join(', ');
+  const itemsSummary = [
+    customItem
+      ? `Custom sticker ${customItem.size || '3x3'}`
+      : order.shipments.length > 1
+        ? order.shipments.map(shipment => `Shipment ${shipment.position}: ${listItems(shipment.items)}`).join('; ')
+        : listItems(order.items),
+    ...order.discounts.map(discount => `${discount.label} -${discount.amount.toFixed(2)}`)
+  ].join('; ');
+  const token = getNetwork(order.paymentNetwork)?.tokens[order.paymentToken];
+
+  const attestationUID = await easService.mintAttestation({
+    orderId,
+    buyer: order.wallet,
+    agentId: order.agentId || '0',
+    storeName: 'clawyard',
+    providerName: 'printful',
+    paymentToken: (token || getNetwork('base').tokens.USDC).address,
+    paymentAmount: parseFloat(order.paymentAmount || order.totalUSDC),
+    orderDate: order.paymentTimestamp || Math.floor(Date.now() / 1000),
+    itemsRef: itemsRef || itemsSummary,
+    metadataRef: metadataRef || ''
+  });
+  console.log(`✅ EAS attestation created: ${attestationUID}`);
+
+  db.updateOrderAttestation(orderId, attestationUID);
+  return { attestationUID };
+}
+
+/**
+ * Revoke the order's EAS receipt after a cancellation
+ * @param {string} orderId
+ * @returns {Promise<Object>} { revokedUID } or { skipped }
+ */
+async function revokeReceipt(orderId) {
+  const { order } = orderContext(orderId);
+  if (order.attestationRevokedAt) {
+    return { revokedUID: order.attestationUID };
+  }
+  // Jobs run one at a time, so a mint started before the cancel has landed by now
+  if (!order.attestationUID) {
+    return { skipped: 'No attestation was minted' };
+  }
+
+  await easService.revokeAttestation(order.attestationUID);
+  db.markAttestationRevoked(orderId);
+  return { revokedUID: order.attestationUID };
+}
+
+module.exports = {
+  submitToPrintful,
+  cancelShipments,
+  uploadReceipt,
+  attestOrder,
+  revokeReceipt
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const db = require('./database');
+const { decodePaymentSignature } = require('./x402');
+const { sessionWallet } = require('./auth');
+
+// How long a stored order response can be replayed
+const IDEMPOTENCY_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_TTL_SECONDS || '86400', 10);
+
+// Response headers replayed along with the body
+const REPLAYED_HEADERS = ['x-payment-response'];
+
+// Sort object keys so the same body always hashes the same, whatever order the client sent it in
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((out, key) => ({ ...out, [key]: canonicalize(value[key]) }), {});
+  }
+  return value;
+}
+
+/**
+ * Fingerprint of everything that decides what an order request does. The
+ * Payment-Signature is left out: its authorization is a key of its own.
+ * @param {Object} req
+ * @returns {string} sha256 hex
+ */
+function requestHash(req) {
+  const request = {
+    path: req.baseUrl + req.path,
+    body: canonicalize(req.body || {}),
+    wallet: req.headers['x-wallet'] || null,
+    paymentTx: req.headers['x-payment-tx'] || null
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+// The EIP-3009 authorization in an x402 Payment-Signature: its nonce can only be settled once per payer
+function paymentAuthorization(header) {
+  if (typeof header !== 'string') return null;
+  let authorization;
+  try {
+    authorization = decodePaymentSignature(header).payload?.authorization;
+  } catch (error) {
+    return null;
+  }
+  const { from, nonce } = authorization || {};
+  if (typeof from !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(from)) return null;
+  if (typeof nonce !== 'string' || !/^0x[a-fA-F0-9]{64}$/.test(nonce)) return null;
+  return { from: from.toLowerCase(), nonce: nonce.toLowerCase() };
+}
+
+// The wallet an order request is made for, so one agent's Idempotency-Key can't collide with another's
+function requestWallet(req) {
+  const wallet = req.body?.payerWallet || req.headers['x-wallet']
+    || paymentAuthorization(req.headers['payment-signature'])?.from
+    || sessionWallet(req.headers);
+  return typeof wallet === 'string' ? wallet.toLowerCase() : 'anonymous';
+}
+
+// What a stored key came from, for error messages
+const KEY_SOURCES = { key: 'Idempotency-Key', tx: 'paymentTxHash', x402: 'Payment-Signature authorization' };
+
+/**
+ * Keys for a request: the Idempotency-Key header (scoped to the wallet), plus the payment tx hash
+ * or x402 authorization, which can only ever pay for one order and so are
+ * keys on their own. They are reserved before the payment is settled.
+ * @param {Object} req
+ * @returns {string[]}
+ */
+function requestKeys(req) {
+  const keys = [];
+  const header = req.headers['idempotency-key'];
+  if (header) keys.push(`key:${requestWallet(req)}:${header}`);
+
+  const txHash = req.body?.paymentTxHash || req.headers['x-payment-tx'];
+  if (typeof txHash === 'string' && /^0x[a-fA-F0-9]{64}$/.test(txHash)) {
+    keys.push(`tx:${txHash.toLowerCase()}`);
+  }
+
+  const authorization = paymentAuthorization(req.headers['payment-signature']);
+  if (authorization) keys.push(`x402:${authorization.from}:${authorization.nonce}`);
+  return keys;
+}
+
+function sqliteTime(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Express middleware for order creation. A repeat of a request that created
+ * an order gets the original response back; the same key with a different
+ * request gets a 409. Only 2xx responses are stored - an error releases the
+ * keys so the agent can fix the problem and retry.
+ */
+function idempotentOrder(req, res, next) {
+  const header = req.headers['idempotency-key'];
+  if (header !== undefined && !/^[\x21-\x7e]{1,255}$/.test(header)) {
+    return res.status(400).json({ error: 'Invalid Idempotency-Key', message: 'Use 1-255 printable ASCII characters, e.g. a UUID' });
+  }
+
+  const keys = requestKeys(req);
+  if (keys.length === 0) return next();
+
+  const hash = requestHash(req);
+  const expiresBefore = sqliteTime(new Date(Date.now() - IDEMPOTENCY_TTL_SECONDS * 1000));
+  const existing = db.claimIdempotencyKeys(keys, hash, expiresBefore);
+
+  if (existing) {
+    const source = KEY_SOURCES[existing.key.split(':')[0]];
+    if (existing.requestHash !== hash) {
+      return res.status(409).json({
+        error: 'Idempotency key reused',
+        message: `This ${source} was already used for a different order request. Retry with the original request body, or use a new key.`
+      });
+    }
+    if (existing.status !== 'complete') {
+      return res.status(409).set('Retry-After', '2').json({
+        error: 'Request in progress',
+        message: `An order request with this ${source} is still being processed - retry shortly to get its result.`
+      });
+    }
+
+    console.log(`🔁 Replaying order response for ${existing.key}`);
+    for (const [name, value] of Object.entries(existing.responseHeaders)) res.set(name, value);
+    return res.status(existing.responseStatus).set('Idempotent-Replayed', 'true').json(existing.responseBody);
+  }
+
+  // Record the outcome when the handler responds - even if the client has already hung up
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    try {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        const headers = {};
+        for (const name of REPLAYED_HEADERS) {
+          if (res.get(name)) headers[name] = res.get(name);
+        }
+        db.completeIdempotencyKeys(keys, { status: res.statusCode, body, headers });
+      } else {
+        db.releaseIdempotencyKeys(keys);
+      }
+    } catch (error) {
+      console.error('Failed to record idempotent response:', error.message);
+    }
+    return json(body);
+  };
+
+  next();
+}
+
+module.exports = {
+  idempotentOrder,
+  requestHash,
+  IDEMPOTENCY_TTL_SECONDS
+};
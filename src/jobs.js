@@ -0,0 +1,176 @@
+const db = require('./database');
+const { submitToPrintful, uploadReceipt, attestOrder, revokeReceipt } = require('./fulfillment');
+
+const JOB_INTERVAL_MS = parseInt(process.env.JOB_INTERVAL_MS || '5000', 10);
+
+// First retry waits this long, doubling each attempt up to the cap
+const JOB_RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS || '30000', 10);
+const JOB_RETRY_MAX_MS = 60 * 60 * 1000;
+
+/**
+ * Post-payment steps. `next` is queued when a step finishes; `nextOnDead`
+ * lets the chain carry on when a step gives up (the receipt still gets
+ * minted without its Arweave uploads). `onDead` reflects a dead step on the order.
+ */
+const STEPS = {
+  printful_submit: {
+    maxAttempts: 6,
+    run: (job) => submitToPrintful(job.orderId, job),
+    onDead: (job, error) => db.updateOrderStatus(job.orderId, 'failed', {
+      actor: 'fulfillment',
+      failureReason: 'printful_failed',
+      reason: `Printful submission gave up after ${job.attempts} attempts: ${error.message}`
+    })
+  },
+  arweave_upload: {
+    maxAttempts: 5,
+    run: (job) => uploadReceipt(job.orderId),
+    next: 'eas_attest',
+    nextOnDead: true
+  },
+  eas_attest: {
+    maxAttempts: 8,
+    run: (job) => attestOrder(job.orderId, job.input || {})
+  },
+  // Queued by a cancellation, not part of the fulfilment chain
+  eas_revoke: {
+    maxAttempts: 8,
+    run: (job) => revokeReceipt(job.orderId)
+  }
+};
+
+let timer = null;
+let running = false;
+
+function enqueue(orderId, type, input) {
+  return db.createJob({ orderId, type, input, maxAttempts: STEPS[type].maxAttempts });
+}
+
+/**
+ * Queue everything that follows a final payment and start on it straight away
+ * @param {string} orderId
+ */
+function enqueueFulfillment(orderId) {
+  enqueue(orderId, 'printful_submit');
+  enqueue(orderId, 'arweave_upload');
+  setImmediate(processJobs);
+}
+
+/**
+ * Queue revoking the order's EAS receipt
+ * @param {string} orderId
+ */
+function enqueueRevocation(orderId) {
+  enqueue(orderId, 'eas_revoke');
+  setImmediate(processJobs);
+}
+
+function retryDelay(attempts) {
+  return Math.min(JOB_RETRY_BASE_MS * 2 ** (attempts - 1), JOB_RETRY_MAX_MS);
+}
+
+async function runJob(job) {
+  const step = STEPS[job.type];
+  try {
+    const result = await step.run(job);
+    db.completeJob(job.id, result);
+    console.log(`✅ Job ${job.type} done for order ${job.orderId}`);
+    if (step.next) enqueue(job.orderId, step.next, result);
+  } catch (error) {
+    if (job.attempts < job.maxAttempts) {
+      const runAt = new Date(Date.now() + retryDelay(job.attempts));
+      db.failJob(job.id, error.message, runAt);
+      console.warn(`⚠️  Job ${job.type} for order ${job.orderId} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying at ${runAt.toISOString()}: ${error.message}`);
+      return;
+    }
+
+    db.failJob(job.id, error.message, null);
+    console.error(`❌ Job ${job.type} for order ${job.orderId} is dead after ${job.attempts} attempts: ${error.message}`);
+    if (step.onDead) step.onDead(job, error);
+    if (step.next && step.nextOnDead) enqueue(job.orderId, step.next);
+  }
+}
+
+/**
+ * Run every job that is due. Jobs run one at a time, oldest first, so a
+ * Printful submission goes out before that order's receipt is uploaded.
+ */
+async function processJobs() {
+  if (running) return;
+  running = true;
+
+  try {
+    let jobs;
+    while ((jobs = db.claimDueJobs()).length > 0) {
+      for (const job of jobs) {
+        try {
+          await runJob(job);
+        } catch (error) {
+          console.error(`Job ${job.id} bookkeeping failed:`, error.message);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Job queue run failed:', error.message);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Put a dead job back in the queue
+ * @param {number} jobId
+ * @returns {Object} { job } or { status, error }
+ */
+function retryJob(jobId) {
+  const job = db.getJob(jobId);
+  if (!job) {
+    return { status: 404, error: 'Job not found' };
+  }
+  if (!db.requeueJob(jobId)) {
+    return { status: 409, error: `Job is ${job.status} - only dead jobs can be retried` };
+  }
+  setImmediate(processJobs);
+  return { job: db.getJob(jobId) };
+}
+
+/**
+ * Fulfilment progress for an order, safe to show the buyer
+ * @param {string} orderId
+ * @returns {Array} [{ step, status, attempts, nextAttemptAt, completedAt }]
+ */
+function fulfillmentSteps(orderId) {
+  return db.getJobsByOrder(orderId).map(job => ({
+    step: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    nextAttemptAt: job.status === 'pending' ? job.runAt : null,
+    completedAt: job.completedAt
+  }));
+}
+
+function startJobRunner() {
+  if (timer) return;
+  const reset = db.resetRunningJobs();
+  if (reset > 0) console.log(`🔁 Re-queued ${reset} jobs interrupted by a restart`);
+
+  timer = setInterval(processJobs, JOB_INTERVAL_MS);
+  timer.unref();
+  console.log(`🧾 Fulfilment job queue running (every ${JOB_INTERVAL_MS / 1000}s)`);
+}
+
+function stopJobRunner() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  STEPS,
+  enqueueFulfillment,
+  enqueueRevocation,
+  processJobs,
+  retryJob,
+  fulfillmentSteps,
+  startJobRunner,
+  stopJobRunner
+};
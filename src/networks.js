@@ -0,0 +1,188 @@
+const { parseUnits, formatUnits, defineChain } = require('viem');
+const { base, mainnet, optimism, arbitrum } = require('viem/chains');
+
+// Clawyard receiving wallet - set via env or use default. Override per network with CLAWYARD_WALLET_<NETWORK>.
+const CLAWYARD_WALLET = process.env.CLAWYARD_WALLET || '0x80370645C98f05Ad86BdF676FaE54afCDBF5BC10';
+
+// 'mainnet' (default) uses the real chains; 'local' runs every network against an anvil/hardhat node (see providers.js)
+const CHAIN_PROFILE = process.env.CHAIN_PROFILE === 'local' ? 'local' : 'mainnet';
+// Chain id of the local node - anvil and hardhat default to 31337. LOCAL_<NET>_CHAIN_ID overrides one network.
+const LOCAL_CHAIN_ID = parseInt(process.env.LOCAL_CHAIN_ID || '31337', 10);
+
+const DEFAULT_NETWORK = 'base';
+const DEFAULT_TOKEN = 'USDC';
+
+/**
+ * Payment network registry.
+ * Every token listed here supports EIP-3009, so it works for both the
+ * tx-hash flow and x402. `usdRate` is the USD value of one token unit.
+ * `rpcUrls` are the default fallback RPCs, overridable via <rpcEnv>_RPC_URL(S)
+ * (see providers.js).
+ */
+const NETWORKS = {
+  base: {
+    id: 'base',
+    name: 'Base',
+    chainId: 8453,
+    chain: base,
+    rpcEnv: 'BASE',
+    rpcUrls: ['https://mainnet.base.org', 'https://base-rpc.publicnode.com', 'https://base.llamarpc.com'],
+    wallet: process.env.CLAWYARD_WALLET_BASE || CLAWYARD_WALLET,
+    tokens: {
+      USDC: {
+        symbol: 'USDC',
+        address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+        decimals: 6,
+        usdRate: 1,
+        eip712: { name: 'USD Coin', version: '2' }
+      },
+      EURC: {
+        symbol: 'EURC',
+        address: '0x60a3E35Cc302bFA44Cb288Bc5a4F316Fdb1adb42',
+        decimals: 6,
+        usdRate: parseFloat(process.env.EURC_USD_RATE || '1.08'), // Approx rate, use a real API for production
+        eip712: { name: 'EURC', version: '2' }
+      }
+    }
+  },
+  ethereum: {
+    id: 'ethereum',
+    name: 'Ethereum',
+    chainId: 1,
+    chain: mainnet,
+    rpcEnv: 'ETH',
+    rpcUrls: ['https://eth.llamarpc.com', 'https://ethereum-rpc.publicnode.com', 'https://cloudflare-eth.com'],
+    wallet: process.env.CLAWYARD_WALLET_ETHEREUM || CLAWYARD_WALLET,
+    tokens: {
+      USDC: {
+        symbol: 'USDC',
+        address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+        decimals: 6,
+        usdRate: 1,
+        eip712: { name: 'USD Coin', version: '2' }
+      }
+    }
+  },
+  optimism: {
+    id: 'optimism',
+    name: 'Optimism',
+    chainId: 10,
+    chain: optimism,
+    rpcEnv: 'OPTIMISM',
+    rpcUrls: ['https://mainnet.optimism.io', 'https://optimism-rpc.publicnode.com'],
+    wallet: process.env.CLAWYARD_WALLET_OPTIMISM || CLAWYARD_WALLET,
+    tokens: {
+      USDC: {
+        symbol: 'USDC',
+        address: '0x0b2C639c533813f4Aa9D7837cAf62653d097Ff85',
+        decimals: 6,
+        usdRate: 1,
+        eip712: { name: 'USD Coin', version: '2' }
+      }
+    }
+  },
+  arbitrum: {
+    id: 'arbitrum',
+    name: 'Arbitrum One',
+    chainId: 42161,
+    chain: arbitrum,
+    rpcEnv: 'ARBITRUM',
+    rpcUrls: ['https://arb1.arbitrum.io/rpc', 'https://arbitrum-one-rpc.publicnode.com'],
+    wallet: process.env.CLAWYARD_WALLET_ARBITRUM || CLAWYARD_WALLET,
+    tokens: {
+      USDC: {
+        symbol: 'USDC',
+        address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831',
+        decimals: 6,
+        usdRate: 1,
+        eip712: { name: 'USD Coin', version: '2' }
+      }
+    }
+  }
+};
+
+// On the local profile a network keeps its tokens and contracts (from a fork) but takes the node's
+// chain id, so x402 and SIWE chain ids and EIP-712 domains match what the node signs and checks
+if (CHAIN_PROFILE === 'local') {
+  for (const network of Object.values(NETWORKS)) {
+    network.chainId = parseInt(process.env[`LOCAL_${network.rpcEnv}_CHAIN_ID`] || LOCAL_CHAIN_ID, 10);
+    network.chain = defineChain({ ...network.chain, id: network.chainId, name: `${network.name} (local)` });
+  }
+}
+
+// Networks we accept payments on (comma-separated ids), default all
+const ENABLED_NETWORKS = (process.env.PAYMENT_NETWORKS || Object.keys(NETWORKS).join(','))
+  .split(',')
+  .map(id => id.trim())
+  .filter(id => NETWORKS[id]);
+
+function getNetwork(networkId) {
+  return NETWORKS[networkId] || null;
+}
+
+/**
+ * Look up an accepted network + token pair
+ * @param {string} networkId - e.g. 'base'
+ * @param {string} symbol - e.g. 'USDC'
+ * @returns {Object|null} { network, token }
+ */
+function getPaymentToken(networkId = DEFAULT_NETWORK, symbol = DEFAULT_TOKEN) {
+  if (!ENABLED_NETWORKS.includes(networkId)) return null;
+  const network = NETWORKS[networkId];
+  const token = network.tokens[String(symbol).toUpperCase()];
+  return token ? { network, token } : null;
+}
+
+/**
+ * Convert a USD amount to a token amount, rounded up to the cent
+ * @param {number} usdAmount
+ * @param {Object} token - Registry token entry
+ * @param {number} [fingerprint] - Extra base units that make a quote's amount unique
+ * @returns {Object} { amount: '7.92', units: '7920000' }
+ */
+function toTokenAmount(usdAmount, token, fingerprint = 0) {
+  const cents = (Math.ceil((usdAmount / token.usdRate) * 100 - 1e-9) / 100).toFixed(2);
+  if (!fingerprint) {
+    return { amount: cents, units: parseUnits(cents, token.decimals).toString() };
+  }
+  const units = parseUnits(cents, token.decimals) + BigInt(fingerprint);
+  return { amount: formatUnits(units, token.decimals), units: units.toString() };
+}
+
+/**
+ * Every accepted network/token pair, optionally priced for a USD total
+ * @param {number} [usdAmount]
+ * @param {number} [fingerprint] - Quote fingerprint added to each amount
+ * @returns {Array}
+ */
+function listPaymentOptions(usdAmount, fingerprint = 0) {
+  const options = [];
+  for (const networkId of ENABLED_NETWORKS) {
+    const network = NETWORKS[networkId];
+    for (const token of Object.values(network.tokens)) {
+      options.push({
+        network: network.id,
+        chainId: network.chainId,
+        token: token.symbol,
+        tokenAddress: token.address,
+        decimals: token.decimals,
+        wallet: network.wallet,
+        ...(usdAmount !== undefined ? toTokenAmount(usdAmount, token, fingerprint) : {})
+      });
+    }
+  }
+  return options;
+}
+
+module.exports = {
+  NETWORKS,
+  CHAIN_PROFILE,
+  ENABLED_NETWORKS,
+  DEFAULT_NETWORK,
+  DEFAULT_TOKEN,
+  CLAWYARD_WALLET,
+  getNetwork,
+  getPaymentToken,
+  toTokenAmount,
+  listPaymentOptions
+};
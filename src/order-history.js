@@ -0,0 +1,123 @@
+const db = require('./database');
+
+// Cursors are opaque to the client: base64url JSON of the last order's createdAt and id
+function encodeCursor(order) {
+  return Buffer.from(JSON.stringify({ createdAt: order.createdAt, id: order.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return typeof createdAt === 'string' && typeof id === 'string' ? { createdAt, id } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// created_at is stored as SQLite UTC datetime text
+function sqliteTime(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// An order item as shown to the buyer - the Printful variant behind it is ours to know
+function publicItem({ printfulVariantId, ...item }) {
+  return item;
+}
+
+// A shipment as shown to the buyer - numbered by position, no address
+function publicShipment({ id, orderId, position, shippingAddress, items, ...shipment }) {
+  return { shipment: position, ...shipment, items: items.map(publicItem) };
+}
+
+/**
+ * An order as shown to the buyer. Shipping addresses are PII the agent
+ * already has, so they are left out - on the order and on each shipment.
+ * @param {Object} order
+ * @returns {Object}
+ */
+function publicOrder({ shippingAddress, ...order }) {
+  return { ...order, items: order.items.map(publicItem), shipments: order.shipments.map(publicShipment) };
+}
+
+/**
+ * One order as shown in a history list - no shipping address, same as GET /api/order/:id
+ * @param {Object} order
+ * @returns {Object}
+ */
+function orderSummary(order) {
+  return {
+    orderId: order.id,
+    status: order.status,
+    failureReason: order.failureReason,
+    agentId: order.agentId,
+    items: order.items.map(item => ({
+      id: item.id,
+      name: item.name,
+      qty: item.qty,
+      ...(item.variant ? { variant: item.variant, options: item.options } : {}),
+      ...(item.size ? { size: item.size } : {}),
+      ...(item.bundle ? { bundle: item.bundle } : {})
+    })),
+    itemCount: order.items.reduce((sum, item) => sum + (item.qty || 1), 0),
+    discounts: order.discounts,
+    total: order.totalUSDC,
+    refunded: order.refundedUSDC,
+    paymentNetwork: order.paymentNetwork,
+    paymentToken: order.paymentToken,
+    tracking: order.trackingNumber || order.trackingUrl ? {
+      carrier: order.carrier,
+      service: order.shippingService,
+      trackingNumber: order.trackingNumber,
+      trackingUrl: order.trackingUrl,
+      shippedAt: order.shippedAt
+    } : null,
+    shipments: order.shipments.map(shipment => ({
+      shipment: shipment.position,
+      status: shipment.status,
+      itemCount: shipment.items.reduce((sum, item) => sum + (item.qty || 1), 0),
+      trackingNumber: shipment.trackingNumber,
+      trackingUrl: shipment.trackingUrl,
+      shippedAt: shipment.shippedAt
+    })),
+    attestationUID: order.attestationUID,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt
+  };
+}
+
+/**
+ * A page of a wallet's orders, newest first
+ * @param {string} wallet - Signed-in wallet
+ * @param {Object} query - Validated GET /api/orders query: { limit, cursor, status, agentId, from, to }
+ * @returns {Object} { orders, nextCursor } or { status, error }
+ */
+function listOrderHistory(wallet, { limit, cursor, status, agentId, from, to }) {
+  const before = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !before) {
+    return { status: 400, error: 'Invalid cursor' };
+  }
+
+  // One extra row tells us whether there is another page
+  const orders = db.getOrdersByWallet(wallet, {
+    limit: limit + 1,
+    statuses: status,
+    agentId,
+    createdFrom: from ? sqliteTime(from) : undefined,
+    createdTo: to ? sqliteTime(to) : undefined,
+    before
+  });
+
+  const page = orders.slice(0, limit);
+  return {
+    orders: page.map(orderSummary),
+    nextCursor: orders.length > limit ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+module.exports = {
+  listOrderHistory,
+  orderSummary,
+  publicOrder,
+  publicItem,
+  publicShipment
+};
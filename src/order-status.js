@@ -0,0 +1,96 @@
+/**
+ * Order lifecycle:
+ *
+ *   quoted → payment_pending → paid → submitted → in_production → shipped → delivered
+ *
+ * plus `failed`, `cancelled` and `refunded`. Every status change goes through
+ * db.updateOrderStatus, which enforces these transitions and records an
+ * order_events row.
+ */
+const ORDER_STATUSES = [
+  'quoted',          // Order recorded against a quote, no payment seen yet
+  'payment_pending', // Payment found on-chain, waiting for confirmations
+  'paid',            // Payment final, not yet with Printful
+  'submitted',       // Printful order created
+  'in_production',   // Printful is printing it
+  'shipped',
+  'delivered',
+  'failed',          // See failureReason
+  'cancelled',       // Stopped after payment, refund to follow
+  'refunded'         // Fully refunded (partial refunds keep the current status)
+];
+
+const TRANSITIONS = {
+  // Cancelling only applies to paid orders - an unpaid order just never moves on
+  quoted: ['payment_pending', 'paid'],
+  payment_pending: ['paid', 'failed'],
+  paid: ['submitted', 'failed', 'cancelled', 'refunded'],
+  submitted: ['in_production', 'shipped', 'failed', 'cancelled', 'refunded'],
+  in_production: ['shipped', 'failed', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'failed', 'refunded'],
+  delivered: ['refunded'],
+  failed: ['submitted', 'cancelled', 'refunded'],
+  cancelled: ['refunded'],
+  refunded: []
+};
+
+// Why an order is 'failed'. Payment failures were never paid; fulfilment failures were.
+// 'payment_failed' is an x402 authorization that didn't settle.
+const FAILURE_REASONS = ['payment_reorged', 'payment_failed', 'printful_failed'];
+const PAYMENT_FAILURES = ['payment_reorged', 'payment_failed'];
+
+// Who changed the status, recorded with each event
+const ACTORS = ['agent', 'operator', 'watcher', 'confirmer', 'fulfillment', 'printful', 'system'];
+
+// Statuses used before the lifecycle was defined, mapped by the migration in database.js
+const LEGACY_STATUSES = {
+  pending: { status: 'quoted' },
+  payment_reorged: { status: 'failed', failureReason: 'payment_reorged' },
+  printful_failed: { status: 'failed', failureReason: 'printful_failed' }
+};
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Throw unless `from → to` is an allowed change
+ * @param {string|null} from - Current status (null for a new order)
+ * @param {string} to - New status
+ * @param {Object} [event] - { actor, failureReason }
+ */
+function assertTransition(from, to, { actor, failureReason } = {}) {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw new Error(`Unknown order status: ${to}`);
+  }
+  if (from !== null && !canTransition(from, to)) {
+    throw new Error(`Invalid order status transition: ${from} → ${to}`);
+  }
+  if (to === 'failed' && !FAILURE_REASONS.includes(failureReason)) {
+    throw new Error(`A failed order needs a failure reason (${FAILURE_REASONS.join(', ')})`);
+  }
+  if (actor && !ACTORS.includes(actor)) {
+    throw new Error(`Unknown order actor: ${actor}`);
+  }
+}
+
+/**
+ * Whether the order's payment was final and has not been unwound
+ * @param {Object} order - { status, failureReason }
+ * @returns {boolean}
+ */
+function isPaid(order) {
+  if (order.status === 'quoted' || order.status === 'payment_pending') return false;
+  return !(order.status === 'failed' && PAYMENT_FAILURES.includes(order.failureReason));
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  FAILURE_REASONS,
+  ACTORS,
+  LEGACY_STATUSES,
+  canTransition,
+  assertTransition,
+  isPaid
+};
@@ -0,0 +1,86 @@
+const { verifyMessage } = require('viem');
+
+/**
+ * Memo that ties a transfer to a quote: the quote UUID as 16 bytes of hex.
+ * Appended to the transfer calldata, where ERC-20 contracts ignore it.
+ * @param {string} quoteId
+ * @returns {string} 0x-prefixed hex
+ */
+function quoteMemo(quoteId) {
+  return '0x' + quoteId.replace(/-/g, '').toLowerCase();
+}
+
+/**
+ * Message a paying wallet signs (EIP-191) to let an agent wallet claim its payment
+ * @param {Object} params - { payer, wallet, quoteId }
+ * @returns {string}
+ */
+function delegationMessage({ payer, wallet, quoteId }) {
+  return [
+    'Clawyard payment delegation',
+    `Payer: ${payer.toLowerCase()}`,
+    `Agent wallet: ${wallet.toLowerCase()}`,
+    `Quote: ${quoteId}`
+  ].join('\n');
+}
+
+/**
+ * Check that a payment belongs to the agent placing the order. Accepted when
+ * the sender is the agent wallet and the caller proved it controls that
+ * wallet, the sender signed a delegation to that wallet for this quote, or
+ * the transaction carries the quote memo. Anyone can name a wallet and look
+ * up its agent, so a sender match alone proves nothing.
+ * @param {Object} params
+ * @param {string} params.payer - Address the funds came from
+ * @param {string} params.payerWallet - Verified ERC-8004 agent owner
+ * @param {string} params.quoteId - Quote being paid
+ * @param {boolean} [params.walletProven] - Caller controls payerWallet (session or walletSignature)
+ * @param {string} [params.delegation] - Delegation signature from the payer
+ * @param {string} [params.input] - Transaction calldata (tx-hash payments only)
+ * @returns {Promise<Object>} { verified, method } or { verified: false, error }
+ */
+async function verifyPaymentBinding({ payer, payerWallet, quoteId, walletProven = false, delegation, input }) {
+  if (!payer) {
+    return { verified: false, error: 'Payment sender could not be determined' };
+  }
+
+  const fromAgentWallet = payer.toLowerCase() === payerWallet.toLowerCase();
+  if (fromAgentWallet && walletProven) {
+    return { verified: true, method: 'sender' };
+  }
+
+  if (delegation) {
+    try {
+      const valid = await verifyMessage({
+        address: payer,
+        message: delegationMessage({ payer, wallet: payerWallet, quoteId }),
+        signature: delegation
+      });
+      if (valid) return { verified: true, method: 'delegation' };
+    } catch (error) {
+      console.error('Delegation check failed:', error.message);
+    }
+    return { verified: false, error: `paymentDelegation is not a valid signature from ${payer} for agent wallet ${payerWallet} and quote ${quoteId}` };
+  }
+
+  if (input && input.toLowerCase().includes(quoteMemo(quoteId).slice(2))) {
+    return { verified: true, method: 'memo' };
+  }
+
+  if (fromAgentWallet) {
+    return {
+      verified: false,
+      error: `Payment was sent from ${payerWallet}, but this request doesn't prove it controls that wallet. Sign in as it (Authorization: Bearer), add a walletSignature, or append the quote's paymentMemo to the transfer calldata.`
+    };
+  }
+  return {
+    verified: false,
+    error: `Payment was sent from ${payer}, not the agent wallet ${payerWallet}. Pay from the agent wallet, include a paymentDelegation signed by the sender, or append the quote's paymentMemo to the transfer calldata.`
+  };
+}
+
+module.exports = {
+  quoteMemo,
+  delegationMessage,
+  verifyPaymentBinding
+};
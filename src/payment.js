@@ -1,30 +1,43 @@
-const { createPublicClient, http, parseAbi, formatUnits } = require('viem');
-const { base } = require('viem/chains');
+const { parseAbi, formatUnits } = require('viem');
+const {
+  NETWORKS,
+  DEFAULT_NETWORK,
+  DEFAULT_TOKEN,
+  CLAWYARD_WALLET,
+  getPaymentToken,
+  toTokenAmount,
+} = require('./networks');
+const { getPublicClient } = require('./providers');
 
-// USDC on Base
-const USDC_ADDRESS = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
-const USDC_DECIMALS = 6;
+// USDC on Base (default payment option)
+const USDC_ADDRESS = NETWORKS.base.tokens.USDC.address;
 
-// Clawyard receiving wallet - set via env or use default
-const CLAWYARD_WALLET = process.env.CLAWYARD_WALLET || '0x80370645C98f05Ad86BdF676FaE54afCDBF5BC10';
+// Blocks (including the payment's own) before a payment is treated as final
+const PAYMENT_CONFIRMATIONS = parseInt(process.env.PAYMENT_CONFIRMATIONS || '3', 10);
 
 const ERC20_ABI = parseAbi([
   'event Transfer(address indexed from, address indexed to, uint256 value)'
 ]);
 
-const client = createPublicClient({
-  chain: base,
-  transport: http(process.env.BASE_RPC_URL || 'https://mainnet.base.org'),
-});
-
 /**
- * Verify a USDC payment on Base
+ * Verify a token payment to the Clawyard wallet
  * @param {string} txHash - Transaction hash
  * @param {number} expectedAmountUSD - Expected payment amount in USD
- * @param {number} tolerancePercent - Acceptable tolerance (default 1%)
+ * @param {Object} options
+ * @param {string} options.network - Registry network id (default 'base')
+ * @param {string} options.token - Token symbol (default 'USDC')
+ * @param {number} options.tolerancePercent - Acceptable tolerance (default 1%)
+ * @param {Function} options.bindPayer - Optional async (from, input) => { verified, error } check that the payment belongs to the buyer
  * @returns {Promise<Object>} Payment verification result
  */
-async function verifyPayment(txHash, expectedAmountUSD, tolerancePercent = 1) {
+async function verifyPayment(txHash, expectedAmountUSD, { network: networkId = DEFAULT_NETWORK, token: symbol = DEFAULT_TOKEN, tolerancePercent = 1, bindPayer } = {}) {
+  const accepted = getPaymentToken(networkId, symbol);
+  if (!accepted) {
+    return { verified: false, error: `${symbol} on ${networkId} is not an accepted payment option` };
+  }
+  const { network, token } = accepted;
+  const client = getPublicClient(network.id);
+
   try {
     // Get transaction receipt
     const receipt = await client.getTransactionReceipt({ hash: txHash });
@@ -37,9 +50,9 @@ async function verifyPayment(txHash, expectedAmountUSD, tolerancePercent = 1) {
       return { verified: false, error: 'Transaction failed' };
     }
 
-    // Find USDC Transfer event to our wallet
+    // Find the token Transfer event to our wallet
     const transferLog = receipt.logs.find(log => {
-      if (log.address.toLowerCase() !== USDC_ADDRESS.toLowerCase()) return false;
+      if (log.address.toLowerCase() !== token.address.toLowerCase()) return false;
 
       try {
         // Check if it's a Transfer event to our wallet
@@ -49,61 +62,174 @@ async function verifyPayment(txHash, expectedAmountUSD, tolerancePercent = 1) {
 
         // topics[2] is the 'to' address (padded to 32 bytes)
         const toAddress = '0x' + log.topics[2].slice(26);
-        return toAddress.toLowerCase() === CLAWYARD_WALLET.toLowerCase();
+        return toAddress.toLowerCase() === network.wallet.toLowerCase();
       } catch {
         return false;
       }
     });
 
     if (!transferLog) {
-      return { verified: false, error: 'No USDC transfer to Clawyard wallet found in transaction' };
+      return { verified: false, error: `No ${token.symbol} transfer to Clawyard wallet found in transaction on ${network.name}` };
+    }
+
+    // Extract sender
+    const from = '0x' + transferLog.topics[1].slice(26);
+
+    // Make sure the caller is entitled to claim this transfer
+    if (bindPayer) {
+      const tx = await client.getTransaction({ hash: txHash });
+      const binding = await bindPayer(from, tx.input);
+      if (!binding.verified) {
+        return { verified: false, unbound: true, error: binding.error, from };
+      }
     }
 
     // Decode the amount from data field
     const amountRaw = BigInt(transferLog.data);
-    const amountUSD = parseFloat(formatUnits(amountRaw, USDC_DECIMALS));
+    const amount = parseFloat(formatUnits(amountRaw, token.decimals));
+    const expectedAmount = parseFloat(toTokenAmount(expectedAmountUSD, token).amount);
+
+    // Use the block time, and count confirmations so the caller can wait for finality
+    const [block, latestBlock] = await Promise.all([
+      client.getBlock({ blockNumber: receipt.blockNumber }),
+      client.getBlockNumber(),
+    ]);
+    const confirmations = Number(latestBlock - receipt.blockNumber) + 1;
+
+    const payment = {
+      from,
+      amount,
+      amountUSD: Math.round(amount * token.usdRate * 100) / 100,
+      network: network.id,
+      token: token.symbol,
+      tokenAddress: token.address,
+      transactionHash: txHash,
+      blockNumber: Number(receipt.blockNumber),
+      blockHash: receipt.blockHash,
+      timestamp: Number(block.timestamp),
+      confirmations,
+      final: confirmations >= PAYMENT_CONFIRMATIONS,
+    };
 
-    // Check amount within tolerance
-    const minAmount = expectedAmountUSD * (1 - tolerancePercent / 100);
-    const maxAmount = expectedAmountUSD * (1 + tolerancePercent / 100);
+    // Check amount within tolerance - short payments keep their details so they can be credited
+    const minAmount = expectedAmount * (1 - tolerancePercent / 100);
 
-    if (amountUSD < minAmount) {
+    if (amount < minAmount) {
       return {
         verified: false,
-        error: `Insufficient payment: expected $${expectedAmountUSD.toFixed(2)}, received $${amountUSD.toFixed(2)}`,
-        amount: amountUSD,
-        from: '0x' + transferLog.topics[1].slice(26),
+        insufficient: true,
+        error: `Insufficient payment: expected ${expectedAmount.toFixed(2)} ${token.symbol}, received ${amount.toFixed(2)} ${token.symbol}`,
+        ...payment,
       };
     }
 
-    // Extract sender
-    const from = '0x' + transferLog.topics[1].slice(26);
-
-    return {
-      verified: true,
-      from,
-      amount: amountUSD,
-      transactionHash: txHash,
-      blockNumber: Number(receipt.blockNumber),
-      timestamp: Math.floor(Date.now() / 1000), // We could fetch block timestamp but this is close enough
-    };
+    return { verified: true, ...payment };
 
   } catch (error) {
     console.error('Payment verification error:', error);
-    return { verified: false, error: `Verification failed: ${error.message}` };
+    return { verified: false, retryable: true, error: `Verification failed: ${error.message}` };
   }
 }
 
+/**
+ * Re-check a previously verified payment for finality
+ * @param {string} txHash - Transaction hash
+ * @param {Object} seenIn - { blockNumber, blockHash } the payment was last seen in, if known
+ * @param {string} networkId - Registry network id the payment was made on
+ * @returns {Promise<Object>} { state: 'final'|'pending'|'reorged'|'failed', confirmations, blockNumber, blockHash }
+ */
+async function checkPaymentFinality(txHash, seenIn = {}, networkId = DEFAULT_NETWORK) {
+  const client = getPublicClient(networkId);
+  let receipt = null;
+  try {
+    receipt = await client.getTransactionReceipt({ hash: txHash });
+  } catch (error) {
+    // viem throws TransactionReceiptNotFoundError when the tx is not (or no longer) mined
+    if (!error.name?.includes('NotFound')) throw error;
+  }
+
+  if (!receipt) {
+    // Missing receipt only counts as a reorg once the original block is gone from the canonical chain
+    if (seenIn.blockNumber != null && seenIn.blockHash) {
+      const block = await client.getBlock({ blockNumber: BigInt(seenIn.blockNumber) });
+      if (block.hash !== seenIn.blockHash) {
+        return { state: 'reorged', confirmations: 0 };
+      }
+    }
+    return { state: 'pending', confirmations: 0 };
+  }
+
+  if (receipt.status !== 'success') {
+    return { state: 'failed', confirmations: 0 };
+  }
+
+  const [block, latestBlock] = await Promise.all([
+    client.getBlock({ blockNumber: receipt.blockNumber }),
+    client.getBlockNumber(),
+  ]);
+
+  // The receipt must belong to the block that is canonical at that height right now
+  if (block.hash !== receipt.blockHash) {
+    return { state: 'pending', confirmations: 0, blockNumber: Number(receipt.blockNumber), blockHash: receipt.blockHash };
+  }
+
+  const confirmations = Number(latestBlock - receipt.blockNumber) + 1;
+  return {
+    state: confirmations >= PAYMENT_CONFIRMATIONS ? 'final' : 'pending',
+    confirmations,
+    blockNumber: Number(receipt.blockNumber),
+    blockHash: receipt.blockHash,
+    timestamp: Number(block.timestamp),
+  };
+}
+
+/**
+ * Token transfers into the Clawyard wallet within a block range
+ * @param {string} networkId - Registry network id
+ * @param {string} symbol - Token symbol
+ * @param {bigint} fromBlock
+ * @param {bigint} toBlock
+ * @returns {Promise<Array>} [{ from, value, amount, amountUSD, txHash, logIndex, blockNumber }]
+ */
+async function getIncomingTransfers(networkId, symbol, fromBlock, toBlock) {
+  const network = NETWORKS[networkId];
+  const token = network.tokens[symbol];
+  const logs = await getPublicClient(networkId).getLogs({
+    address: token.address,
+    event: ERC20_ABI[0],
+    args: { to: network.wallet },
+    fromBlock,
+    toBlock,
+  });
+
+  return logs.map(log => {
+    const amount = parseFloat(formatUnits(log.args.value, token.decimals));
+    return {
+      from: log.args.from,
+      value: log.args.value,
+      amount,
+      amountUSD: Math.round(amount * token.usdRate * 100) / 100,
+      txHash: log.transactionHash,
+      logIndex: log.logIndex,
+      blockNumber: Number(log.blockNumber),
+    };
+  });
+}
+
 /**
  * Get the Clawyard receiving wallet address
+ * @param {string} networkId - Registry network id (default 'base')
  */
-function getPaymentAddress() {
-  return CLAWYARD_WALLET;
+function getPaymentAddress(networkId = DEFAULT_NETWORK) {
+  return NETWORKS[networkId]?.wallet || CLAWYARD_WALLET;
 }
 
 module.exports = {
   verifyPayment,
+  checkPaymentFinality,
+  getIncomingTransfers,
   getPaymentAddress,
+  PAYMENT_CONFIRMATIONS,
   USDC_ADDRESS,
   CLAWYARD_WALLET,
 };
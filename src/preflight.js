@@ -0,0 +1,270 @@
+const db = require('./database');
+const printfulService = require('./printful');
+const { validateOrder } = require('./validation');
+const { verifyAgent } = require('./agent-verify');
+const { applyCredit } = require('./credit');
+const { loadOpenQuote } = require('./quotes');
+const { quoteMemo } = require('./payment-binding');
+const { getPaymentToken, listPaymentOptions } = require('./networks');
+const { productVariants, itemLabel } = require('./products');
+const { recheckDiscount } = require('./discounts');
+const { proveWallet, sessionWallet, orderSignatureMessage } = require('./auth');
+
+// Warn when a quote has less than this long left to pay and order
+const QUOTE_EXPIRY_WARNING_SECONDS = 120;
+
+function pass(data = {}) {
+  return { passed: true, ...data };
+}
+
+function fail(status, error, details = {}) {
+  return { passed: false, status, error, ...details };
+}
+
+/**
+ * Response body for a failed check
+ * @param {Object} check - Result of one of the check functions
+ * @returns {Object}
+ */
+function checkError({ passed, status, ...body }) {
+  return body;
+}
+
+/**
+ * The quote exists, is still open and is for the right kind of order
+ * @param {string} quoteId
+ * @param {string} [kind] - 'catalog' or 'custom' (default: whatever the quote is)
+ * @returns {Object} Check result with `quote`
+ */
+function checkQuote(quoteId, kind) {
+  const { quote, status, error, ...details } = loadOpenQuote(quoteId, kind || db.getQuote(quoteId)?.kind);
+  if (error) return fail(status, error, details);
+  return pass({ quote });
+}
+
+/**
+ * Every quoted product, and the variant quoted, is still in the catalog and active
+ * @param {Array} catalog - Loaded sticker catalog
+ * @param {Object} quote
+ * @returns {Object} Check result
+ */
+function checkCatalog(catalog, quote) {
+  for (const item of quote.items) {
+    if (quote.kind === 'custom') {
+      if (!item.printfulVariantId) return fail(409, `Custom sticker size is no longer available: ${item.size}`);
+      continue;
+    }
+    const sticker = catalog.find(s => s.id === item.id);
+    if (!sticker || !sticker.active) {
+      return fail(409, `Sticker is no longer available: ${item.id}`, { message: 'Request a new quote without it.' });
+    }
+    if (item.variant && !productVariants(sticker).some(variant => variant.id === item.variant && variant.active)) {
+      return fail(409, `${itemLabel(item)} is no longer available`, { message: 'Request a new quote with another variant.' });
+    }
+  }
+  return pass();
+}
+
+/**
+ * Printful still ships each of the quote's shipments to its address with the quoted method.
+ * The quote keeps its locked shipping prices, so a changed rate is only a warning.
+ * @param {Object} quote
+ * @returns {Promise<Object>} Check result, with `warning` when a live rate differs
+ */
+async function checkShipping(quote) {
+  const warnings = [];
+  for (const [index, shipment] of quote.shipments.entries()) {
+    // Only name the shipment when there are several
+    const label = quote.shipments.length > 1 ? ` (shipment ${index + 1})` : '';
+
+    let rates;
+    try {
+      rates = printfulService.toUsdRates(await printfulService.estimateShipping(shipment.items, shipment.shippingAddress));
+    } catch (error) {
+      const reason = error.response?.data?.error?.message || error.response?.data?.result || error.message;
+      return fail(400, `Printful cannot ship to this address${label}`, { message: String(reason) });
+    }
+
+    const rate = rates.find(r => String(r.id) === shipment.shippingMethod);
+    if (!rate) {
+      return fail(409, `Shipping method ${shipment.shippingMethod} is no longer available for this address${label}`, {
+        message: 'Request a new quote to pick another method.'
+      });
+    }
+
+    if (parseFloat(rate.rate_usd).toFixed(2) !== parseFloat(shipment.shippingCost).toFixed(2)) {
+      warnings.push(`Printful now charges ${rate.rate_usd} USD for ${shipment.shippingMethod} shipping${label}; this quote keeps ${shipment.shippingCost}.`);
+    }
+  }
+
+  return warnings.length > 0 ? pass({ warning: warnings.join(' ') }) : pass();
+}
+
+/**
+ * The caller is a registered ERC-8004 agent owned by the paying wallet
+ * @param {string} agentId
+ * @param {string} payerWallet
+ * @returns {Promise<Object>} Check result with `owner`
+ */
+async function checkAgent(agentId, payerWallet) {
+  if (!agentId) {
+    return fail(403, 'Agent verification required', {
+      message: 'This store is for AI agents only. Provide your ERC-8004 agent ID.',
+      registry: 'https://erc8004.org'
+    });
+  }
+  if (!payerWallet) {
+    return fail(400, 'Wallet address required', {
+      message: 'Include your wallet address as payerWallet in the request body or x-wallet header. This must match the ERC-8004 agent owner.'
+    });
+  }
+
+  const agentCheck = await verifyAgent(agentId, payerWallet);
+  if (!agentCheck.verified) {
+    return fail(agentCheck.retryable ? 503 : 403, 'Agent verification failed', {
+      message: agentCheck.error,
+      help: 'Register your agent at https://erc8004.org to purchase from Clawyard.'
+    });
+  }
+  return pass({ owner: agentCheck.owner });
+}
+
+/**
+ * Whether the caller proved it controls payerWallet - a SIWE session for it or a
+ * walletSignature over the order. Without proof the order can still be placed,
+ * but store credit isn't spent. A signature that doesn't check out fails.
+ * @param {Object} quote
+ * @param {string} payerWallet
+ * @param {Object} proof - { sessionWallet, walletSignature }
+ * @returns {Promise<Object>} Check result with `proven`
+ */
+async function checkWallet(quote, payerWallet, { sessionWallet: signedIn, walletSignature }) {
+  const proven = await proveWallet({ wallet: payerWallet, quoteId: quote.id, sessionWallet: signedIn, signature: walletSignature });
+  if (walletSignature && !proven) {
+    return fail(401, 'Invalid walletSignature', {
+      message: payerWallet
+        ? `Sign this message with ${payerWallet}: ${JSON.stringify(orderSignatureMessage({ wallet: payerWallet, quoteId: quote.id }))}`
+        : 'walletSignature needs a payerWallet'
+    });
+  }
+  return pass({ proven });
+}
+
+/**
+ * The quote's token-holder or agent discount is for this wallet, and it still qualifies
+ * @param {Object} quote
+ * @param {string} payerWallet
+ * @returns {Promise<Object>} Check result
+ */
+async function checkDiscount(quote, payerWallet) {
+  const discount = await recheckDiscount(quote, payerWallet);
+  if (!discount.valid) {
+    return fail(discount.retryable ? 503 : 409, discount.error, discount.retryable ? {} : { message: 'The quote total includes the discount, so the order can only be placed while it applies.' });
+  }
+  return pass();
+}
+
+/**
+ * Work out what is due after store credit, and check the chosen token and tx hash
+ * @param {Object} quote
+ * @param {Object} params - { payerWallet, walletProven, paymentNetwork, paymentToken, paymentTxHash }
+ * @returns {Object} Check result with `total`, `credit` and `amountDue`
+ */
+function checkPayment(quote, { payerWallet, walletProven, paymentNetwork, paymentToken, paymentTxHash }) {
+  const total = parseFloat(quote.totalUSDC);
+  // Store credit from earlier overpayments or short payments is spent first - only by whoever controls the wallet
+  const credit = payerWallet && walletProven ? applyCredit(payerWallet, total) : { balance: 0, applied: 0, amountDue: total };
+
+  if (credit.amountDue > 0 && paymentNetwork && !getPaymentToken(paymentNetwork, paymentToken)) {
+    return fail(400, `${paymentToken} on ${paymentNetwork} is not accepted`, { paymentOptions: listPaymentOptions(credit.amountDue) });
+  }
+  if (paymentTxHash) {
+    const usedBy = db.getOrderByTxHash(paymentTxHash);
+    if (usedBy) {
+      return fail(400, 'This payment transaction has already been used', { orderId: usedBy.id, orderUrl: `/api/order/${usedBy.id}` });
+    }
+    if (db.getCreditByTxHash(paymentTxHash)) {
+      return fail(400, 'This payment transaction has already been used');
+    }
+  }
+  return pass({ total, credit, amountDue: credit.amountDue });
+}
+
+/**
+ * Run every order check without taking payment and report the result
+ * @param {Array} catalog - Loaded sticker catalog
+ * @param {Object} body - Order request body (same as POST /api/order)
+ * @param {Object} headers - Request headers (x-wallet, and Authorization for a session)
+ * @returns {Promise<Object>} { ready, checks, warnings, ... }
+ */
+async function preflightOrder(catalog, body, headers = {}) {
+  const checks = [];
+  const warnings = [];
+  const record = (name, check) => {
+    checks.push(check.passed
+      ? { name, passed: true }
+      : { name, passed: false, error: check.error, ...(check.message ? { message: check.message } : {}) });
+    if (check.warning) warnings.push(check.warning);
+    return check.passed;
+  };
+  const report = () => ({ ready: checks.every(check => check.passed), checks, warnings });
+
+  const { error, value } = validateOrder(body);
+  if (!record('request', error ? fail(400, error.details.map(detail => detail.message).join('; ')) : pass())) {
+    return report();
+  }
+
+  const quoteCheck = checkQuote(value.quoteId);
+  if (!record('quote', quoteCheck)) {
+    return report();
+  }
+  const { quote } = quoteCheck;
+  const secondsLeft = Math.floor((new Date(quote.expiresAt).getTime() - Date.now()) / 1000);
+  if (secondsLeft < QUOTE_EXPIRY_WARNING_SECONDS) {
+    warnings.push(`Quote expires in ${secondsLeft}s - pay and order now or request a new quote.`);
+  }
+
+  const payerWallet = value.payerWallet || headers['x-wallet'];
+  record('catalog', checkCatalog(catalog, quote));
+  record('shipping', await checkShipping(quote));
+  record('agent', await checkAgent(value.agentId, payerWallet));
+  const walletCheck = await checkWallet(quote, payerWallet, { sessionWallet: sessionWallet(headers), walletSignature: value.walletSignature });
+  record('wallet', walletCheck);
+  record('discount', await checkDiscount(quote, payerWallet));
+
+  const paymentCheck = checkPayment(quote, { ...value, payerWallet, walletProven: walletCheck.proven === true });
+  record('payment', paymentCheck);
+  if (!paymentCheck.passed) {
+    return { ...report(), quoteId: quote.id, kind: quote.kind, total: quote.totalUSDC };
+  }
+
+  const { credit, amountDue } = paymentCheck;
+  if (value.paymentTxHash && amountDue === 0) {
+    warnings.push('Store credit covers this order - the paymentTxHash is not needed.');
+  }
+
+  return {
+    ...report(),
+    quoteId: quote.id,
+    kind: quote.kind,
+    total: quote.totalUSDC,
+    creditApplied: credit.applied.toFixed(2),
+    amountDue: amountDue.toFixed(2),
+    // Quote amounts keep their fingerprint so the transfer watcher can match them
+    paymentOptions: amountDue > 0 ? listPaymentOptions(amountDue, credit.applied ? 0 : quote.fingerprint) : [],
+    paymentMemo: quoteMemo(quote.id),
+    expiresAt: quote.expiresAt
+  };
+}
+
+module.exports = {
+  checkQuote,
+  checkCatalog,
+  checkShipping,
+  checkAgent,
+  checkWallet,
+  checkDiscount,
+  checkPayment,
+  checkError,
+  preflightOrder
+};
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const { validatePricing } = require('./validation');
+const { productVariants, selectVariant } = require('./products');
+
+/*
+ * Every price the store charges: catalog and custom items, quantity tiers
+ * and bundles. Line items are priced at their unit price; tiers and bundles
+ * are itemised as discounts on the order as a whole, so a multi-recipient
+ * order gets the volume price for everything it sends.
+ */
+
+// Category prices, quantity tiers, bundles and holder discounts - read once at startup
+const PRICING_PATH = path.join(__dirname, '..', 'config', 'pricing.json');
+
+// Custom stickers are priced by the 'custom' category, with the Printful kiss-cut variant chosen by size
+const CUSTOM_STICKER_VARIANTS = {
+  '3x3': 10163,
+  '4x4': 10164,
+  '5.5x5.5': 10165
+};
+
+function loadPricing() {
+  const { error, value } = validatePricing(JSON.parse(fs.readFileSync(PRICING_PATH, 'utf8')));
+  if (error) {
+    throw new Error(`Invalid config/pricing.json: ${error.details[0].message}`);
+  }
+  return value;
+}
+
+const pricing = loadPricing();
+
+function roundUsd(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * What one of a product's variants sells for. A product sold without
+ * variants takes its category's price when config/pricing.json sets one.
+ * @param {Object} product - Catalog product
+ * @param {Object} variant - One of productVariants(product)
+ * @returns {number} USD
+ */
+function unitPrice(product, variant) {
+  if (variant.id === 'default' && pricing.categories[product.category] !== undefined) {
+    return pricing.categories[product.category];
+  }
+  return variant.price;
+}
+
+function customStickerPrice() {
+  return pricing.categories.custom;
+}
+
+function findBundle(id) {
+  return pricing.bundles.find(bundle => bundle.id === id && bundle.active) || null;
+}
+
+// One line item per product ordered, at its unit price
+function catalogLine(catalog, item) {
+  const sticker = catalog.find(s => s.id === item.id);
+  if (!sticker || !sticker.active) {
+    return { error: `Invalid sticker: ${item.id}` };
+  }
+  const { variant, error } = selectVariant(sticker, item);
+  if (error) return { error };
+
+  const price = unitPrice(sticker, variant);
+  return {
+    item: {
+      id: item.id,
+      productType: sticker.productType,
+      name: sticker.name,
+      qty: item.qty,
+      // Products without variants leave these out
+      ...(variant.id !== 'default' ? { variant: variant.id, options: variant.options } : {}),
+      price,
+      total: roundUsd(price * item.qty),
+      printfulVariantId: variant.printfulVariantId,
+      imageUrl: sticker.image ? (sticker.image.startsWith('/') ? `https://clawyard.dev${sticker.image}` : sticker.image) : null
+    }
+  };
+}
+
+// A bundle ships as its items, each marked with the bundle it came in
+function bundleLines(catalog, bundle, item) {
+  if (item.variant || item.options) {
+    return { error: `${bundle.name} is a bundle - its variants are fixed` };
+  }
+  const items = [];
+  for (const part of bundle.items) {
+    const line = catalogLine(catalog, { id: part.id, variant: part.variant, qty: part.qty * item.qty });
+    if (line.error) {
+      return { error: `${bundle.name} is not available: ${line.error}` };
+    }
+    items.push({ ...line.item, bundle: bundle.id });
+  }
+  return { items };
+}
+
+/**
+ * Price requested items against the catalog, at unit prices. Bundle ids
+ * expand into the bundle's items; its price comes off in priceOrder.
+ * @param {Array} catalog - Loaded sticker catalog
+ * @param {Object} request - { stickers } or { custom }
+ * @returns {Object} { items } or { error }
+ */
+function priceItems(catalog, { stickers, custom }) {
+  if (custom) {
+    const price = customStickerPrice();
+    return {
+      items: [{
+        id: 'custom',
+        productType: 'sticker',
+        name: 'Custom Sticker',
+        qty: 1,
+        price,
+        total: price,
+        printfulVariantId: CUSTOM_STICKER_VARIANTS[custom.size],
+        imageUrl: custom.imageUrl,
+        size: custom.size
+      }]
+    };
+  }
+
+  const items = [];
+  for (const item of stickers) {
+    const bundle = !catalog.some(s => s.id === item.id) && findBundle(item.id);
+    const priced = bundle ? bundleLines(catalog, bundle, item) : catalogLine(catalog, item);
+    if (priced.error) return { error: priced.error };
+    items.push(...(priced.items || [priced.item]));
+  }
+  return { items };
+}
+
+// Each bundle ordered comes to its price, never more than its items bought separately
+function bundleDiscounts(items) {
+  const discounts = [];
+  for (const bundle of pricing.bundles) {
+    const lines = items.filter(item => item.bundle === bundle.id);
+    if (lines.length === 0) continue;
+
+    // How many bundles, possibly across shipments
+    const count = lines.reduce((sum, line) => sum + line.qty, 0) / bundle.items.reduce((sum, part) => sum + part.qty, 0);
+    const listTotal = lines.reduce((sum, line) => sum + line.total, 0);
+    const amount = roundUsd(Math.max(listTotal - bundle.price * count, 0));
+    if (amount > 0) {
+      discounts.push({ type: 'bundle', id: bundle.id, label: `${bundle.name}${count > 1 ? ` x${count}` : ''}`, amount });
+    }
+  }
+  return discounts;
+}
+
+// The best tier each product type reaches, on its items outside bundles
+function tierDiscounts(items) {
+  const discounts = [];
+  for (const [productType, tiers] of Object.entries(pricing.tiers)) {
+    const lines = items.filter(item => (item.productType || 'sticker') === productType && !item.bundle);
+    const qty = lines.reduce((sum, line) => sum + line.qty, 0);
+    const tier = tiers.filter(t => qty >= t.minQty).sort((a, b) => b.minQty - a.minQty)[0];
+    if (!tier) continue;
+
+    const amount = roundUsd(lines.reduce((sum, line) => sum + line.total, 0) * tier.percentOff / 100);
+    discounts.push({ type: 'volume', productType, label: `${tier.percentOff}% off ${qty} ${productType}s`, minQty: tier.minQty, percentOff: tier.percentOff, amount });
+  }
+  return discounts;
+}
+
+/**
+ * Total an order's items with the bundles and quantity tiers they qualify for
+ * @param {Array} items - Line items from priceItems, across every shipment
+ * @returns {Object} { subtotal, discounts, discount, total } - subtotal at unit prices; discounts itemised
+ */
+function priceOrder(items) {
+  const subtotal = roundUsd(items.reduce((sum, item) => sum + item.total, 0));
+  const discounts = [...bundleDiscounts(items), ...tierDiscounts(items)];
+  const discount = roundUsd(discounts.reduce((sum, line) => sum + line.amount, 0));
+  return { subtotal, discounts, discount, total: roundUsd(subtotal - discount) };
+}
+
+/**
+ * Bundles that can be ordered now - every item is in the active catalog
+ * @param {Array} catalog - Active catalog products
+ * @returns {Array} [{ id, name, description, items, price, listPrice }]
+ */
+function listBundles(catalog) {
+  return pricing.bundles
+    .filter(bundle => bundle.active)
+    .map(bundle => ({ bundle, priced: bundleLines(catalog, bundle, { qty: 1 }) }))
+    .filter(({ priced }) => !priced.error)
+    .map(({ bundle, priced }) => ({
+      id: bundle.id,
+      name: bundle.name,
+      description: bundle.description,
+      items: bundle.items,
+      price: bundle.price,
+      listPrice: roundUsd(priced.items.reduce((sum, item) => sum + item.total, 0))
+    }));
+}
+
+// Quantity tiers by product type, for the catalog listing
+function listTiers() {
+  return pricing.tiers;
+}
+
+// Token-holder and agent discount rules (see discounts.js)
+function listHolderDiscounts() {
+  return pricing.holderDiscounts.filter(rule => rule.active);
+}
+
+/**
+ * The lowest price a product is sold at, for listings
+ * @param {Object} product - Catalog product
+ * @returns {number}
+ */
+function fromPrice(product) {
+  const active = productVariants(product).filter(variant => variant.active);
+  return Math.min(...(active.length > 0 ? active : productVariants(product)).map(variant => unitPrice(product, variant)));
+}
+
+module.exports = {
+  unitPrice,
+  fromPrice,
+  customStickerPrice,
+  priceItems,
+  priceOrder,
+  listBundles,
+  listTiers,
+  listHolderDiscounts,
+  CUSTOM_STICKER_VARIANTS
+};
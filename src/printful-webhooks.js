@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const db = require('./database');
+const { canTransition } = require('./order-status');
+const { closeCancelledOrder, refundCancelledShipments } = require('./cancellation');
+
+// Printful v2 webhook events, registered by scripts/register-printful-webhook.js
+const WEBHOOK_EVENTS = ['shipment_sent', 'order_updated', 'order_failed', 'order_canceled', 'order_put_hold'];
+
+// Printful order statuses meaning it has started printing
+const IN_PRODUCTION_STATUSES = ['inprocess', 'partial'];
+
+// Deliveries older than this are refused, which also bounds how long applied events are remembered
+const WEBHOOK_MAX_AGE_MS = parseInt(process.env.PRINTFUL_WEBHOOK_MAX_AGE_HOURS || '72', 10) * 60 * 60 * 1000;
+// Leeway for clocks ahead of ours
+const WEBHOOK_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Sign a webhook body the way Printful v2 does: HMAC-SHA256 keyed with the
+ * hex-decoded secret_key Printful issued when the webhook was registered
+ * @param {Buffer|string} rawBody
+ * @param {string} secret - Hex secret key
+ * @returns {string} Hex signature, as sent in x-pf-webhook-signature
+ */
+function signWebhookBody(rawBody, secret) {
+  return crypto.createHmac('sha256', Buffer.from(secret, 'hex')).update(rawBody).digest('hex');
+}
+
+/**
+ * Check Printful's signature on a delivery against PRINTFUL_WEBHOOK_SECRET
+ * @param {Buffer} rawBody
+ * @param {string} signature - x-pf-webhook-signature header
+ * @returns {boolean}
+ */
+function verifyWebhookSignature(rawBody, signature) {
+  const secret = process.env.PRINTFUL_WEBHOOK_SECRET;
+  if (!secret || !rawBody || typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(signWebhookBody(rawBody, secret), 'hex');
+  const given = Buffer.from(signature, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// v2 order events carry data.order; shipment events may only reference it from data.shipment
+function eventOrder(data) {
+  if (data.order) return data.order;
+  if (data.shipment) return { id: data.shipment.order_id, external_id: data.shipment.order_external_id };
+  return null;
+}
+
+function toIso(value) {
+  if (!value) return new Date().toISOString();
+  return typeof value === 'number' ? new Date(value * 1000).toISOString() : new Date(value).toISOString();
+}
+
+/**
+ * Find our order and shipment for a Printful order. external_id is `CLW-` plus
+ * the first 8 characters of our order ID, with `-<n>` for shipment n > 1;
+ * the Printful order ID settles any collision.
+ * @param {Object} printfulOrder - { id, external_id } from the webhook
+ * @returns {Object|null} { order, shipment }
+ */
+function findShipment(printfulOrder) {
+  const externalId = printfulOrder?.external_id;
+  const match = typeof externalId === 'string' && /^CLW-([0-9a-f]{8})(?:-(\d+))?$/i.exec(externalId);
+  if (!match) return null;
+
+  const position = match[2] ? parseInt(match[2], 10) : 1;
+  const candidates = db.getOrdersByIdPrefix(match[1].toLowerCase())
+    .map(order => ({ order, shipment: order.shipments.find(shipment => shipment.position === position) }))
+    .filter(candidate => candidate.shipment);
+  if (candidates.length === 1) return candidates[0];
+  return candidates.find(({ shipment }) => String(shipment.printfulOrderId) === String(printfulOrder.id)) || null;
+}
+
+// v2 deliveries have no event id; a retry repeats the type, order and occurred_at
+function eventKey(type, printfulOrder, data, occurredAt) {
+  return [type, printfulOrder?.id ?? printfulOrder?.external_id, data.shipment?.id ?? '', occurredAt].join(':');
+}
+
+// Printful can report something we've already moved past (e.g. a cancel after our own refund)
+function applyStatus(order, status, event) {
+  if (!canTransition(order.status, status)) {
+    console.warn(`⚠️  Printful reported ${status} for order ${order.id}, which is ${order.status} - status left as is`);
+    return false;
+  }
+  return db.updateOrderStatus(order.id, status, { actor: 'printful', ...event });
+}
+
+/**
+ * Apply a Printful webhook event to its order, once. Events older than
+ * PRINTFUL_WEBHOOK_MAX_AGE_HOURS and ones already applied are acknowledged
+ * without touching the order, so a replayed delivery changes nothing.
+ * @param {Object} event - v2 webhook body: { type, occurred_at, data: { order?, shipment?, reason? } }
+ * @returns {Promise<Object>} { handled, orderId, status } or { handled: false, reason }
+ */
+async function handlePrintfulEvent(event) {
+  const { type, data = {} } = event || {};
+  if (!WEBHOOK_EVENTS.includes(type)) {
+    return { handled: false, reason: `Ignored event type: ${type}` };
+  }
+
+  const occurredAt = new Date(typeof event.occurred_at === 'number' ? event.occurred_at * 1000 : event.occurred_at);
+  const age = Date.now() - occurredAt.getTime();
+  if (Number.isNaN(age) || age > WEBHOOK_MAX_AGE_MS || age < -WEBHOOK_CLOCK_SKEW_MS) {
+    console.warn(`⚠️  Printful ${type} refused: occurred_at ${event.occurred_at} is outside the accepted window`);
+    return { handled: false, reason: 'Stale or undated event' };
+  }
+
+  const printfulOrder = eventOrder(data);
+  const key = eventKey(type, printfulOrder, data, occurredAt.toISOString());
+  if (!db.claimWebhookEvent(key, new Date(occurredAt.getTime() + WEBHOOK_MAX_AGE_MS).toISOString())) {
+    return { handled: false, reason: 'Duplicate event' };
+  }
+
+  try {
+    return await applyEvent(type, data, printfulOrder);
+  } catch (error) {
+    // Not applied - let Printful's retry through
+    db.releaseWebhookEvent(key);
+    throw error;
+  }
+}
+
+async function applyEvent(type, data, printfulOrder) {
+  const found = findShipment(printfulOrder);
+  if (!found) {
+    console.warn(`⚠️  Printful ${type} for unknown order ${printfulOrder?.external_id}`);
+    return { handled: false, reason: `No order for external_id ${printfulOrder?.external_id}` };
+  }
+  const { order, shipment } = found;
+  // Only worth saying which parcel when there are several
+  const label = order.shipments.length > 1 ? ` (shipment ${shipment.position})` : '';
+
+  switch (type) {
+    case 'shipment_sent': {
+      const parcel = data.shipment || {};
+      db.updateShipmentTracking(shipment.id, {
+        carrier: parcel.carrier,
+        service: parcel.service,
+        trackingNumber: parcel.tracking_number,
+        trackingUrl: parcel.tracking_url,
+        shippedAt: toIso(parcel.shipped_at)
+      });
+      const reason = `Shipped${label} with ${parcel.carrier || 'carrier'} ${parcel.tracking_number || ''}`.trim();
+      // The order is shipped once every parcel still going out has left
+      const pending = db.getShipments(order.id).filter(s => s.status !== 'shipped' && s.status !== 'delivered' && s.status !== 'cancelled');
+      if (pending.length === 0) {
+        applyStatus(order, 'shipped', { reason });
+      } else {
+        db.addOrderEvent(order.id, { from: order.status, to: order.status, actor: 'printful', reason });
+      }
+      console.log(`📦 Order ${order.id}${label} shipped (${parcel.tracking_number || 'no tracking number'})`);
+      break;
+    }
+    case 'order_updated':
+      // Only the move into production matters; other updates are already covered by their own events
+      if (!IN_PRODUCTION_STATUSES.includes(data.order?.status) || shipment.status !== 'submitted') break;
+      db.updateShipmentStatus(shipment.id, 'in_production');
+      // The first parcel Printful starts on puts the order in production - it can't be cancelled from here
+      if (order.status === 'submitted') {
+        applyStatus(order, 'in_production', { reason: `In production${label}` });
+      } else {
+        db.addOrderEvent(order.id, { from: order.status, to: order.status, actor: 'printful', reason: `In production${label}` });
+      }
+      console.log(`🏭 Order ${order.id}${label} is in production`);
+      break;
+    case 'order_failed':
+      db.updateShipmentStatus(shipment.id, 'failed');
+      applyStatus(order, 'failed', { failureReason: 'printful_failed', reason: `${data.reason || 'Printful order failed'}${label}` });
+      break;
+    case 'order_canceled': {
+      // Our own cancellations come back as this event, after the shipment is already cancelled
+      if (shipment.status === 'cancelled') break;
+      db.updateShipmentStatus(shipment.id, 'cancelled');
+      const reason = `${data.reason || 'Cancelled in Printful'}${label}`;
+      console.warn(`⚠️  Printful cancelled order ${order.id}${label}: ${data.reason || 'no reason given'}`);
+
+      // Refunded like an agent cancellation: all of it, or the cancelled parcel pro rata
+      const remaining = db.getShipments(order.id).filter(s => s.status !== 'cancelled');
+      if (remaining.length === 0 && canTransition(order.status, 'cancelled')) {
+        await closeCancelledOrder(order.id, { actor: 'printful', reason });
+      } else if (remaining.length === 0) {
+        applyStatus(order, 'cancelled', { reason });
+      } else {
+        await refundCancelledShipments(order.id, { cancelled: [shipment.position], remaining: remaining.map(s => s.position) }, { actor: 'printful', reason });
+      }
+      break;
+    }
+    case 'order_put_hold':
+      // Not a status change - Printful is waiting on something, usually a file or address issue
+      db.addOrderEvent(order.id, { from: order.status, to: order.status, actor: 'printful', reason: `On hold${label}: ${data.reason || 'no reason given'}` });
+      console.warn(`⚠️  Printful put order ${order.id}${label} on hold: ${data.reason}`);
+      break;
+  }
+
+  return { handled: true, orderId: order.id, status: db.getOrder(order.id).status };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signWebhookBody,
+  verifyWebhookSignature,
+  handlePrintfulEvent
+};
@@ -16,24 +16,58 @@ const printfulAPI = axios.create({
   }
 });
 
+// Store details on every packing slip; a gift's sender name and message are added per order
+const PACKING_SLIP = {
+  storeName: process.env.PACKING_SLIP_STORE_NAME || 'Clawyard',
+  logoUrl: process.env.PACKING_SLIP_LOGO_URL || '',
+  email: process.env.PACKING_SLIP_EMAIL || '',
+  phone: process.env.PACKING_SLIP_PHONE || '',
+  message: process.env.PACKING_SLIP_MESSAGE || ''
+};
+
+/**
+ * Printful packing_slip options for a parcel
+ * @param {Object} options - { giftFrom, giftMessage }, both optional
+ * @returns {Object}
+ */
+function packingSlip({ giftFrom, giftMessage } = {}) {
+  const slip = {
+    store_name: giftFrom ? `${giftFrom} via ${PACKING_SLIP.storeName}` : PACKING_SLIP.storeName,
+    message: giftMessage || PACKING_SLIP.message
+  };
+  if (PACKING_SLIP.logoUrl) slip.logo_url = PACKING_SLIP.logoUrl;
+  if (PACKING_SLIP.email) slip.email = PACKING_SLIP.email;
+  if (PACKING_SLIP.phone) slip.phone = PACKING_SLIP.phone;
+  return slip;
+}
+
+// Printful knows our orders by this external_id - one per shipment, the first keeps the plain form
+function externalId(orderId, shipment = 1) {
+  const base = `CLW-${orderId.slice(0, 8)}`;
+  return shipment > 1 ? `${base}-${shipment}` : base;
+}
+
 /**
  * Create a Printful order
  * @param {Object} orderData 
  * @param {string} orderData.orderId - Internal order ID
+ * @param {number} [orderData.shipment=1] - Shipment position within the order
  * @param {Array} orderData.items - Order items
  * @param {Object} orderData.shippingAddress - Shipping details
  * @param {string} orderData.shippingMethod - Selected shipping method (e.g., "Flat Rate")
  * @param {number} orderData.shippingCost - Cost of shipping in USD
+ * @param {number} [orderData.discount=0] - The shipment's share of the order's discounts in USD
+ * @param {Object} [orderData.gift] - { giftFrom, giftMessage } for the packing slip
  * @returns {Promise<number>} Printful order ID
  */
 async function createOrder(orderData) {
   if (!API_KEY) {
-    console.log(`📋 [STUB] Printful order creation for ${orderData.orderId}`);
+    console.log(`📋 [STUB] Printful order creation for ${externalId(orderData.orderId, orderData.shipment)}`);
     return Math.floor(Math.random() * 1000000); // Stub order ID
   }
 
   try {
-    const { orderId, items, shippingAddress } = orderData;
+    const { orderId, shipment, items, shippingAddress, shippingMethod, shippingCost, discount, gift } = orderData;
     
     // Map our items to Printful format (one-off orders, no sync needed)
     const printfulItems = items.map(item => ({
@@ -49,8 +83,8 @@ async function createOrder(orderData) {
     }));
 
     const printfulOrder = {
-      external_id: `CLW-${orderId.slice(0, 8)}`,
-      shipping: 'STANDARD', // or based on customer selection
+      external_id: externalId(orderId, shipment),
+      shipping: shippingMethod || 'STANDARD', // Printful rate id locked in the quote
       recipient: {
         name: shippingAddress.name,
         company: shippingAddress.company || '',
@@ -64,16 +98,17 @@ async function createOrder(orderData) {
         email: shippingAddress.email || ''
       },
       items: printfulItems,
+      packing_slip: packingSlip(gift),
       retail_costs: {
         currency: 'USD',
         subtotal: items.reduce((sum, item) => sum + item.total, 0).toFixed(2),
-        discount: '0.00',
-        shipping: '0.00', // TODO: Calculate shipping
+        discount: (parseFloat(discount) || 0).toFixed(2),
+        shipping: (parseFloat(shippingCost) || 0).toFixed(2),
         tax: '0.00' // TODO: Calculate tax if needed
       }
     };
 
-    console.log(`📋 Creating Printful order for ${orderId}...`);
+    console.log(`📋 Creating Printful order for ${externalId(orderId, shipment)}...`);
     const response = await printfulAPI.post('/orders', printfulOrder);
     
     if (response.data && response.data.result) {
@@ -81,8 +116,7 @@ async function createOrder(orderData) {
       console.log(`✅ Printful order created (draft): ${printfulOrderId}, confirming...`);
       
       // Confirm the order so it enters production
-      await printfulAPI.post(`/orders/${printfulOrderId}/confirm`);
-      console.log(`✅ Printful order confirmed: ${printfulOrderId}`);
+      await confirmOrder(printfulOrderId);
       return printfulOrderId;
     } else {
       throw new Error('Invalid response from Printful API');
@@ -94,10 +128,53 @@ async function createOrder(orderData) {
   }
 }
 
+/**
+ * Confirm a draft Printful order so it enters production
+ * @param {number} printfulOrderId
+ */
+async function confirmOrder(printfulOrderId) {
+  await printfulAPI.post(`/orders/${printfulOrderId}/confirm`);
+  console.log(`✅ Printful order confirmed: ${printfulOrderId}`);
+}
+
+/**
+ * Find the Printful order for one of our orders, e.g. to resume a submission
+ * that created the draft but failed before confirming it
+ * @param {string} orderId - Internal order ID
+ * @param {number} [shipment=1] - Shipment position within the order
+ * @returns {Promise<Object|null>} { id, status } or null if Printful has none
+ */
+async function findOrder(orderId, shipment = 1) {
+  if (!API_KEY) return null;
+
+  try {
+    const response = await printfulAPI.get(`/orders/@${externalId(orderId, shipment)}`);
+    const order = response.data.result;
+    return { id: order.id, status: order.status };
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    console.error('Failed to look up Printful order:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
+// Printful shipment → our field names (dates as ISO strings)
+function mapShipment(shipment) {
+  return {
+    carrier: shipment.carrier || null,
+    service: shipment.service || null,
+    trackingNumber: shipment.tracking_number || null,
+    trackingUrl: shipment.tracking_url || null,
+    shipDate: shipment.ship_date || null,
+    shippedAt: shipment.shipped_at ? new Date(shipment.shipped_at * 1000).toISOString() : null,
+    reshipment: Boolean(shipment.reshipment)
+  };
+}
+
 /**
  * Get Printful order status
  * @param {number} printfulOrderId 
- * @returns {Promise<Object>} Order status
+ * @returns {Promise<Object>} Order status, with every shipment in `shipments`
  */
 async function getOrderStatus(printfulOrderId) {
   if (!API_KEY) {
@@ -105,7 +182,9 @@ async function getOrderStatus(printfulOrderId) {
       id: printfulOrderId,
       status: 'pending',
       shipping: null,
-      tracking: null
+      tracking: null,
+      shipments: [],
+      estimatedDelivery: null
     };
   }
 
@@ -119,6 +198,7 @@ async function getOrderStatus(printfulOrderId) {
         status: order.status,
         shipping: order.shipments?.[0] || null,
         tracking: order.shipments?.[0]?.tracking_number || null,
+        shipments: (order.shipments || []).map(mapShipment),
         estimatedDelivery: order.estimated_fulfillment || null
       };
     } else {
@@ -178,6 +258,39 @@ async function getProducts() {
   }
 }
 
+/**
+ * Look up a catalog variant: what it costs us and whether Printful can still make it
+ * @param {number} variantId - Printful variant ID
+ * @returns {Promise<Object|null>} { id, productId, name, price, currency, inStock, discontinued, availability } or null if Printful has none
+ */
+async function getVariant(variantId) {
+  if (!API_KEY) {
+    return { id: variantId, productId: 1, name: 'Stub variant', price: '1.50', currency: 'USD', inStock: true, discontinued: false, availability: [] };
+  }
+
+  try {
+    const response = await printfulAPI.get(`/products/variant/${variantId}`);
+    const { variant, product } = response.data.result;
+    const availability = (variant.availability_status || []).map(({ region, status }) => ({ region, status }));
+    return {
+      id: variant.id,
+      productId: variant.product_id,
+      name: variant.name,
+      price: variant.price,
+      currency: variant.currency || 'USD',
+      inStock: variant.in_stock !== false,
+      // Discontinued everywhere, or the whole product is
+      discontinued: Boolean(product?.is_discontinued) ||
+        (availability.length > 0 && availability.every(({ status }) => status === 'discontinued')),
+      availability
+    };
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    console.error('Failed to look up Printful variant:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
 /**
  * Estimate shipping costs
  * @param {Array} items - Order items
@@ -186,10 +299,10 @@ async function getProducts() {
  */
 async function estimateShipping(items, address) {
   if (!API_KEY) {
-    return {
-      standard: { cost: 4.99, currency: 'USD' },
-      express: { cost: 12.99, currency: 'USD' }
-    };
+    return [
+      { id: 'STANDARD', name: 'Flat Rate (Estimated delivery: 5-10 business days)', rate: '4.99', currency: 'USD' },
+      { id: 'EXPRESS', name: 'Express (Estimated delivery: 2-4 business days)', rate: '12.99', currency: 'USD' }
+    ];
   }
 
   try {
@@ -214,10 +327,40 @@ async function estimateShipping(items, address) {
   }
 }
 
+/**
+ * Convert Printful shipping rates to USD
+ * Printful quotes in the store currency (CAD for our account).
+ * @param {Array|Object} rates - Result of estimateShipping
+ * @returns {Array} Rates with rate_usd added
+ */
+function toUsdRates(rates) {
+  return Object.values(rates).map(rate => ({
+    ...rate,
+    rate_usd: toUsd(rate.rate, rate.currency).toFixed(2),
+    currency: 'USD'
+  }));
+}
+
+/**
+ * Convert a Printful amount to USD
+ * @param {string|number} amount
+ * @param {string} currency - 'USD', or the store currency (CAD for our account)
+ * @returns {number}
+ */
+function toUsd(amount, currency) {
+  const cadToUsdRate = 0.73; // Approx rate, use a real API for production
+  return parseFloat(amount) * (currency === 'USD' ? 1 : cadToUsdRate);
+}
+
 module.exports = {
   createOrder,
+  confirmOrder,
+  findOrder,
   getOrderStatus,
   cancelOrder,
   getProducts,
-  estimateShipping
+  getVariant,
+  estimateShipping,
+  toUsdRates,
+  toUsd
 };
\ No newline at end of file
@@ -0,0 +1,112 @@
+/*
+ * Product types and variants. A catalog product has `options` (e.g. size and
+ * colour) and `variants`, one per combination it is sold in, each with its
+ * own Printful variant and price. A product without variants is sold as one
+ * 'default' variant at its basePrice.
+ */
+
+// Product types Printful makes for us → the category named on receipts
+const PRODUCT_TYPES = {
+  sticker: 'stickers',
+  tee: 'apparel',
+  hoodie: 'apparel',
+  mug: 'drinkware',
+  poster: 'wall-art'
+};
+
+/**
+ * A product's variants, with the single 'default' variant for one that has none
+ * @param {Object} product - Catalog product
+ * @returns {Array} [{ id, options, printfulVariantId, price, active }]
+ */
+function productVariants(product) {
+  if (product.variants && product.variants.length > 0) return product.variants;
+  return [{ id: 'default', options: {}, printfulVariantId: product.printfulVariantId, price: product.basePrice, active: true }];
+}
+
+/**
+ * Check a product's variants against its options: every variant names a
+ * value for each option, and no two variants are the same combination
+ * @param {Object} product - Validated catalog product
+ * @returns {string|null} What is wrong, or null
+ */
+function checkVariants(product) {
+  const options = product.options || [];
+  const seen = new Set();
+  for (const variant of product.variants || []) {
+    for (const option of options) {
+      const value = variant.options[option.name];
+      if (!option.values.includes(value)) {
+        return `Variant ${variant.id} needs a ${option.name} of ${option.values.join(', ')}`;
+      }
+    }
+    const extra = Object.keys(variant.options).find(name => !options.some(option => option.name === name));
+    if (extra) {
+      return `Variant ${variant.id} has an option the product doesn't: ${extra}`;
+    }
+
+    const combination = options.map(option => variant.options[option.name]).join('/');
+    if (seen.has(combination)) {
+      return `More than one variant is ${combination || 'the default'}`;
+    }
+    seen.add(combination);
+  }
+  return null;
+}
+
+/**
+ * Pick the variant an order item asks for, by variant id or by option values.
+ * A product sold in only one variant needs neither.
+ * @param {Object} product - Catalog product
+ * @param {Object} selection - { variant, options } from the order item
+ * @returns {Object} { variant } or { error }
+ */
+function selectVariant(product, { variant: variantId, options } = {}) {
+  const variants = productVariants(product).filter(variant => variant.active);
+
+  let variant;
+  if (variantId) {
+    variant = variants.find(v => v.id === variantId);
+  } else if (options) {
+    variant = variants.find(v => (product.options || []).every(option => v.options[option.name] === options[option.name]));
+  } else if (variants.length === 1) {
+    variant = variants[0];
+  } else {
+    const choices = (product.options || []).map(option => `${option.name} (${option.values.join(', ')})`).join(', ');
+    return { error: `Choose a variant of ${product.id}: send variant, or options for ${choices}` };
+  }
+
+  if (!variant) {
+    return { error: `Variant not available for ${product.id}: ${variantId || Object.values(options).join(' / ')}` };
+  }
+  return { variant };
+}
+
+/**
+ * An order item's name with its options, e.g. "Clawyard Tee (M / Black)"
+ * @param {Object} item - Priced line item
+ * @returns {string}
+ */
+function itemLabel(item) {
+  const values = Object.values(item.options || {});
+  return values.length > 0 ? `${item.name} (${values.join(' / ')})` : item.name;
+}
+
+/**
+ * Receipt product category for a set of items, e.g. 'stickers' or 'apparel,stickers'
+ * @param {Array} items - Priced line items
+ * @returns {string}
+ */
+function productCategory(items) {
+  const categories = new Set(items.map(item => PRODUCT_TYPES[item.productType] || PRODUCT_TYPES.sticker));
+  return [...categories].sort().join(',');
+}
+
+module.exports = {
+  PRODUCT_TYPES,
+  productVariants,
+  checkVariants,
+  selectVariant,
+  itemLabel,
+  productCategory
+};
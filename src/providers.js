@@ -0,0 +1,241 @@
+const { createPublicClient, custom } = require('viem');
+const { ethers } = require('ethers');
+const { NETWORKS, CHAIN_PROFILE } = require('./networks');
+
+// The node every network points at on the local profile
+const LOCAL_RPC_URL = process.env.LOCAL_RPC_URL || 'http://127.0.0.1:8545';
+
+// Per-call timeout, extra passes over the endpoint list, and the backoff between passes
+const RPC_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS || '10000', 10);
+const RPC_RETRIES = parseInt(process.env.RPC_RETRIES || '2', 10);
+const RPC_RETRY_DELAY_MS = parseInt(process.env.RPC_RETRY_DELAY_MS || '250', 10);
+
+// How long a failing endpoint is skipped (doubles per consecutive failure, capped)
+const RPC_COOLDOWN_MS = parseInt(process.env.RPC_COOLDOWN_MS || '30000', 10);
+const MAX_COOLDOWN_MS = 5 * 60 * 1000;
+
+// JSON-RPC errors that mean the endpoint is struggling, not that the call is bad
+const ENDPOINT_ERROR_CODES = [-32005, -32603, 429];
+
+let requestId = 0;
+const endpoints = {};
+const publicClients = {};
+const ethersProviders = {};
+
+function splitUrls(value) {
+  return value.split(',').map(url => url.trim()).filter(Boolean);
+}
+
+/**
+ * Ordered RPC list for a network. <NET>_RPC_URLS replaces the defaults;
+ * a single <NET>_RPC_URL is tried first, ahead of the defaults.
+ * @param {Object} network - Registry entry
+ * @returns {Array<string>}
+ */
+function resolveRpcUrls(network) {
+  if (CHAIN_PROFILE === 'local') {
+    return [process.env[`LOCAL_${network.rpcEnv}_RPC_URL`] || LOCAL_RPC_URL];
+  }
+  const list = process.env[`${network.rpcEnv}_RPC_URLS`];
+  if (list) return splitUrls(list);
+
+  const primary = process.env[`${network.rpcEnv}_RPC_URL`];
+  return [...new Set([primary, ...network.rpcUrls].filter(Boolean))];
+}
+
+function getEndpoints(networkId) {
+  if (!endpoints[networkId]) {
+    const network = NETWORKS[networkId];
+    if (!network) throw new Error(`Unknown network: ${networkId}`);
+    endpoints[networkId] = resolveRpcUrls(network).map(url => ({
+      url,
+      requests: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      cooldownUntil: 0,
+      latencyMs: null,
+      lastError: null,
+      lastErrorAt: null
+    }));
+  }
+  return endpoints[networkId];
+}
+
+// Healthy endpoints in configured order, then cooling-down ones soonest-first as a last resort
+function orderedEndpoints(networkId) {
+  const now = Date.now();
+  const list = getEndpoints(networkId);
+  const healthy = list.filter(endpoint => endpoint.cooldownUntil <= now);
+  const cooling = list.filter(endpoint => endpoint.cooldownUntil > now)
+    .sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+  return [...healthy, ...cooling];
+}
+
+function markSuccess(endpoint, startedAt) {
+  const latency = Date.now() - startedAt;
+  endpoint.latencyMs = endpoint.latencyMs === null ? latency : Math.round(endpoint.latencyMs * 0.8 + latency * 0.2);
+  endpoint.consecutiveFailures = 0;
+  endpoint.cooldownUntil = 0;
+}
+
+function markFailure(endpoint, error) {
+  endpoint.failures++;
+  endpoint.consecutiveFailures++;
+  endpoint.lastError = error.message;
+  endpoint.lastErrorAt = new Date().toISOString();
+  endpoint.cooldownUntil = Date.now() + Math.min(RPC_COOLDOWN_MS * 2 ** (endpoint.consecutiveFailures - 1), MAX_COOLDOWN_MS);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Send one JSON-RPC call to one endpoint. Errors flagged `endpointFailure`
+ * (network, timeout, HTTP, rate limit) are worth retrying elsewhere; any other
+ * error is the node's answer to the call and is returned to the caller as-is.
+ */
+async function sendToEndpoint(endpoint, method, params) {
+  let response;
+  try {
+    response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: ++requestId, method, params }),
+      signal: AbortSignal.timeout(RPC_TIMEOUT_MS)
+    });
+  } catch (error) {
+    const message = error.name === 'TimeoutError' ? `Timed out after ${RPC_TIMEOUT_MS}ms` : error.message;
+    throw Object.assign(new Error(message), { endpointFailure: true });
+  }
+
+  if (!response.ok) {
+    throw Object.assign(new Error(`HTTP ${response.status}`), { endpointFailure: true });
+  }
+
+  let body;
+  try {
+    body = await response.json();
+  } catch (error) {
+    throw Object.assign(new Error('Invalid JSON-RPC response'), { endpointFailure: true });
+  }
+
+  if (body.error) {
+    throw Object.assign(new Error(body.error.message), {
+      code: body.error.code,
+      data: body.error.data,
+      endpointFailure: ENDPOINT_ERROR_CODES.includes(body.error.code)
+    });
+  }
+  return body.result;
+}
+
+/**
+ * Make a JSON-RPC call on a network, failing over through its endpoint list
+ * and backing off between passes
+ * @param {string} networkId - Registry network id
+ * @param {string} method
+ * @param {Array} params
+ * @returns {Promise<*>} JSON-RPC result
+ */
+async function rpcRequest(networkId, method, params = []) {
+  let lastError;
+  for (let attempt = 0; attempt <= RPC_RETRIES; attempt++) {
+    if (attempt > 0) await sleep(RPC_RETRY_DELAY_MS * 2 ** (attempt - 1));
+
+    for (const endpoint of orderedEndpoints(networkId)) {
+      const startedAt = Date.now();
+      endpoint.requests++;
+      try {
+        const result = await sendToEndpoint(endpoint, method, params);
+        markSuccess(endpoint, startedAt);
+        return result;
+      } catch (error) {
+        if (!error.endpointFailure) {
+          markSuccess(endpoint, startedAt);
+          throw error;
+        }
+        markFailure(endpoint, error);
+        console.warn(`⚠️  RPC ${method} failed on ${networkId} (${new URL(endpoint.url).host}): ${error.message}`);
+        lastError = error;
+      }
+    }
+  }
+  throw new Error(`All ${networkId} RPC endpoints failed: ${lastError.message}`);
+}
+
+/**
+ * EIP-1193 provider backed by rpcRequest
+ * @param {string} networkId
+ * @returns {Object} { request }
+ */
+function getEip1193Provider(networkId) {
+  return { request: ({ method, params }) => rpcRequest(networkId, method, params) };
+}
+
+/**
+ * viem transport for a network - use for wallet clients
+ * @param {string} networkId
+ */
+function getTransport(networkId) {
+  // Retries happen in rpcRequest, across endpoints
+  return custom(getEip1193Provider(networkId), { retryCount: 0 });
+}
+
+/**
+ * Shared viem public client for a network
+ * @param {string} networkId
+ */
+function getPublicClient(networkId) {
+  if (!publicClients[networkId]) {
+    publicClients[networkId] = createPublicClient({
+      chain: NETWORKS[networkId].chain,
+      transport: getTransport(networkId),
+    });
+  }
+  return publicClients[networkId];
+}
+
+/**
+ * Shared ethers provider for a network
+ * @param {string} networkId
+ */
+function getEthersProvider(networkId) {
+  if (!ethersProviders[networkId]) {
+    const network = ethers.Network.from(NETWORKS[networkId].chainId);
+    ethersProviders[networkId] = new ethers.BrowserProvider(getEip1193Provider(networkId), network, { staticNetwork: network });
+  }
+  return ethersProviders[networkId];
+}
+
+/**
+ * Endpoint health for every network, for /api/health. Only hosts are shown -
+ * RPC URLs often carry API keys.
+ * @returns {Object}
+ */
+function getProviderHealth() {
+  const now = Date.now();
+  const networks = {};
+  for (const networkId of Object.keys(NETWORKS)) {
+    networks[networkId] = getEndpoints(networkId).map(endpoint => ({
+      host: new URL(endpoint.url).host,
+      healthy: endpoint.cooldownUntil <= now,
+      requests: endpoint.requests,
+      failures: endpoint.failures,
+      latencyMs: endpoint.latencyMs,
+      lastError: endpoint.lastError,
+      lastErrorAt: endpoint.lastErrorAt
+    }));
+  }
+  return { profile: CHAIN_PROFILE, networks };
+}
+
+module.exports = {
+  CHAIN_PROFILE,
+  rpcRequest,
+  getTransport,
+  getPublicClient,
+  getEthersProvider,
+  getProviderHealth,
+  resolveRpcUrls
+};
@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const db = require('./database');
+const printfulService = require('./printful');
+const { listPaymentOptions, DEFAULT_NETWORK, DEFAULT_TOKEN } = require('./networks');
+const { quoteMemo } = require('./payment-binding');
+const { priceItems, priceOrder } = require('./pricing');
+const { walletDiscount } = require('./discounts');
+
+// How long a quote's prices and shipping stay locked
+const QUOTE_TTL_SECONDS = parseInt(process.env.QUOTE_TTL_SECONDS || '900', 10);
+
+// Quote amounts carry 1-9999 extra token base units (under a cent) so the watcher can match transfers
+const MAX_FINGERPRINT = 9999;
+
+// Match a requested method by Printful rate id or name, else prefer STANDARD, else the cheapest
+function selectShippingRate(rates, shippingMethod) {
+  if (shippingMethod) {
+    const wanted = shippingMethod.toLowerCase();
+    return rates.find(rate =>
+      String(rate.id).toLowerCase() === wanted || String(rate.name).toLowerCase() === wanted
+    ) || null;
+  }
+  const standard = rates.find(rate => rate.id === 'STANDARD');
+  if (standard) return standard;
+  return rates.slice().sort((a, b) => parseFloat(a.rate_usd) - parseFloat(b.rate_usd))[0] || null;
+}
+
+/**
+ * Price one shipment and lock its shipping rate
+ * @param {Array} catalog - Loaded sticker catalog
+ * @param {Object} request - { stickers } or { custom }, plus shippingAddress and shippingMethod
+ * @returns {Promise<Object>} { shipment, shippingOptions } or { error, shippingOptions }
+ */
+async function quoteShipment(catalog, request) {
+  const priced = priceItems(catalog, request);
+  if (priced.error) return priced;
+
+  const shippingRates = await printfulService.estimateShipping(priced.items, request.shippingAddress);
+  const shippingOptions = printfulService.toUsdRates(shippingRates);
+  const rate = selectShippingRate(shippingOptions, request.shippingMethod);
+  if (!rate) {
+    return { error: `Shipping method not available: ${request.shippingMethod}`, shippingOptions };
+  }
+
+  return {
+    shipment: {
+      items: priced.items,
+      shippingAddress: request.shippingAddress,
+      shippingMethod: String(rate.id),
+      shippingCost: parseFloat(rate.rate_usd).toFixed(2),
+      ...(request.giftMessage ? { giftMessage: request.giftMessage } : {})
+    },
+    shippingOptions
+  };
+}
+
+/**
+ * Create a priced, expiring quote. A quote with `shipments` sends each one to
+ * its own address with its own shipping; the quote's items and shipping cost
+ * are the totals across them.
+ * @param {Array} catalog - Loaded sticker catalog
+ * @param {Object} request - Validated quote request (see validation.schemas.quote)
+ * @param {Object} [options] - { sessionWallet } of the caller, if signed in
+ * @returns {Promise<Object>} { quote, shippingOptions } or { error, shippingOptions }
+ */
+async function createQuote(catalog, request, { sessionWallet } = {}) {
+  // The watcher only trusts a transfer's sender when the quote came from that wallet's session
+  const payerVerified = Boolean(request.payerWallet && sessionWallet === request.payerWallet.toLowerCase());
+
+  if (!request.shipments) {
+    // The quote's gift message is the order's, not a per-recipient one
+    const quoted = await quoteShipment(catalog, { ...request, giftMessage: undefined });
+    if (quoted.error) return quoted;
+    return { quote: await saveQuote(request, [quoted.shipment], { payerVerified }), shippingOptions: quoted.shippingOptions };
+  }
+
+  // Multi-recipient: shipping options are listed per shipment
+  const shipments = [];
+  const shippingOptions = [];
+  for (const [index, requested] of request.shipments.entries()) {
+    const quoted = await quoteShipment(catalog, requested);
+    if (quoted.shippingOptions) shippingOptions.push({ shipment: index + 1, options: quoted.shippingOptions });
+    if (quoted.error) {
+      return { error: `${quoted.error} (shipment ${index + 1})`, shippingOptions };
+    }
+    shipments.push(quoted.shipment);
+  }
+
+  return { quote: await saveQuote(request, shipments, { multiRecipient: true, payerVerified }), shippingOptions };
+}
+
+async function saveQuote(request, shipments, { multiRecipient = false, payerVerified = false } = {}) {
+  const items = shipments.flatMap(shipment => shipment.items);
+  // Bundles and quantity tiers count every shipment's items together
+  const { subtotal, discounts, total: itemsTotal } = priceOrder(items);
+  // Then the best token-holder or agent discount for the wallet that will pay
+  const holderDiscount = await walletDiscount(request.payerWallet, itemsTotal);
+  if (holderDiscount) discounts.push(holderDiscount);
+  const shippingCost = shipments.reduce((sum, shipment) => sum + parseFloat(shipment.shippingCost), 0);
+  const total = itemsTotal - (holderDiscount ? holderDiscount.amount : 0) + shippingCost;
+
+  const quoteId = db.createQuote({
+    kind: request.custom ? 'custom' : 'catalog',
+    items,
+    // The first shipment's address and method stand in for the quote as a whole
+    shippingAddress: shipments[0].shippingAddress,
+    shippingMethod: shipments[0].shippingMethod,
+    shippingCost: shippingCost.toFixed(2),
+    shipments: multiRecipient ? shipments : null,
+    subtotalUSDC: subtotal.toFixed(2),
+    discounts,
+    totalUSDC: total.toFixed(2),
+    expiresAt: new Date(Date.now() + QUOTE_TTL_SECONDS * 1000).toISOString(),
+    fingerprint: pickFingerprint(),
+    agentId: request.agentId,
+    payerWallet: request.payerWallet,
+    payerVerified,
+    giftMessage: request.giftMessage,
+    giftFrom: request.giftFrom
+  });
+
+  return db.getQuote(quoteId);
+}
+
+// Pick a fingerprint no other live quote is using
+function pickFingerprint() {
+  const now = new Date().toISOString();
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const fingerprint = crypto.randomInt(1, MAX_FINGERPRINT + 1);
+    if (!db.isFingerprintInUse(fingerprint, now)) return fingerprint;
+  }
+  return 0; // Busy - this quote can still be matched by memo
+}
+
+function isQuoteExpired(quote) {
+  return new Date(quote.expiresAt).getTime() <= Date.now();
+}
+
+/**
+ * Load a quote and check it can still be used for an order of the given kind
+ * @param {string} quoteId
+ * @param {string} kind - 'catalog' or 'custom'
+ * @returns {Object} { quote } or { status, error, orderId?, orderUrl? }
+ */
+function loadOpenQuote(quoteId, kind) {
+  const quote = db.getQuote(quoteId);
+  if (!quote) {
+    return { status: 404, error: 'Quote not found' };
+  }
+  if (quote.kind !== kind) {
+    return {
+      status: 400,
+      error: kind === 'custom'
+        ? 'Quote is for catalog stickers - use POST /api/order'
+        : 'Quote is for a custom sticker - use POST /api/order/custom'
+    };
+  }
+  if (quote.status !== 'open') {
+    // Often the payment watcher placing the order first - point the agent at it
+    return {
+      status: 409,
+      error: 'Quote has already been used for an order',
+      ...(quote.orderId ? { orderId: quote.orderId, orderUrl: `/api/order/${quote.orderId}` } : {})
+    };
+  }
+  if (isQuoteExpired(quote)) {
+    return { status: 410, error: 'Quote has expired - request a new one from POST /api/quote' };
+  }
+  return { quote };
+}
+
+/**
+ * Shape a quote for API responses
+ * @param {Object} quote - Quote from the database
+ * @returns {Object}
+ */
+function formatQuote(quote) {
+  const paymentOptions = listPaymentOptions(parseFloat(quote.totalUSDC), quote.fingerprint);
+  return {
+    quoteId: quote.id,
+    kind: quote.kind,
+    items: quote.items.map(({ printfulVariantId, ...item }) => item),
+    shipping: {
+      method: quote.shippingMethod,
+      cost: quote.shippingCost
+    },
+    // One per recipient; a single-address quote has one
+    shipments: quote.shipments.map((shipment, index) => ({
+      shipment: index + 1,
+      recipient: shipment.shippingAddress.name,
+      items: shipment.items.map(({ printfulVariantId, ...item }) => item),
+      shipping: {
+        method: shipment.shippingMethod,
+        cost: shipment.shippingCost
+      },
+      giftMessage: shipment.giftMessage || null
+    })),
+    giftMessage: quote.giftMessage,
+    giftFrom: quote.giftFrom,
+    // subtotal is at unit prices; discounts come off it
+    subtotal: quote.subtotalUSDC,
+    discounts: quote.discounts.map(discount => ({ ...discount, amount: discount.amount.toFixed(2) })),
+    discount: quote.discounts.reduce((sum, discount) => sum + discount.amount, 0).toFixed(2),
+    total: quote.totalUSDC,
+    // Default option (USDC on Base); any entry in paymentOptions is accepted
+    amountDue: paymentOptions.find(option => option.network === DEFAULT_NETWORK && option.token === DEFAULT_TOKEN) || paymentOptions[0],
+    paymentOptions,
+    // Append to the transfer calldata when paying from a wallet other than the agent's
+    paymentMemo: quoteMemo(quote.id),
+    // Quoted signed in as payerWallet: the watcher accepts a transfer from it without the memo
+    payerVerified: quote.payerVerified,
+    status: quote.status,
+    expiresAt: quote.expiresAt
+  };
+}
+
+module.exports = {
+  createQuote,
+  loadOpenQuote,
+  MAX_FINGERPRINT,
+  isQuoteExpired,
+  formatQuote,
+  QUOTE_TTL_SECONDS
+};
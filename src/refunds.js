@@ -0,0 +1,269 @@
+const { createWalletClient, parseAbi, parseUnits } = require('viem');
+const { privateKeyToAccount } = require('viem/accounts');
+const db = require('./database');
+const { cancelShipments } = require('./fulfillment');
+const { getNetwork } = require('./networks');
+const { getTransport, getPublicClient } = require('./providers');
+const { isPaid } = require('./order-status');
+
+const ERC20_TRANSFER_ABI = parseAbi([
+  'function transfer(address to, uint256 value) returns (bool)'
+]);
+
+function roundUsd(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Hot wallet that holds refund float - refunds are disabled without it
+function loadRefundAccount() {
+  const key = process.env.REFUND_PRIVATE_KEY;
+  if (!key) return null;
+  return privateKeyToAccount(key.startsWith('0x') ? key : `0x${key}`);
+}
+
+/**
+ * What a shipment came to: its share of the items after the order's
+ * discounts, plus its own shipping
+ */
+function shipmentValue(order, shipment) {
+  const itemsTotal = items => items.reduce((sum, item) => sum + item.total, 0);
+  const shipping = order.shipments.reduce((sum, other) => sum + parseFloat(other.shippingCost || 0), 0);
+  const orderItems = itemsTotal(order.items);
+  const share = orderItems > 0 ? itemsTotal(shipment.items) / orderItems : 0;
+  return roundUsd((parseFloat(order.totalUSDC) - shipping) * share + parseFloat(shipment.shippingCost || 0));
+}
+
+// What is left to refund, less refunds already sent or on their way
+function refundable(order) {
+  const inFlight = db.getRefundsByOrder(order.id)
+    .filter(refund => refund.status === 'pending' || refund.status === 'submitted')
+    .reduce((sum, refund) => sum + parseFloat(refund.amountUSDC), 0);
+  return roundUsd(parseFloat(order.totalUSDC) - parseFloat(order.refundedUSDC || 0) - inFlight);
+}
+
+/**
+ * Work out the USD amount a refund request covers
+ * @returns {Object} { amount } or { error }
+ */
+function refundAmount(order, { scope, amount, positions = [] }) {
+  const remaining = refundable(order);
+
+  let value = remaining;
+  if (scope === 'shipping') {
+    const quote = order.quoteId ? db.getQuote(order.quoteId) : null;
+    value = parseFloat(quote?.shippingCost || 0);
+  } else if (scope === 'amount') {
+    value = roundUsd(amount);
+  } else if (scope === 'shipments') {
+    const shipments = order.shipments.filter(shipment => positions.includes(shipment.position));
+    value = roundUsd(shipments.reduce((sum, shipment) => sum + shipmentValue(order, shipment), 0));
+  }
+
+  if (!(value > 0)) {
+    return { error: 'Nothing to refund' };
+  }
+  if (value > remaining + 0.005) {
+    return { error: `Refund of ${value.toFixed(2)} exceeds the refundable ${remaining.toFixed(2)}` };
+  }
+  return { amount: value };
+}
+
+/**
+ * Split a refund between the chain and store credit in the proportion the
+ * order was paid, so credit spent on it comes back as credit
+ * @param {Object} order
+ * @param {number} amount - USD being refunded
+ * @returns {Object} { onChain, credit } in USD
+ */
+function splitRefund(order, amount) {
+  if (!order.txHash) return { onChain: 0, credit: amount };
+
+  const { applied, refunded } = db.getOrderCreditRefundable(order.id);
+  const creditLeft = Math.max(0, roundUsd(applied - refunded));
+  const remaining = refundable(order);
+  // Refunding the rest returns the rest of the credit, free of rounding drift
+  const credit = amount >= remaining - 0.005
+    ? Math.min(creditLeft, amount)
+    : Math.min(creditLeft, roundUsd(amount * applied / parseFloat(order.totalUSDC)));
+  return { onChain: roundUsd(amount - credit), credit };
+}
+
+/**
+ * Send tokens back from the refund wallet. Returns once the transaction is
+ * broadcast, without waiting for it to be mined.
+ * @returns {Promise<string>} Transaction hash
+ */
+async function sendRefundTransfer(account, network, token, to, units) {
+  const walletClient = createWalletClient({
+    account,
+    chain: network.chain,
+    transport: getTransport(network.id),
+  });
+
+  return walletClient.writeContract({
+    address: token.address,
+    abi: ERC20_TRANSFER_ABI,
+    functionName: 'transfer',
+    args: [to, units],
+  });
+}
+
+/**
+ * Complete a refund whose money has moved: credit its store-credit part, add
+ * it to the order's refunded total, and mark the order 'refunded' once the
+ * whole total is back
+ */
+function finishRefund(refundId, txHash) {
+  if (!db.completeRefund(refundId, txHash)) return;
+
+  const refund = db.getRefund(refundId);
+  const order = db.getOrder(refund.orderId);
+  if (parseFloat(order.refundedUSDC) >= parseFloat(order.totalUSDC) - 0.005 && order.status !== 'refunded') {
+    db.updateOrderStatus(order.id, 'refunded', { actor: refund.initiatedBy, reason: refund.reason || `Refunded ${refund.amountUSDC} USD` });
+  }
+  console.log(`💸 Refunded ${refund.amountUSDC} USD on order ${order.id}${refund.txHash ? ` (tx ${refund.txHash})` : ' as store credit'}`);
+}
+
+/**
+ * Settle refunds whose transfer was sent but not confirmed: complete the
+ * ones that were mined, fail the ones that reverted, leave the rest
+ * submitted. Run by the confirmer.
+ */
+async function confirmSubmittedRefunds() {
+  for (const refund of db.getSubmittedRefunds()) {
+    try {
+      const receipt = await getPublicClient(refund.network).getTransactionReceipt({ hash: refund.txHash });
+      if (receipt.status === 'success') {
+        finishRefund(refund.id, refund.txHash);
+      } else {
+        console.error(`❌ Refund ${refund.id} for order ${refund.orderId} reverted (tx ${refund.txHash})`);
+        db.failRefund(refund.id, `Refund transfer reverted: ${refund.txHash}`);
+      }
+    } catch (error) {
+      // Not mined yet (or the RPC is down) - the next round tries again
+      if (error.name !== 'TransactionReceiptNotFoundError') {
+        console.error(`Refund check failed for refund ${refund.id}:`, error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Refund an order, in full or in part. Full refunds cancel the Printful order
+ * where possible and mark the order 'refunded'; partial refunds leave the
+ * status alone. Orders paid on-chain are refunded to the paying wallet in the
+ * same token; store credit spent on the order comes back as credit, in
+ * proportion. A transfer still unconfirmed after two minutes stays
+ * 'submitted' (status 202) for the confirmer to settle, and is never resent.
+ * @param {string} orderId
+ * @param {Object} options
+ * @param {string} options.scope - 'full' (default), 'shipping', 'amount' or 'shipments'
+ * @param {number} options.amount - USD amount when scope is 'amount'
+ * @param {Array<number>} options.positions - Shipment positions when scope is 'shipments' (pro rata)
+ * @param {string} options.reason - Free-text reason, stored with the refund
+ * @param {string} options.initiatedBy - 'operator', 'agent' or 'printful'
+ * @param {boolean} options.cancelPrintful - Cancel the Printful order (default: full refunds only)
+ * @returns {Promise<Object>} { refund, order, printfulCancelled } or { status, error, refund }
+ */
+async function refundOrder(orderId, { scope = 'full', amount, positions, reason, initiatedBy = 'operator', cancelPrintful } = {}) {
+  const order = db.getOrder(orderId);
+  if (!order) {
+    return { status: 404, error: 'Order not found' };
+  }
+  // Unsettled payments can't be refunded, nor can orders already refunded in full
+  if (!isPaid(order) || order.status === 'refunded') {
+    return { status: 409, error: `Order is ${order.status} and cannot be refunded` };
+  }
+  // Agents are only refunded through cancelOrder, which checks the order can still be cancelled
+  if (initiatedBy === 'agent' && !['full', 'shipments'].includes(scope)) {
+    return { status: 409, error: 'Only the store can make this refund - contact the store' };
+  }
+
+  const requested = refundAmount(order, { scope, amount, positions });
+  if (requested.error) {
+    return { status: 400, error: requested.error };
+  }
+
+  const split = splitRefund(order, requested.amount);
+  const onChain = split.onChain > 0;
+  const account = onChain ? loadRefundAccount() : null;
+  if (onChain && !account) {
+    return { status: 503, error: 'Refund wallet not configured (REFUND_PRIVATE_KEY)' };
+  }
+
+  // Stop fulfilment first - if Printful has already started, an agent can't self-refund
+  let printfulCancelled = false;
+  if (cancelPrintful ?? scope === 'full') {
+    let result;
+    try {
+      result = await cancelShipments(order);
+    } catch (error) {
+      result = { blocked: [], error: error.message };
+    }
+    const kept = result.blocked || result.partial?.remaining;
+    if (kept && initiatedBy === 'agent') {
+      return { status: 409, error: 'The Printful order can no longer be cancelled - contact the store for a refund' };
+    }
+    if (kept) {
+      const why = result.error || result.partial?.error || `shipment(s) ${kept.join(', ')} already in production`;
+      console.warn(`⚠️  Refunding order ${orderId} without cancelling all of its Printful orders: ${why}`);
+    }
+    printfulCancelled = Boolean(result.cancelled || result.partial);
+  }
+
+  const network = getNetwork(order.paymentNetwork);
+  const token = network?.tokens[order.paymentToken];
+  const to = order.paymentFrom || order.wallet;
+  const tokenAmount = onChain ? (split.onChain / token.usdRate).toFixed(token.decimals) : null;
+
+  const refundId = db.createRefund({
+    orderId,
+    amountUSDC: requested.amount,
+    creditUSDC: split.credit,
+    tokenAmount,
+    network: onChain ? network.id : null,
+    token: onChain ? token.symbol : null,
+    to,
+    method: onChain ? 'onchain' : 'credit',
+    reason,
+    initiatedBy
+  });
+
+  if (onChain) {
+    let txHash;
+    try {
+      txHash = await sendRefundTransfer(account, network, token, to, parseUnits(tokenAmount, token.decimals));
+    } catch (error) {
+      console.error(`❌ Refund for order ${orderId} failed:`, error.message);
+      db.failRefund(refundId, error.message);
+      return { status: 502, error: `Refund failed: ${error.message}`, refund: db.getRefund(refundId) };
+    }
+    // From here the transfer may land, so the refund is never marked failed without a receipt
+    db.submitRefund(refundId, txHash);
+
+    let receipt;
+    try {
+      receipt = await getPublicClient(network.id).waitForTransactionReceipt({ hash: txHash, timeout: 120_000 });
+    } catch (error) {
+      console.warn(`⚠️  Refund for order ${orderId} sent but not confirmed yet (tx ${txHash}): ${error.message}`);
+      return { status: 202, error: `Refund sent (tx ${txHash}) but not confirmed yet - it completes once mined`, refund: db.getRefund(refundId) };
+    }
+    if (receipt.status !== 'success') {
+      console.error(`❌ Refund for order ${orderId} reverted (tx ${txHash})`);
+      db.failRefund(refundId, `Refund transfer reverted: ${txHash}`);
+      return { status: 502, error: `Refund failed: transfer reverted (tx ${txHash})`, refund: db.getRefund(refundId) };
+    }
+    finishRefund(refundId, txHash);
+  } else {
+    finishRefund(refundId, null);
+  }
+
+  return { refund: db.getRefund(refundId), order: db.getOrder(orderId), printfulCancelled };
+}
+
+module.exports = {
+  refundOrder,
+  refundAmount,
+  splitRefund,
+  confirmSubmittedRefunds
+};
@@ -3,16 +3,34 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
-const fs = require('fs');
 require('dotenv').config();
 
 const db = require('./database');
 const printfulService = require('./printful');
-const { validateOrder } = require('./validation');
+const { validateOrder, validateQuote, validateOrphanResolution, validateRefund, validateSiweLogin, validateOrderHistoryQuery, validateCatalogItem, validateCatalogUpdate, validateCatalogImport, validateCatalogOrder, validateCatalogSync } = require('./validation');
 const { easService } = require('./eas');
-const { verifyPayment, getPaymentAddress } = require('./payment');
-const { verifyAgent } = require('./agent-verify');
-const { uploadItems, uploadMetadata } = require('./arweave');
+const { startConfirmer } = require('./confirmer');
+const { startJobRunner, retryJob, fulfillmentSteps } = require('./jobs');
+const { startWatcher, resolveOrphan } = require('./watcher');
+const { verifyPayment, getPaymentAddress, PAYMENT_CONFIRMATIONS, USDC_ADDRESS } = require('./payment');
+const { NETWORKS, listPaymentOptions } = require('./networks');
+const { getProviderHealth } = require('./providers');
+const { verifyWebhookSignature, handlePrintfulEvent } = require('./printful-webhooks');
+const { generatePaymentRequirements, encodePaymentResponse } = require('./x402');
+const { verifyPaymentBinding, quoteMemo } = require('./payment-binding');
+const { creditShortPayment } = require('./credit');
+const { placeOrder, placeX402Order } = require('./checkout');
+const { refundOrder } = require('./refunds');
+const { cancelOrder } = require('./cancellation');
+const { listOrderHistory, publicOrder, publicShipment, publicItem } = require('./order-history');
+const { priceItems, listBundles, listTiers } = require('./pricing');
+const { syncCatalog } = require('./catalog-sync');
+const { seedCatalog, getCatalog, getSticker, publicSticker, importCatalog, createSticker, updateSticker, reorderCatalog } = require('./catalog');
+const { getTracking, getShipmentTracking } = require('./tracking');
+const { createAuthChallenge, verifySiweLogin, requireSession, requireAdmin, sessionWallet } = require('./auth');
+const { idempotentOrder } = require('./idempotency');
+const { createQuote, formatQuote } = require('./quotes');
+const { checkQuote, checkCatalog, checkAgent, checkWallet, checkDiscount, checkPayment, checkError, preflightOrder } = require('./preflight');
 const Joi = require('joi');
 
 const app = express();
@@ -31,8 +49,14 @@ app.use(helmet({
   }
 }));
 
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(cors({ exposedHeaders: ['Payment-Required', 'X-Payment-Response', 'Idempotent-Replayed', 'Retry-After'] }));
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+  }
+}));
 app.use(express.static('public'));
 
 // Rate limiting
@@ -47,49 +71,68 @@ const orderLimiter = rateLimit({
   message: 'Too many orders, please try again later'
 });
 
-app.use(limiter);
+// Printful order events - shipments, production, failures, cancellations and holds.
+// Mounted ahead of the public rate limit: every delivery comes from Printful's few addresses, and is signed.
+app.post('/api/webhooks/printful', async (req, res) => {
+  if (!process.env.PRINTFUL_WEBHOOK_SECRET) {
+    return res.status(503).json({ error: 'Printful webhooks not configured (PRINTFUL_WEBHOOK_SECRET)' });
+  }
+  if (!verifyWebhookSignature(req.rawBody, req.headers['x-pf-webhook-signature'])) {
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
 
-// Load catalog
-let catalog;
-try {
-  const catalogPath = path.join(__dirname, '..', 'config', 'catalog.json');
-  catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
-  console.log(`📦 Loaded ${catalog.length} stickers from catalog`);
-} catch (error) {
-  console.error('Failed to load catalog:', error);
-  process.exit(1);
-}
+  try {
+    // Unknown orders and event types are acknowledged so Printful doesn't keep retrying them
+    res.json(await handlePrintfulEvent(req.body));
+  } catch (error) {
+    console.error('Printful webhook failed:', error);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+app.use(limiter);
 
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    stickers: catalog.length,
-    version: '1.0.0'
+    stickers: getCatalog({ includeInactive: false }).length,
+    version: '1.0.0',
+    rpc: getProviderHealth()
   });
 });
 
 // Get all stickers
 app.get('/api/catalog', (req, res) => {
-  const activeCatalog = catalog.filter(sticker => sticker.active);
-  res.json({
-    stickers: activeCatalog,
-    total: activeCatalog.length,
-    updated: new Date().toISOString()
-  });
+  try {
+    const activeCatalog = getCatalog({ includeInactive: false });
+    res.json({
+      stickers: activeCatalog.map(publicSticker),
+      total: activeCatalog.length,
+      // Order a bundle by its id, like a sticker
+      bundles: listBundles(activeCatalog),
+      // Percent off a product type's items (outside bundles) once an order has minQty of them
+      volumeDiscounts: listTiers(),
+      // When the catalog last changed
+      updated: activeCatalog.reduce((latest, sticker) => (sticker.updatedAt > latest ? sticker.updatedAt : latest), '') || null
+    });
+  } catch (error) {
+    console.error('Catalog lookup failed:', error);
+    res.status(500).json({ error: 'Failed to load catalog' });
+  }
 });
 
 // Get single sticker
 app.get('/api/sticker/:id', (req, res) => {
-  const sticker = catalog.find(s => s.id === req.params.id);
+  const sticker = getSticker(req.params.id);
   if (!sticker) {
     return res.status(404).json({ error: 'Sticker not found' });
   }
   if (!sticker.active) {
     return res.status(404).json({ error: 'Sticker not available' });
   }
-  res.json(sticker);
+  res.json(publicSticker(sticker));
 });
 
 // Payment info endpoint
@@ -97,10 +140,11 @@ app.get('/api/payment-info', (req, res) => {
   res.json({
     wallet: getPaymentAddress(),
     chain: 'base',
-    chainId: 8453,
+    chainId: NETWORKS.base.chainId,
     token: 'USDC',
-    tokenAddress: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-    instructions: 'Send USDC on Base to the wallet address above. Include the transaction hash in your order request as paymentTxHash.'
+    tokenAddress: USDC_ADDRESS,
+    accepted: listPaymentOptions(),
+    instructions: 'Send any accepted token to the wallet for its network (USDC on Base by default). Include the transaction hash in your order request as paymentTxHash, plus paymentNetwork and paymentToken if you did not pay USDC on Base.'
   });
 });
 
@@ -109,7 +153,9 @@ const shippingEstimateSchema = Joi.object({
   items: Joi.array().items(
     Joi.object({
       id: Joi.string().required(),
-      qty: Joi.number().integer().min(1).required()
+      qty: Joi.number().integer().min(1).required(),
+      variant: Joi.string().max(100),
+      options: Joi.object().pattern(Joi.string().max(30), Joi.string().max(50)).max(5)
     })
   ).min(1).required(),
   shippingAddress: Joi.object({
@@ -130,34 +176,14 @@ app.post('/api/shipping/estimate', limiter, async (req, res) => {
 
     const { items, shippingAddress } = value;
 
-    // Resolve internal sticker IDs to Printful variant IDs
-    const printfulItems = [];
-    for (const item of items) {
-      const sticker = catalog.find(s => s.id === item.id);
-      if (!sticker || !sticker.active) {
-        return res.status(400).json({ error: `Invalid sticker for shipping estimate: ${item.id}` });
-      }
-      // Assuming catalog items have a printfulVariantId
-      if (!sticker.printfulVariantId) {
-         return res.status(500).json({ error: `Printful variant ID missing for sticker: ${item.id}. Cannot estimate shipping.` });
-      }
-      printfulItems.push({
-        printfulVariantId: sticker.printfulVariantId,
-        qty: item.qty
-      });
+    // Resolve internal sticker and bundle IDs to Printful variant IDs
+    const priced = priceItems(getCatalog(), { stickers: items });
+    if (priced.error) {
+      return res.status(400).json({ error: `Invalid item for shipping estimate: ${priced.error}` });
     }
 
-    const shippingRates = await printfulService.estimateShipping(printfulItems, shippingAddress);
-
-    // Convert CAD to USD
-    const cadToUsdRate = 0.73; // Approx rate, use a real API for production
-    const usdRates = Object.values(shippingRates).map(rate => ({
-      ...rate,
-      rate_usd: (parseFloat(rate.rate) * cadToUsdRate).toFixed(2),
-      currency: 'USD'
-    }));
-
-    res.json(usdRates);
+    const shippingRates = await printfulService.estimateShipping(priced.items, shippingAddress);
+    res.json(printfulService.toUsdRates(shippingRates));
 
   } catch (error) {
     console.error('Shipping estimate failed:', error.response?.data || error.message);
@@ -165,8 +191,95 @@ app.post('/api/shipping/estimate', limiter, async (req, res) => {
   }
 });
 
-// Create order (x402 payment verification will be added later)
-app.post('/api/order', orderLimiter, async (req, res) => {
+// Payment details returned with an order
+function paymentSummary(paymentInfo, paymentSignature, credit = {}) {
+  return {
+    method: paymentInfo.method || (paymentSignature ? 'x402-eip3009' : 'x402-usdc'),
+    verified: true,
+    network: paymentInfo.network,
+    token: paymentInfo.token,
+    amount: paymentInfo.amount,
+    final: paymentInfo.final === true,
+    confirmations: paymentInfo.confirmations ?? 0,
+    requiredConfirmations: PAYMENT_CONFIRMATIONS,
+    from: paymentInfo.from,
+    transactionHash: paymentInfo.transactionHash,
+    timestamp: paymentInfo.timestamp,
+    creditApplied: (credit.applied || 0).toFixed(2),
+    creditEarned: (credit.earned || 0).toFixed(2)
+  };
+}
+
+// Nothing left to pay on-chain - the order is covered by store credit
+function creditOnlyPayment() {
+  return {
+    verified: true,
+    method: 'store-credit',
+    amount: 0,
+    amountUSD: 0,
+    final: true,
+    confirmations: 0,
+    timestamp: Math.floor(Date.now() / 1000)
+  };
+}
+
+// Credit a short transfer once it is final and tell the agent how much to top up.
+// The balance is only shown to a caller that proved it controls the wallet.
+function shortPaymentResponse(wallet, paymentInfo, quote, walletProven) {
+  if (!paymentInfo.final) {
+    return {
+      error: 'Insufficient payment',
+      message: `${paymentInfo.error}. The transfer has ${paymentInfo.confirmations}/${PAYMENT_CONFIRMATIONS} confirmations - retry with the same paymentTxHash once it is final to credit it towards this quote.`
+    };
+  }
+
+  const { credited, balance, topUp } = creditShortPayment(wallet, paymentInfo, quote);
+  return {
+    error: 'Insufficient payment',
+    message: `${paymentInfo.error}. ${credited.toFixed(2)} USD was added to your store credit - send the top-up and retry with the new paymentTxHash.`,
+    credited: credited.toFixed(2),
+    ...(walletProven ? { creditBalance: balance.toFixed(2) } : {}),
+    topUp: topUp.toFixed(2),
+    paymentOptions: listPaymentOptions(topUp)
+  };
+}
+
+// Create a price quote - locks items, shipping and total before payment
+app.post('/api/quote', limiter, async (req, res) => {
+  try {
+    const { error, value } = validateQuote(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await createQuote(getCatalog(), value, { sessionWallet: sessionWallet(req.headers) });
+    if (result.error) {
+      return res.status(400).json({ error: result.error, shippingOptions: result.shippingOptions });
+    }
+
+    res.status(201).json({
+      ...formatQuote(result.quote),
+      shippingOptions: result.shippingOptions
+    });
+
+  } catch (error) {
+    console.error('Quote creation failed:', error.response?.data || error.message);
+    res.status(500).json({ error: 'Failed to create quote' });
+  }
+});
+
+// Dry-run an order: every check /api/order makes, without taking payment
+app.post('/api/order/preflight', limiter, async (req, res) => {
+  try {
+    res.json(await preflightOrder(getCatalog(), req.body, req.headers));
+  } catch (error) {
+    console.error('Order preflight failed:', error);
+    res.status(500).json({ error: 'Order preflight failed' });
+  }
+});
+
+// Create order from a quote (USDC tx hash or x402 Payment-Signature)
+app.post('/api/order', orderLimiter, idempotentOrder, async (req, res) => {
   try {
     // Validate request
     const { error, value } = validateOrder(req.body);
@@ -174,346 +287,603 @@ app.post('/api/order', orderLimiter, async (req, res) => {
       return res.status(400).json({ error: error.details[0].message });
     }
 
-    const { stickers, shippingAddress, agentId, shippingMethod, shippingCost } = value;
+    const { quoteId, agentId, paymentNetwork, paymentToken, paymentDelegation, walletSignature, giftMessage, giftFrom } = value;
+    const payerWallet = value.payerWallet || req.headers['x-wallet'];
+    const paymentTxHash = value.paymentTxHash || req.headers['x-payment-tx'];
 
-    // Verify ERC-8004 agent identity
-    if (!agentId) {
-      return res.status(403).json({
-        error: 'Agent verification required',
-        message: 'This store is for AI agents only. Provide your ERC-8004 agent ID.',
-        registry: 'https://erc8004.org',
-      });
+    // Items, address and shipping are locked in the server-issued quote
+    const quoteCheck = checkQuote(quoteId, 'catalog');
+    if (!quoteCheck.passed) {
+      return res.status(quoteCheck.status).json(checkError(quoteCheck));
     }
+    const { quote } = quoteCheck;
+    const { items: orderItems } = quote;
 
-    const payerWallet = req.body.payerWallet || req.headers['x-wallet'];
-    if (!payerWallet) {
-      return res.status(400).json({
-        error: 'Wallet address required',
-        message: 'Include your wallet address as payerWallet in the request body or x-wallet header. This must match the ERC-8004 agent owner.',
-      });
+    const catalogCheck = checkCatalog(getCatalog(), quote);
+    if (!catalogCheck.passed) {
+      return res.status(catalogCheck.status).json(checkError(catalogCheck));
     }
 
-    const agentCheck = await verifyAgent(agentId, payerWallet);
-    if (!agentCheck.verified) {
-      return res.status(403).json({
-        error: 'Agent verification failed',
-        message: agentCheck.error,
-        help: 'Register your agent at https://erc8004.org to purchase from Clawyard.',
-      });
+    // Verify ERC-8004 agent identity
+    const agentCheck = await checkAgent(agentId, payerWallet);
+    if (!agentCheck.passed) {
+      return res.status(agentCheck.status).json(checkError(agentCheck));
     }
 
     console.log(`✅ Agent #${agentId} verified (owner: ${agentCheck.owner})`);
 
-    // Verify USDC payment on Base
-    const paymentTxHash = req.body.paymentTxHash || req.headers['x-payment-tx'];
-    if (paymentTxHash && db.getOrderByTxHash(paymentTxHash)) {
-      return res.status(400).json({ error: 'This payment transaction has already been used for an order' });
-    }
-    if (!paymentTxHash) {
-      return res.status(402).json({
-        error: 'Payment required',
-        message: 'Send USDC on Base to our wallet, then include paymentTxHash in your order.',
-        paymentInfo: {
-          wallet: getPaymentAddress(),
-          chain: 'base',
-          token: 'USDC',
-          tokenAddress: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-        }
-      });
+    // Store credit is only spent by a caller that controls payerWallet (session or walletSignature)
+    const walletCheck = await checkWallet(quote, payerWallet, { sessionWallet: sessionWallet(req.headers), walletSignature });
+    if (!walletCheck.passed) {
+      return res.status(walletCheck.status).json(checkError(walletCheck));
     }
+    const walletProven = walletCheck.proven;
 
-    // Calculate total
-    let total = 0;
-    const orderItems = [];
-    
-    for (const item of stickers) {
-      const sticker = catalog.find(s => s.id === item.id);
-      if (!sticker || !sticker.active) {
-        return res.status(400).json({ error: `Invalid sticker: ${item.id}` });
-      }
-      
-      const itemTotal = sticker.basePrice * item.qty;
-      total += itemTotal;
-      
-      orderItems.push({
-        id: item.id,
-        name: sticker.name,
-        qty: item.qty,
-        price: sticker.basePrice,
-        total: itemTotal,
-        printfulVariantId: sticker.printfulVariantId,
-        imageUrl: sticker.image ? `https://clawyard.dev${sticker.image}` : null
-      });
+    // Token-holder and agent discounts are already in the quote total - check they still apply
+    const discountCheck = await checkDiscount(quote, payerWallet);
+    if (!discountCheck.passed) {
+      return res.status(discountCheck.status).json(checkError(discountCheck));
     }
 
-    // TODO: Apply discounts for ERC-8004 agents, token holders
-    const finalTotal = total + shippingCost;
+    const paymentCheck = checkPayment(quote, { payerWallet, walletProven, paymentNetwork, paymentToken, paymentTxHash });
+    if (!paymentCheck.passed) {
+      return res.status(paymentCheck.status).json(checkError(paymentCheck));
+    }
+    const { total: finalTotal, credit, amountDue } = paymentCheck;
+
+    // Payment: either an x402 Payment-Signature (EIP-3009) or a token transfer tx hash
+    const paymentSignature = req.headers['payment-signature'];
+    const paymentRequirements = generatePaymentRequirements(amountDue, 'Clawyard sticker order', 'https://clawyard.dev/api/order');
+    if (amountDue > 0 && !paymentTxHash && !paymentSignature) {
+      return res.status(402)
+        .header('Payment-Required', Buffer.from(JSON.stringify(paymentRequirements)).toString('base64'))
+        .json({
+          error: 'Payment required',
+          message: 'Send one of the paymentOptions to our wallet, then include paymentTxHash (plus paymentNetwork and paymentToken) in your order. Or retry with an x402 Payment-Signature header.',
+          expectedAmount: amountDue.toFixed(2),
+          creditApplied: credit.applied.toFixed(2),
+          paymentOptions: listPaymentOptions(amountDue),
+          x402: paymentRequirements
+        });
+    }
 
-    // Verify the USDC payment covers the total
-    const paymentInfo = await verifyPayment(paymentTxHash, finalTotal);
+    // Verify the payment covers the total and belongs to this agent
+    // An x402 authorization is signed by its payer (checked before settling), so it proves the wallet too
+    const bindPayer = (payer, input) => verifyPaymentBinding({ payer, input, payerWallet, quoteId: quote.id, walletProven: walletProven || Boolean(paymentSignature), delegation: paymentDelegation });
+    let paymentInfo;
+    let placed = null;
+    if (amountDue === 0) {
+      paymentInfo = creditOnlyPayment();
+    } else if (paymentSignature) {
+      // The order is recorded before the authorization settles
+      ({ paymentInfo, placed } = await placeX402Order({ quote, wallet: payerWallet, agentId, credit, gift: { giftMessage, giftFrom }, paymentSignature, paymentRequirements, bindPayer }));
+    } else {
+      paymentInfo = await verifyPayment(paymentTxHash, amountDue, { network: paymentNetwork, token: paymentToken, bindPayer });
+    }
+    if (paymentInfo.settlement) {
+      res.set('X-Payment-Response', encodePaymentResponse(paymentInfo.settlement));
+    }
+    if (paymentInfo.invalid) {
+      return res.status(400).json({ error: 'Invalid Payment Signature', message: paymentInfo.error });
+    }
+    if (paymentInfo.unbound) {
+      return res.status(403).json({ error: 'Payment sender mismatch', message: paymentInfo.error, paymentMemo: quoteMemo(quote.id) });
+    }
+    if (paymentInfo.insufficient) {
+      return res.status(402).json(shortPaymentResponse(payerWallet, paymentInfo, quote, walletProven));
+    }
     if (!paymentInfo.verified) {
       return res.status(402).json({
         error: 'Payment verification failed',
         message: paymentInfo.error,
-        expectedAmount: finalTotal.toFixed(2),
-        paymentInfo: {
-          wallet: getPaymentAddress(),
-          chain: 'base',
-          token: 'USDC',
-        }
+        ...(paymentInfo.orderId ? { orderId: paymentInfo.orderId } : {}),
+        expectedAmount: amountDue.toFixed(2),
+        paymentOptions: listPaymentOptions(amountDue)
       });
     }
 
-    // Create order in database
-    const orderId = db.createOrder({
-      wallet: paymentInfo.from,
-      items: orderItems,
-      shippingAddress,
-      totalUSDC: finalTotal.toFixed(2),
-      agentId,
-      paymentTxHash: paymentInfo.transactionHash,
-      paymentTimestamp: paymentInfo.timestamp
-    });
-
-    // Create Printful order
-    let printfulOrderId = null;
-    try {
-      printfulOrderId = await printfulService.createOrder({
-        orderId,
-        items: orderItems,
-        shippingAddress
+    // Create the order (x402 ones already are) - fulfilled now if the payment is final, otherwise by the confirmer
+    placed = placed || await placeOrder({ quote, wallet: payerWallet, agentId, paymentInfo, credit, gift: { giftMessage, giftFrom } });
+    const payment = paymentSummary(paymentInfo, paymentSignature, { applied: credit.applied, earned: placed.creditEarned });
+
+    if (placed.status === 'payment_pending') {
+      return res.status(202).json({
+        orderId: placed.orderId,
+        quoteId: quote.id,
+        printfulOrderId: null,
+        attestationUID: null,
+        total: finalTotal.toFixed(2),
+        items: orderItems.map(publicItem),
+        status: 'payment_pending',
+        message: 'Payment found on-chain. The order is fulfilled once it has enough confirmations - poll GET /api/order/:id.',
+        payment
       });
-      
-      db.updateOrderPrintful(orderId, printfulOrderId);
-    } catch (printfulError) {
-      console.error('Printful order failed:', printfulError.response?.data || printfulError.message);
-      // Mark as needing retry but continue to create attestation
-      db.updateOrderStatus(orderId, 'printful_failed');
-    }
-
-    // Create EAS attestation (receipt)
-    let attestationUID = null;
-    try {
-      // Upload items and metadata to Arweave permanently
-      let itemsRef = '';
-      let metadataRef = '';
-      try {
-        const itemsTxId = await uploadItems(orderId, orderItems);
-        itemsRef = itemsTxId ? `https://arweave.net/${itemsTxId}` : orderItems.map(i => `${i.name} x${i.qty}`).join(', ');
-        
-        const metaTxId = await uploadMetadata(orderId, {
-          shippingMethod: shippingMethod || 'STANDARD',
-          productCategory: 'stickers',
-          printfulOrderId: printfulOrderId || null,
-        });
-        metadataRef = metaTxId ? `https://arweave.net/${metaTxId}` : '';
-      } catch (arweaveErr) {
-        console.error('⚠️ Arweave upload failed (non-blocking):', arweaveErr.message);
-        itemsRef = orderItems.map(i => `${i.name} x${i.qty}`).join(', ');
-      }
-
-      const attestationData = {
-        orderId,
-        buyer: paymentInfo.from,
-        agentId: agentId || '0',
-        storeName: 'clawyard',
-        providerName: 'printful',
-        paymentToken: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-        paymentAmount: finalTotal,
-        orderDate: Math.floor(Date.now() / 1000),
-        itemsRef,
-        metadataRef
-      };
-      
-      attestationUID = await easService.mintAttestation(attestationData);
-      console.log(`✅ EAS attestation created: ${attestationUID}`);
-      
-      // Update order with attestation UID
-      db.updateOrderAttestation(orderId, attestationUID);
-      
-    } catch (easError) {
-      console.error('❌ EAS attestation failed:', easError);
-      // Continue - order is still valid even if attestation fails
-      attestationUID = null;
     }
 
     res.status(201).json({
-      orderId,
-      printfulOrderId,
-      attestationUID,
+      orderId: placed.orderId,
+      quoteId: quote.id,
+      printfulOrderId: placed.printfulOrderId,
+      attestationUID: placed.attestationUID,
       total: finalTotal.toFixed(2),
-      items: orderItems,
-      status: 'pending',
-      payment: {
-        method: 'x402-usdc',
-        verified: true,
-        from: paymentInfo.from,
-        transactionHash: paymentInfo.transactionHash,
-        timestamp: paymentInfo.timestamp
-      }
+      items: orderItems.map(publicItem),
+      status: placed.status,
+      message: 'Payment verified. Printful submission and the EAS receipt follow in the background - poll GET /api/order/:id.',
+      fulfillment: fulfillmentSteps(placed.orderId),
+      payment
     });
 
   } catch (error) {
+    // The payment watcher claimed the quote between our checks and createOrder
+    const usedQuote = /has already been used/.test(error.message) && db.getQuote(req.body?.quoteId);
+    if (usedQuote?.orderId) {
+      return res.status(409).json(checkError(checkQuote(usedQuote.id)));
+    }
     console.error('Order creation failed:', error);
     res.status(500).json({ error: 'Order creation failed' });
   }
 });
 
 // Custom sticker order
-app.post('/api/order/custom', orderLimiter, async (req, res) => {
+app.post('/api/order/custom', orderLimiter, idempotentOrder, async (req, res) => {
   try {
-    const { imageUrl, size, shippingAddress, agentId, shippingMethod, shippingCost, paymentTxHash, payerWallet: bodyWallet } = req.body;
+    const { error, value } = validateOrder(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
 
-    // Validate required fields
-    if (!imageUrl) return res.status(400).json({ error: 'imageUrl is required (transparent PNG, min 900x900px)' });
-    if (!shippingAddress) return res.status(400).json({ error: 'shippingAddress is required' });
-    if (!agentId) return res.status(403).json({ error: 'Agent verification required', message: 'This store is for AI agents only.' });
-    if (!shippingMethod || shippingCost === undefined) return res.status(400).json({ error: 'shippingMethod and shippingCost are required' });
+    const { quoteId, agentId, paymentTxHash, paymentNetwork, paymentToken, paymentDelegation, walletSignature, giftMessage, giftFrom } = value;
+    const payerWallet = value.payerWallet || req.headers['x-wallet'];
 
-    const stickerSize = size || '3x3';
-    const validSizes = ['3x3', '4x4', '5.5x5.5'];
-    if (!validSizes.includes(stickerSize)) {
-      return res.status(400).json({ error: `Invalid size. Options: ${validSizes.join(', ')}` });
+    // Image, size, address and shipping are locked in the custom sticker quote
+    const quoteCheck = checkQuote(quoteId, 'custom');
+    if (!quoteCheck.passed) {
+      return res.status(quoteCheck.status).json(checkError(quoteCheck));
     }
+    const { quote } = quoteCheck;
+    const { items: orderItems } = quote;
 
-    // Verify agent identity
-    const payerWallet = bodyWallet || req.headers['x-wallet'];
-    if (!payerWallet) return res.status(400).json({ error: 'Wallet address required (payerWallet or x-wallet header)' });
+    const catalogCheck = checkCatalog(getCatalog(), quote);
+    if (!catalogCheck.passed) {
+      return res.status(catalogCheck.status).json(checkError(catalogCheck));
+    }
 
-    const agentCheck = await verifyAgent(agentId, payerWallet);
-    if (!agentCheck.verified) {
-      return res.status(403).json({ error: 'Agent verification failed', message: agentCheck.error });
+    // Verify agent identity
+    const agentCheck = await checkAgent(agentId, payerWallet);
+    if (!agentCheck.passed) {
+      return res.status(agentCheck.status).json(checkError(agentCheck));
     }
 
     console.log(`✅ Agent #${agentId} verified for custom order (owner: ${agentCheck.owner})`);
 
-    // Verify payment
-    if (paymentTxHash && db.getOrderByTxHash(paymentTxHash)) {
-      return res.status(400).json({ error: 'This payment transaction has already been used for an order' });
+    // Store credit is only spent by a caller that controls payerWallet (session or walletSignature)
+    const walletCheck = await checkWallet(quote, payerWallet, { sessionWallet: sessionWallet(req.headers), walletSignature });
+    if (!walletCheck.passed) {
+      return res.status(walletCheck.status).json(checkError(walletCheck));
     }
-    if (!paymentTxHash) {
-      return res.status(402).json({
-        error: 'Payment required',
-        message: 'Send USDC on Base to our wallet, then include paymentTxHash.',
-        paymentInfo: { wallet: getPaymentAddress(), chain: 'base', token: 'USDC', tokenAddress: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913' }
-      });
+    const walletProven = walletCheck.proven;
+
+    const discountCheck = await checkDiscount(quote, payerWallet);
+    if (!discountCheck.passed) {
+      return res.status(discountCheck.status).json(checkError(discountCheck));
     }
 
-    const basePrice = 4.20;
-    const finalTotal = basePrice + shippingCost;
+    // Store credit is spent first, so only the remainder is due
+    const paymentCheck = checkPayment(quote, { payerWallet, walletProven, paymentNetwork, paymentToken, paymentTxHash });
+    if (!paymentCheck.passed) {
+      return res.status(paymentCheck.status).json(checkError(paymentCheck));
+    }
+    const { total: finalTotal, credit, amountDue } = paymentCheck;
+
+    // Verify payment (x402 Payment-Signature or token transfer tx hash)
+    const paymentSignature = req.headers['payment-signature'];
+    const paymentRequirements = generatePaymentRequirements(amountDue, 'Clawyard custom sticker order', 'https://clawyard.dev/api/order/custom');
+    if (amountDue > 0 && !paymentTxHash && !paymentSignature) {
+      return res.status(402)
+        .header('Payment-Required', Buffer.from(JSON.stringify(paymentRequirements)).toString('base64'))
+        .json({
+          error: 'Payment required',
+          message: 'Send one of the paymentOptions to our wallet, then include paymentTxHash (plus paymentNetwork and paymentToken). Or retry with an x402 Payment-Signature header.',
+          expectedAmount: amountDue.toFixed(2),
+          creditApplied: credit.applied.toFixed(2),
+          paymentOptions: listPaymentOptions(amountDue),
+          x402: paymentRequirements
+        });
+    }
 
-    const paymentInfo = await verifyPayment(paymentTxHash, finalTotal);
+    // Only the proven agent wallet, a wallet that delegated to it, or a transfer carrying the quote memo can claim a payment
+    // An x402 authorization is signed by its payer (checked before settling), so it proves the wallet too
+    const bindPayer = (payer, input) => verifyPaymentBinding({ payer, input, payerWallet, quoteId: quote.id, walletProven: walletProven || Boolean(paymentSignature), delegation: paymentDelegation });
+    let paymentInfo;
+    let placed = null;
+    if (amountDue === 0) {
+      paymentInfo = creditOnlyPayment();
+    } else if (paymentSignature) {
+      // The order is recorded before the authorization settles
+      ({ paymentInfo, placed } = await placeX402Order({ quote, wallet: payerWallet, agentId, credit, gift: { giftMessage, giftFrom }, paymentSignature, paymentRequirements, bindPayer }));
+    } else {
+      paymentInfo = await verifyPayment(paymentTxHash, amountDue, { network: paymentNetwork, token: paymentToken, bindPayer });
+    }
+    if (paymentInfo.settlement) {
+      res.set('X-Payment-Response', encodePaymentResponse(paymentInfo.settlement));
+    }
+    if (paymentInfo.invalid) {
+      return res.status(400).json({ error: 'Invalid Payment Signature', message: paymentInfo.error });
+    }
+    if (paymentInfo.unbound) {
+      return res.status(403).json({ error: 'Payment sender mismatch', message: paymentInfo.error, paymentMemo: quoteMemo(quote.id) });
+    }
+    if (paymentInfo.insufficient) {
+      return res.status(402).json(shortPaymentResponse(payerWallet, paymentInfo, quote, walletProven));
+    }
     if (!paymentInfo.verified) {
-      return res.status(402).json({ error: 'Payment verification failed', message: paymentInfo.error, expectedAmount: finalTotal.toFixed(2) });
-    }
-
-    const orderItems = [{
-      id: 'custom',
-      name: 'Custom Sticker',
-      qty: 1,
-      price: basePrice,
-      total: basePrice,
-      imageUrl,
-      size: stickerSize
-    }];
-
-    // Create order in database
-    const orderId = db.createOrder({
-      wallet: paymentInfo.from,
-      items: orderItems,
-      shippingAddress,
-      totalUSDC: finalTotal.toFixed(2),
-      agentId,
-      paymentTxHash: paymentInfo.transactionHash,
-      paymentTimestamp: paymentInfo.timestamp
-    });
+      return res.status(402).json({ error: 'Payment verification failed', message: paymentInfo.error, ...(paymentInfo.orderId ? { orderId: paymentInfo.orderId } : {}), expectedAmount: amountDue.toFixed(2), paymentOptions: listPaymentOptions(amountDue) });
+    }
 
-    // Create Printful order with custom image
-    let printfulOrderId = null;
-    try {
-      printfulOrderId = await printfulService.createOrder({
-        orderId,
-        items: orderItems,
-        shippingAddress,
-        customImageUrl: imageUrl
+    // Create the order (x402 ones already are) - fulfilled now if the payment is final, otherwise by the confirmer
+    placed = placed || await placeOrder({ quote, wallet: payerWallet, agentId, paymentInfo, credit, gift: { giftMessage, giftFrom } });
+    const payment = paymentSummary(paymentInfo, paymentSignature, { applied: credit.applied, earned: placed.creditEarned });
+
+    if (placed.status === 'payment_pending') {
+      return res.status(202).json({
+        orderId: placed.orderId,
+        quoteId: quote.id,
+        printfulOrderId: null,
+        attestationUID: null,
+        total: finalTotal.toFixed(2),
+        items: orderItems.map(publicItem),
+        status: 'payment_pending',
+        type: 'custom',
+        message: 'Payment found on-chain. The order is fulfilled once it has enough confirmations - poll GET /api/order/:id.',
+        payment
       });
-      db.updateOrderPrintful(orderId, printfulOrderId);
-    } catch (printfulError) {
-      console.error('Printful custom order failed:', printfulError);
-    }
-
-    // EAS attestation
-    let attestationUID = null;
-    try {
-      let itemsRef = `Custom sticker ${stickerSize || '3x3'}`;
-      let metadataRef = '';
-      try {
-        const itemsTxId = await uploadItems(orderId, [{ id: 'custom', name: 'Custom sticker', qty: 1, price: basePrice, imageUrl: imageUrl }]);
-        if (itemsTxId) itemsRef = `https://arweave.net/${itemsTxId}`;
-        const metaTxId = await uploadMetadata(orderId, { productCategory: 'stickers', customImage: imageUrl, printfulOrderId: printfulOrderId || null });
-        if (metaTxId) metadataRef = `https://arweave.net/${metaTxId}`;
-      } catch (arweaveErr) {
-        console.error('⚠️ Arweave upload failed (non-blocking):', arweaveErr.message);
-      }
-
-      const attestationData = {
-        orderId,
-        buyer: paymentInfo.from,
-        agentId: agentId || '0',
-        storeName: 'clawyard',
-        providerName: 'printful',
-        paymentToken: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-        paymentAmount: finalTotal,
-        orderDate: Math.floor(Date.now() / 1000),
-        itemsRef,
-        metadataRef
-      };
-      attestationUID = await easService.mintAttestation(attestationData);
-      db.updateOrderAttestation(orderId, attestationUID);
-    } catch (easError) {
-      console.error('❌ EAS attestation failed:', easError);
     }
 
     res.status(201).json({
-      orderId,
-      printfulOrderId,
-      attestationUID,
+      orderId: placed.orderId,
+      quoteId: quote.id,
+      printfulOrderId: placed.printfulOrderId,
+      attestationUID: placed.attestationUID,
       total: finalTotal.toFixed(2),
-      items: orderItems,
-      status: 'pending',
+      items: orderItems.map(publicItem),
+      status: placed.status,
       type: 'custom',
-      payment: { verified: true, from: paymentInfo.from, transactionHash: paymentInfo.transactionHash }
+      message: 'Payment verified. Printful submission and the EAS receipt follow in the background - poll GET /api/order/:id.',
+      fulfillment: fulfillmentSteps(placed.orderId),
+      payment
     });
 
   } catch (error) {
+    // The payment watcher claimed the quote between our checks and createOrder
+    const usedQuote = /has already been used/.test(error.message) && db.getQuote(req.body?.quoteId);
+    if (usedQuote?.orderId) {
+      return res.status(409).json(checkError(checkQuote(usedQuote.id)));
+    }
     console.error('Custom order failed:', error);
     res.status(500).json({ error: 'Custom order creation failed' });
   }
 });
 
-// Get order status
-app.get('/api/order/:id', (req, res) => {
+// Sign-In-With-Ethereum step 1: a one-time nonce (and the message to sign, given ?address=)
+app.get('/api/auth/nonce', limiter, (req, res) => {
   try {
-    const order = db.getOrder(req.params.id);
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
+    const chainId = req.query.chainId ? parseInt(req.query.chainId, 10) : undefined;
+    const challenge = createAuthChallenge({ address: req.query.address, chainId });
+    if (challenge.error) {
+      return res.status(challenge.status).json({ error: challenge.error });
+    }
+    res.json(challenge);
+  } catch (error) {
+    console.error('Auth nonce failed:', error);
+    res.status(500).json({ error: 'Failed to create nonce' });
+  }
+});
+
+// Sign-In-With-Ethereum step 2: exchange the signed message for a bearer token
+app.post('/api/auth/verify', limiter, async (req, res) => {
+  try {
+    const { error, value } = validateSiweLogin(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const session = await verifySiweLogin(value);
+    if (session.error) {
+      return res.status(session.status).json({ error: session.error });
+    }
+    res.json({ ...session, tokenType: 'Bearer' });
+  } catch (error) {
+    console.error('Auth verify failed:', error);
+    res.status(500).json({ error: 'Sign-in failed' });
+  }
+});
+
+// Store credit balance and ledger for the signed-in wallet
+app.get('/api/credit', limiter, requireSession, (req, res) => {
+  try {
+    res.json({
+      wallet: req.wallet,
+      balance: db.getCreditBalance(req.wallet).toFixed(2),
+      entries: db.getCreditEntries(req.wallet)
+    });
+  } catch (error) {
+    console.error('Credit lookup failed:', error);
+    res.status(500).json({ error: 'Failed to load credit' });
+  }
+});
+
+// Order history for the signed-in wallet, newest first, paged by cursor
+app.get('/api/orders', limiter, requireSession, (req, res) => {
+  try {
+    const { error, value } = validateOrderHistoryQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
     }
 
-    // Require payerWallet query param to prevent order info leakage
-    const { wallet } = req.query;
-    if (!wallet || wallet.toLowerCase() !== order.payerWallet?.toLowerCase()) {
-      return res.status(403).json({ error: 'Wallet mismatch. Pass ?wallet=0x... matching the ordering wallet.' });
+    const history = listOrderHistory(req.wallet, value);
+    if (history.error) {
+      return res.status(history.status).json({ error: history.error });
+    }
+    res.json({ wallet: req.wallet, ...history });
+  } catch (error) {
+    console.error('Order history failed:', error);
+    res.status(500).json({ error: 'Failed to load orders' });
+  }
+});
+
+// Get order status - only for the signed-in wallet that placed it
+app.get('/api/order/:id', requireSession, async (req, res) => {
+  try {
+    // Someone else's order looks the same as a missing one
+    const order = db.getOrder(req.params.id);
+    if (!order || order.wallet?.toLowerCase() !== req.wallet) {
+      return res.status(404).json({ error: 'Order not found' });
     }
     
-    // Strip shipping address from response - it's PII and the agent already has it
-    const { shippingAddress, ...safeOrder } = typeof order === 'object' ? order : {};
-    res.json(safeOrder);
+    // Each recipient's parcel is tracked on its own
+    const shipments = await Promise.all(order.shipments.map(async shipment => ({
+      ...publicShipment(shipment),
+      tracking: await getShipmentTracking(order, shipment)
+    })));
+    res.json({
+      ...publicOrder(order),
+      shipments,
+      tracking: await getTracking(order),
+      fulfillment: fulfillmentSteps(order.id),
+      timeline: db.getOrderEvents(order.id)
+    });
   } catch (error) {
     console.error('Get order failed:', error);
     res.status(500).json({ error: 'Failed to retrieve order' });
   }
 });
 
+// Agent cancellation while Printful hasn't started: cancel, refund in full, revoke the receipt
+app.post('/api/order/:id/cancel', orderLimiter, requireSession, async (req, res) => {
+  try {
+    const order = db.getOrder(req.params.id);
+    if (!order || order.wallet?.toLowerCase() !== req.wallet) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const result = await cancelOrder(order.id, {
+      reason: typeof req.body.reason === 'string' ? req.body.reason.slice(0, 500) : undefined
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({
+      order: publicOrder(result.order),
+      refund: result.refund,
+      refundError: result.refundError,
+      printfulCancelled: result.printfulCancelled,
+      partial: result.partial,
+      attestationRevocation: result.attestationRevocation
+    });
+  } catch (error) {
+    console.error('Agent cancellation failed:', error);
+    res.status(500).json({ error: 'Cancellation failed' });
+  }
+});
+
+// Admin: refund an order in full or in part (e.g. shipping only)
+app.post('/api/admin/orders/:id/refund', requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = validateRefund(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await refundOrder(req.params.id, { ...value, initiatedBy: 'operator' });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, refund: result.refund });
+    }
+
+    res.json({
+      refund: result.refund,
+      refunds: db.getRefundsByOrder(req.params.id),
+      order: result.order,
+      printfulCancelled: result.printfulCancelled
+    });
+  } catch (error) {
+    console.error('Refund failed:', error);
+    res.status(500).json({ error: 'Refund failed' });
+  }
+});
+
+// Admin: transfers the watcher could not match to a quote
+app.get('/api/admin/orphan-payments', requireAdmin, (req, res) => {
+  try {
+    const status = req.query.status === 'resolved' ? 'resolved' : 'open';
+    res.json({ status, orphans: db.getOrphanPayments(status) });
+  } catch (error) {
+    console.error('Orphan payment lookup failed:', error);
+    res.status(500).json({ error: 'Failed to load orphan payments' });
+  }
+});
+
+// Admin: place an order for, credit, or dismiss an orphan payment
+app.post('/api/admin/orphan-payments/:id/resolve', requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = validateOrphanResolution(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = await resolveOrphan(parseInt(req.params.id, 10), value);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Orphan payment resolution failed:', error);
+    res.status(500).json({ error: 'Failed to resolve orphan payment' });
+  }
+});
+
+// Fulfilment jobs by status - 'dead' (default) lists steps that gave up
+app.get('/api/admin/jobs', requireAdmin, (req, res) => {
+  try {
+    const status = ['pending', 'running', 'done', 'dead'].includes(req.query.status) ? req.query.status : 'dead';
+    res.json({ status, jobs: db.getJobs(status) });
+  } catch (error) {
+    console.error('Job lookup failed:', error);
+    res.status(500).json({ error: 'Failed to load jobs' });
+  }
+});
+
+// Re-queue a dead job with a fresh set of attempts
+app.post('/api/admin/jobs/:id/retry', requireAdmin, (req, res) => {
+  try {
+    const result = retryJob(parseInt(req.params.id, 10));
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Job retry failed:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
+// Admin: the whole catalog, inactive stickers included, in display order
+app.get('/api/admin/catalog', requireAdmin, (req, res) => {
+  try {
+    res.json({ stickers: getCatalog() });
+  } catch (error) {
+    console.error('Catalog lookup failed:', error);
+    res.status(500).json({ error: 'Failed to load catalog' });
+  }
+});
+
+// Admin: add a sticker
+app.post('/api/admin/catalog', requireAdmin, (req, res) => {
+  try {
+    const { error, value } = validateCatalogItem(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = createSticker(value);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Sticker creation failed:', error);
+    res.status(500).json({ error: 'Failed to add sticker' });
+  }
+});
+
+// Admin: import stickers in the config/catalog.json format - existing ids are replaced
+app.post('/api/admin/catalog/import', requireAdmin, (req, res) => {
+  try {
+    const { error, value } = validateCatalogImport(Array.isArray(req.body) ? req.body : req.body.stickers);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = importCatalog(value);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    console.log(`📦 Imported ${result.imported} stickers into the catalog`);
+    res.json({ imported: result.imported, stickers: getCatalog() });
+  } catch (error) {
+    console.error('Catalog import failed:', error);
+    res.status(500).json({ error: 'Failed to import catalog' });
+  }
+});
+
+// Admin: set the display order
+app.post('/api/admin/catalog/reorder', requireAdmin, (req, res) => {
+  try {
+    const { error, value } = validateCatalogOrder(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = reorderCatalog(value.ids);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Catalog reorder failed:', error);
+    res.status(500).json({ error: 'Failed to reorder catalog' });
+  }
+});
+
+// Admin: check every active product against Printful - missing, discontinued, out of stock, negative margin
+app.post('/api/admin/catalog/sync', requireAdmin, async (req, res) => {
+  try {
+    const { error, value } = validateCatalogSync(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    res.json(await syncCatalog(value));
+  } catch (error) {
+    console.error('Catalog sync failed:', error);
+    res.status(500).json({ error: 'Failed to check catalog against Printful' });
+  }
+});
+
+// Admin: change a sticker - price, details, or `active` to hide or restore it
+app.patch('/api/admin/catalog/:id', requireAdmin, (req, res) => {
+  try {
+    const { error, value } = validateCatalogUpdate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.details[0].message });
+    }
+
+    const result = updateSticker(req.params.id, value);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Sticker update failed:', error);
+    res.status(500).json({ error: 'Failed to update sticker' });
+  }
+});
+
+// Admin: deactivate a sticker - it stays in the database for past orders
+app.delete('/api/admin/catalog/:id', requireAdmin, (req, res) => {
+  try {
+    const result = updateSticker(req.params.id, { active: false });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Sticker deactivation failed:', error);
+    res.status(500).json({ error: 'Failed to deactivate sticker' });
+  }
+});
+
 // Serve the main store page
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
@@ -537,6 +907,22 @@ async function startServer() {
     db.init();
     console.log('✅ Database initialized');
 
+    // First start on this database: load the stickers from config/catalog.json
+    seedCatalog();
+
+    // Order requests cut off by the restart can be retried with the same key
+    const released = db.releaseProcessingIdempotencyKeys();
+    if (released > 0) console.log(`🔁 Released ${released} idempotency keys from interrupted requests`);
+
+    // Printful, Arweave and EAS steps for paid orders, with retries
+    startJobRunner();
+
+    // Re-check unconfirmed payments and queue fulfilment once final
+    startConfirmer();
+
+    // Match incoming transfers to open quotes, queue the rest as orphans
+    startWatcher();
+
     // Initialize EAS service (async, non-blocking)
     easService.initialize()
       .then(() => console.log('🪙 EAS service ready for attestations'))
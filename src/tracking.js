@@ -0,0 +1,124 @@
+const printfulService = require('./printful');
+
+// How long a Printful lookup is reused, and how long to back off after one fails
+const TRACKING_CACHE_SECONDS = parseInt(process.env.TRACKING_CACHE_SECONDS || '120', 10);
+const TRACKING_ERROR_CACHE_SECONDS = 30;
+
+// Only these can still pick up new tracking details
+const LIVE_TRACKING_STATUSES = ['submitted', 'in_production', 'shipped', 'delivered'];
+
+// printfulOrderId → { expiresAt, value } or { expiresAt, error }, plus in-flight lookups
+const cache = new Map();
+const inFlight = new Map();
+
+function toIso(value) {
+  if (!value) return null;
+  return typeof value === 'number' ? new Date(value * 1000).toISOString() : value;
+}
+
+// What we already know from webhooks, used when Printful is not asked or not answering
+function storedTracking(shipment) {
+  if (!shipment.trackingNumber && !shipment.trackingUrl && !shipment.carrier) return null;
+  return {
+    carrier: shipment.carrier,
+    service: shipment.shippingService,
+    trackingNumber: shipment.trackingNumber,
+    trackingUrl: shipment.trackingUrl,
+    shipDate: null,
+    shippedAt: shipment.shippedAt,
+    estimatedDelivery: null,
+    shipments: [],
+    printfulStatus: null,
+    source: 'stored',
+    fetchedAt: null
+  };
+}
+
+async function fetchPrintfulTracking(printfulOrderId) {
+  const status = await printfulService.getOrderStatus(printfulOrderId);
+  const shipments = status.shipments || [];
+  // Latest shipment wins - a reshipment replaces the original parcel
+  const latest = shipments[shipments.length - 1] || {};
+  return {
+    carrier: latest.carrier || null,
+    service: latest.service || null,
+    trackingNumber: latest.trackingNumber || null,
+    trackingUrl: latest.trackingUrl || null,
+    shipDate: latest.shipDate || null,
+    shippedAt: latest.shippedAt || null,
+    estimatedDelivery: toIso(status.estimatedDelivery),
+    shipments,
+    printfulStatus: status.status || null,
+    source: 'printful',
+    fetchedAt: new Date().toISOString()
+  };
+}
+
+// Printful may not list a shipment the webhook already told us about (or the other way round)
+function merge(live, stored) {
+  if (!live) return stored;
+  if (live.shipments.length > 0 || !stored) return live;
+  return { ...stored, estimatedDelivery: live.estimatedDelivery, printfulStatus: live.printfulStatus, source: 'printful', fetchedAt: live.fetchedAt };
+}
+
+function pruneCache() {
+  const now = Date.now();
+  for (const [key, entry] of cache) {
+    if (entry.expiresAt <= now) cache.delete(key);
+  }
+}
+
+/**
+ * Tracking details for one of an order's shipments, from Printful when it can
+ * still change. Lookups are cached for TRACKING_CACHE_SECONDS and shared
+ * between concurrent requests, so agents polling an order don't each hit Printful.
+ * @param {Object} order
+ * @param {Object} shipment - One of order.shipments
+ * @returns {Promise<Object|null>} { carrier, service, trackingNumber, trackingUrl, shipDate, shippedAt, estimatedDelivery, shipments, printfulStatus, source, fetchedAt }
+ */
+async function getShipmentTracking(order, shipment) {
+  const stored = storedTracking(shipment);
+  if (!shipment.printfulOrderId || shipment.status === 'cancelled' || !LIVE_TRACKING_STATUSES.includes(order.status)) {
+    return stored;
+  }
+
+  const key = String(shipment.printfulOrderId);
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return merge(cached.value, stored);
+  }
+
+  if (!inFlight.has(key)) {
+    const lookup = fetchPrintfulTracking(shipment.printfulOrderId)
+      .then(value => {
+        pruneCache();
+        cache.set(key, { value, expiresAt: Date.now() + TRACKING_CACHE_SECONDS * 1000 });
+        return value;
+      })
+      .catch(error => {
+        console.warn(`⚠️  Printful tracking lookup failed for order ${order.id} shipment ${shipment.position}: ${error.message}`);
+        cache.set(key, { value: null, expiresAt: Date.now() + TRACKING_ERROR_CACHE_SECONDS * 1000 });
+        return null;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, lookup);
+  }
+
+  return merge(await inFlight.get(key), stored);
+}
+
+/**
+ * Tracking details for a single-shipment order; null for a multi-recipient
+ * order, whose tracking is per shipment
+ * @param {Object} order
+ * @returns {Promise<Object|null>}
+ */
+async function getTracking(order) {
+  return order.shipments.length === 1 ? getShipmentTracking(order, order.shipments[0]) : null;
+}
+
+module.exports = {
+  getTracking,
+  getShipmentTracking,
+  TRACKING_CACHE_SECONDS
+};
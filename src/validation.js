@@ -1,4 +1,7 @@
 const Joi = require('joi');
+const { NETWORKS } = require('./networks');
+const { ORDER_STATUSES } = require('./order-status');
+const { PRODUCT_TYPES } = require('./products');
 
 const addressSchema = Joi.object({
   name: Joi.string().min(2).max(100).required(),
@@ -13,22 +16,305 @@ const addressSchema = Joi.object({
   email: Joi.string().email().allow('')
 });
 
+// A product and, for products with variants, which one: by variant id or by option values
 const stickerItemSchema = Joi.object({
   id: Joi.string().min(1).max(100).required(),
-  qty: Joi.number().integer().min(1).max(50).required()
+  qty: Joi.number().integer().min(1).max(50).required(),
+  variant: Joi.string().max(100),
+  options: Joi.object().pattern(Joi.string().max(30), Joi.string().max(50)).max(5)
+}).oxor('variant', 'options');
+
+const customStickerSchema = Joi.object({
+  imageUrl: Joi.string().uri({ scheme: ['https', 'http'] }).max(2000).required(),
+  size: Joi.string().valid('3x3', '4x4', '5.5x5.5').default('3x3')
 });
 
-const orderSchema = Joi.object({
+// Printful's packing slip message limit
+const GIFT_MESSAGE_MAX = 200;
+const GIFT_FROM_MAX = 50;
+
+// Printed on a packing slip: plain text only - no markup, links or control characters
+function giftText(max, { multiline = false } = {}) {
+  return Joi.string().trim().min(1).max(max)
+    .pattern(multiline ? /^[^\x00-\x09\x0b-\x1f\x7f<>]*$/ : /^[^\x00-\x1f\x7f<>]*$/, 'plain text')
+    .custom((value, helpers) => (/https?:|www\.|[a-z0-9-]+\.(com|net|org|io|xyz|ly|me|co)\b/i.test(value) ? helpers.error('string.link') : value))
+    .messages({
+      'string.pattern.name': '{{#label}} must be plain text without <, > or control characters',
+      'string.link': '{{#label}} must not contain links'
+    });
+}
+
+const giftMessageSchema = giftText(GIFT_MESSAGE_MAX, { multiline: true });
+const giftFromSchema = giftText(GIFT_FROM_MAX);
+
+// One recipient of a multi-recipient (gift) quote
+const shipmentSchema = Joi.object({
+  // `items` is the same thing under a name that fits tees and mugs
   stickers: Joi.array().items(stickerItemSchema).min(1).max(20).required(),
   shippingAddress: addressSchema.required(),
+  shippingMethod: Joi.string().min(1).max(100).optional(),
+  // This recipient's own message, instead of the quote's
+  giftMessage: giftMessageSchema
+}).rename('items', 'stickers');
+
+// Quotes lock items, address and shipping; orders only reference them
+const quoteSchema = Joi.object({
+  stickers: Joi.array().items(stickerItemSchema).min(1).max(20),
+  custom: customStickerSchema,
+  // Catalog stickers to several addresses, paid together - replaces stickers/shippingAddress/shippingMethod
+  shipments: Joi.array().items(shipmentSchema).min(1).max(10),
+  shippingAddress: addressSchema.when('shipments', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() }),
+  shippingMethod: Joi.string().min(1).max(100).when('shipments', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.optional() }),
+  // Printed on the packing slip; the order request can still change them
+  giftMessage: giftMessageSchema,
+  giftFrom: giftFromSchema,
+  // Optional: lets the payment watcher place the order without a follow-up call
+  agentId: Joi.string().max(200).optional(),
+  payerWallet: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).optional()
+}).rename('items', 'stickers').xor('stickers', 'custom', 'shipments').and('agentId', 'payerWallet');
+
+const orderSchema = Joi.object({
+  quoteId: Joi.string().guid({ version: 'uuidv4' }).required(),
   agentId: Joi.string().max(200).allow(''),
   notes: Joi.string().max(500).allow(''),
-  shippingMethod: Joi.string().min(1).max(100).required(),
-  shippingCost: Joi.number().precision(2).min(0).required(),
+  // Replace the quote's packing slip message and sender name
+  giftMessage: giftMessageSchema,
+  giftFrom: giftFromSchema,
   paymentTxHash: Joi.string().pattern(/^0x[a-fA-F0-9]{64}$/).optional(),
-  payerWallet: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).optional()
+  paymentNetwork: Joi.string().valid(...Object.keys(NETWORKS)).default('base'),
+  paymentToken: Joi.string().uppercase().max(10).default('USDC'),
+  payerWallet: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).optional(),
+  // EIP-191 signature from payerWallet over the order, instead of a session - needed to spend store credit
+  walletSignature: Joi.string().pattern(/^0x[a-fA-F0-9]+$/).max(1000).optional(),
+  // EIP-191 signature from the paying wallet when it is not the agent wallet
+  paymentDelegation: Joi.string().pattern(/^0x[a-fA-F0-9]+$/).max(1000).optional()
+});
+
+// Operator resolution of a queued orphan payment
+const orphanResolutionSchema = Joi.object({
+  action: Joi.string().valid('order', 'credit', 'dismiss').required(),
+  quoteId: Joi.string().guid({ version: 'uuidv4' }).when('action', { is: 'order', then: Joi.required(), otherwise: Joi.forbidden() }),
+  agentId: Joi.string().max(200).optional(),
+  wallet: Joi.string().pattern(/^0x[a-fA-F0-9]{40}$/).optional(),
+  note: Joi.string().max(500).when('action', { is: 'dismiss', then: Joi.required() })
+});
+
+// Operator refund - full, shipping only, or a custom USD amount
+const refundSchema = Joi.object({
+  scope: Joi.string().valid('full', 'shipping', 'amount').default('full'),
+  amount: Joi.number().positive().precision(2).when('scope', { is: 'amount', then: Joi.required(), otherwise: Joi.forbidden() }),
+  reason: Joi.string().max(500).allow(''),
+  cancelPrintful: Joi.boolean().optional()
+});
+
+// GET /api/orders query - `status` is one status or a comma-separated list
+const orderHistorySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().max(500),
+  status: Joi.string().custom((value, helpers) => {
+    const statuses = value.split(',').map(status => status.trim());
+    return statuses.every(status => ORDER_STATUSES.includes(status)) ? statuses : helpers.error('any.invalid');
+  }).messages({ 'any.invalid': `"status" must be one or more of ${ORDER_STATUSES.join(', ')}` }),
+  agentId: Joi.string().max(200),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().greater(Joi.ref('from')) })
+});
+
+function validateOrderHistoryQuery(data) {
+  return orderHistorySchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+const slugSchema = Joi.string().pattern(/^[a-z0-9][a-z0-9-]{0,99}$/)
+  .messages({ 'string.pattern.base': '{{#label}} must be lowercase letters, digits and dashes' });
+
+// Something a product comes in more than one of, e.g. { name: 'size', values: ['S', 'M', 'L'] }
+const productOptionSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-z][a-z0-9_]{0,29}$/).required(),
+  values: Joi.array().items(Joi.string().min(1).max(50)).min(1).max(30).unique().required()
+});
+
+// One combination of option values, with its own Printful variant and price
+const productVariantSchema = Joi.object({
+  id: slugSchema.required(),
+  options: Joi.object().pattern(Joi.string(), Joi.string().max(50)).default({}),
+  printfulVariantId: Joi.number().integer().positive().required(),
+  price: Joi.number().positive().precision(2).required(),
+  active: Joi.boolean().default(true)
+});
+
+// A catalog product - also the format of config/catalog.json ('custom' is taken by custom stickers).
+// With variants, basePrice and printfulVariantId are worked out from them.
+const catalogItemSchema = Joi.object({
+  id: slugSchema.invalid('custom').required(),
+  productType: Joi.string().valid(...Object.keys(PRODUCT_TYPES)).default('sticker'),
+  name: Joi.string().min(1).max(200).required(),
+  description: Joi.string().max(1000).allow(''),
+  category: Joi.string().max(100).allow(''),
+  image: Joi.string().max(500).pattern(/^(\/|https:\/\/)/).allow('')
+    .messages({ 'string.pattern.base': '"image" must be a /path or an https URL' }),
+  printfulVariantId: Joi.number().integer().positive().when('variants', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() }),
+  basePrice: Joi.number().positive().precision(2).when('variants', { is: Joi.exist(), then: Joi.optional(), otherwise: Joi.required() }),
+  options: Joi.array().items(productOptionSchema).max(5).unique('name').default([]),
+  variants: Joi.array().items(productVariantSchema).min(1).max(100).unique('id'),
+  active: Joi.boolean().default(true)
+});
+
+// Changing a product: any of its fields except the id
+const catalogUpdateSchema = Joi.object({
+  productType: Joi.string().valid(...Object.keys(PRODUCT_TYPES)),
+  name: Joi.string().min(1).max(200),
+  description: Joi.string().max(1000).allow(''),
+  category: Joi.string().max(100).allow(''),
+  image: catalogItemSchema.extract('image'),
+  printfulVariantId: Joi.number().integer().positive(),
+  basePrice: Joi.number().positive().precision(2),
+  options: Joi.array().items(productOptionSchema).max(5).unique('name'),
+  // null goes back to a single product at basePrice
+  variants: Joi.array().items(productVariantSchema).min(1).max(100).unique('id').allow(null),
+  active: Joi.boolean()
+}).min(1);
+
+const catalogImportSchema = Joi.array().items(catalogItemSchema).min(1).max(500).unique('id');
+
+const catalogOrderSchema = Joi.object({
+  ids: Joi.array().items(Joi.string().max(100)).min(1).unique().required()
+});
+
+// Check the catalog against Printful, optionally turning off what it can no longer make
+const catalogSyncSchema = Joi.object({
+  deactivate: Joi.boolean().default(false)
+});
+
+const priceSchema = Joi.number().positive().precision(2);
+
+// A quantity tier: ordering at least minQty of a product type takes percentOff them
+const pricingTierSchema = Joi.object({
+  minQty: Joi.number().integer().min(2).required(),
+  percentOff: Joi.number().greater(0).max(90).required()
+});
+
+// A bundle SKU: ordered by its id like a product, shipped as its items, charged its price
+const bundleSchema = Joi.object({
+  id: slugSchema.invalid('custom').required(),
+  name: Joi.string().min(1).max(200).required(),
+  description: Joi.string().max(1000).allow('').default(''),
+  items: Joi.array().items(Joi.object({
+    id: slugSchema.required(),
+    variant: slugSchema,
+    qty: Joi.number().integer().min(1).max(10).default(1)
+  })).min(2).max(10).required(),
+  price: priceSchema.required(),
+  active: Joi.boolean().default(true)
+});
+
+// A discount for wallets holding at least minBalance of an ERC-20 token (address from
+// <TOKEN>_TOKEN_ADDRESS) or of ERC-8004 agent identities
+const holderDiscountSchema = Joi.object({
+  id: slugSchema.required(),
+  label: Joi.string().min(1).max(100).required(),
+  token: Joi.string().pattern(/^[A-Z][A-Z0-9]{0,19}$/)
+    .messages({ 'string.pattern.base': '"token" must be an uppercase symbol, e.g. CLAWD' }),
+  // Token rules name the chain their token lives on; agent rules read the ERC-8004 registry
+  network: Joi.string().valid(...Object.keys(NETWORKS))
+    .when('token', { is: Joi.exist(), then: Joi.required(), otherwise: Joi.forbidden() }),
+  agent: Joi.boolean().valid(true),
+  minBalance: Joi.number().positive(),
+  percentOff: Joi.number().greater(0).max(90),
+  amountOff: priceSchema,
+  active: Joi.boolean().default(true)
+}).xor('token', 'agent').xor('percentOff', 'amountOff');
+
+// config/pricing.json. Category prices replace basePrice for products of that
+// catalog category sold without variants; 'custom' prices custom stickers.
+const pricingSchema = Joi.object({
+  categories: Joi.object({ custom: priceSchema.required() }).pattern(Joi.string().max(100), priceSchema).required(),
+  tiers: Joi.object().pattern(
+    Joi.string().valid(...Object.keys(PRODUCT_TYPES)),
+    Joi.array().items(pricingTierSchema).max(10).unique('minQty')
+  ).default({}),
+  bundles: Joi.array().items(bundleSchema).max(50).unique('id').default([]),
+  holderDiscounts: Joi.array().items(holderDiscountSchema).max(20).unique('id').default([])
 });
 
+function validateCatalogSync(data) {
+  return catalogSyncSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validatePricing(data) {
+  return pricingSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateCatalogItem(data) {
+  return catalogItemSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateCatalogUpdate(data) {
+  return catalogUpdateSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateCatalogImport(data) {
+  return catalogImportSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateCatalogOrder(data) {
+  return catalogOrderSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+// Sign-In-With-Ethereum: EIP-4361 message text and its signature (65-byte ECDSA or smart-wallet bytes)
+const siweLoginSchema = Joi.object({
+  message: Joi.string().max(4000).required(),
+  signature: Joi.string().pattern(/^0x[a-fA-F0-9]+$/).max(20000).required()
+});
+
+function validateSiweLogin(data) {
+  return siweLoginSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateRefund(data) {
+  return refundSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateOrphanResolution(data) {
+  return orphanResolutionSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
+function validateQuote(data) {
+  return quoteSchema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
 function validateOrder(data) {
   return orderSchema.validate(data, { 
     abortEarly: false,
@@ -44,11 +330,37 @@ function validateAddress(data) {
 }
 
 module.exports = {
+  validateQuote,
   validateOrder,
+  validateOrphanResolution,
+  validateRefund,
+  validateSiweLogin,
+  validateOrderHistoryQuery,
+  validateCatalogItem,
+  validateCatalogUpdate,
+  validateCatalogImport,
+  validateCatalogOrder,
+  validateCatalogSync,
+  validatePricing,
   validateAddress,
   schemas: {
+    quote: quoteSchema,
+    customSticker: customStickerSchema,
     order: orderSchema,
+    orphanResolution: orphanResolutionSchema,
+    refund: refundSchema,
+    siweLogin: siweLoginSchema,
+    orderHistory: orderHistorySchema,
+    catalogItem: catalogItemSchema,
+    catalogUpdate: catalogUpdateSchema,
+    catalogImport: catalogImportSchema,
+    catalogOrder: catalogOrderSchema,
+    catalogSync: catalogSyncSchema,
+    pricing: pricingSchema,
     address: addressSchema,
+    shipment: shipmentSchema,
+    giftMessage: giftMessageSchema,
+    giftFrom: giftFromSchema,
     stickerItem: stickerItemSchema
   }
 };
\ No newline at end of file
@@ -0,0 +1,230 @@
+const db = require('./database');
+const { ENABLED_NETWORKS, NETWORKS, toTokenAmount } = require('./networks');
+const { getIncomingTransfers, verifyPayment, PAYMENT_CONFIRMATIONS } = require('./payment');
+const { getPublicClient } = require('./providers');
+const { verifyPaymentBinding, quoteMemo } = require('./payment-binding');
+const { verifyAgent } = require('./agent-verify');
+const { recheckDiscount } = require('./discounts');
+const { creditShortPayment } = require('./credit');
+const { placeOrder } = require('./checkout');
+
+const WATCHER_INTERVAL_MS = parseInt(process.env.WATCHER_INTERVAL_MS || '30000', 10);
+// Max blocks per getLogs call - public RPCs cap the range
+const WATCHER_BLOCK_RANGE = BigInt(process.env.WATCHER_BLOCK_RANGE || '2000');
+// Quotes that expired longer ago than this are not considered for matching
+const QUOTE_MATCH_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// A transfer belongs to a quote if its calldata carries the quote memo, or its amount carries the quote fingerprint
+function findQuote(transfer, token, input, openQuotes) {
+  const data = (input || '').toLowerCase();
+  const byMemo = openQuotes.find(quote => data.includes(quoteMemo(quote.id).slice(2)));
+  if (byMemo) return byMemo;
+
+  return openQuotes.find(quote =>
+    quote.fingerprint > 0 &&
+    BigInt(toTokenAmount(parseFloat(quote.totalUSDC), token, quote.fingerprint).units) === transfer.value
+  ) || null;
+}
+
+/**
+ * Turn one confirmed incoming transfer into an order, store credit or an orphan
+ */
+async function handleTransfer(network, token, transfer, openQuotes) {
+  if (db.getOrderByTxHash(transfer.txHash) || db.getCreditByTxHash(transfer.txHash) ||
+      db.isOrphanPayment(transfer.txHash, transfer.logIndex)) {
+    return;
+  }
+
+  const orphan = (reason, quoteId) => db.addOrphanPayment({
+    network: network.id,
+    token: token.symbol,
+    txHash: transfer.txHash,
+    logIndex: transfer.logIndex,
+    from: transfer.from,
+    amount: String(transfer.amount),
+    amountUSD: transfer.amountUSD.toFixed(2),
+    blockNumber: transfer.blockNumber,
+    quoteId,
+    reason
+  });
+
+  const client = getPublicClient(network.id);
+  const tx = await client.getTransaction({ hash: transfer.txHash });
+  const quote = findQuote(transfer, token, tx.input, openQuotes);
+  if (!quote) {
+    return orphan('No open quote matches this amount or memo');
+  }
+
+  const block = await client.getBlock({ blockNumber: BigInt(transfer.blockNumber) });
+  if (Number(block.timestamp) * 1000 > new Date(quote.expiresAt).getTime()) {
+    return orphan('Quote expired before the transfer was mined', quote.id);
+  }
+  if (!quote.agentId || !quote.payerWallet) {
+    return orphan('Quote has no agentId/payerWallet to place the order for', quote.id);
+  }
+
+  // RPC failures throw so the range is retried on the next pass instead of being orphaned
+  const agentCheck = await verifyAgent(quote.agentId, quote.payerWallet);
+  if (agentCheck.retryable) {
+    throw new Error(agentCheck.error);
+  }
+  if (!agentCheck.verified) {
+    return orphan(`Agent verification failed: ${agentCheck.error}`, quote.id);
+  }
+
+  const discount = await recheckDiscount(quote, quote.payerWallet);
+  if (discount.retryable) {
+    throw new Error(discount.error);
+  }
+  if (!discount.valid) {
+    return orphan(`Discount no longer applies: ${discount.error}`, quote.id);
+  }
+
+  // A sender match only counts when the quote was requested signed in as payerWallet; otherwise the memo must be there
+  const bindPayer = (payer, input) => verifyPaymentBinding({ payer, input, payerWallet: quote.payerWallet, quoteId: quote.id, walletProven: quote.payerVerified });
+  const paymentInfo = await verifyPayment(transfer.txHash, parseFloat(quote.totalUSDC), { network: network.id, token: token.symbol, bindPayer });
+  if (paymentInfo.retryable) {
+    throw new Error(paymentInfo.error);
+  }
+
+  if (paymentInfo.insufficient && paymentInfo.final) {
+    const { topUp } = creditShortPayment(quote.payerWallet, paymentInfo, quote);
+    console.log(`🔭 Short payment for quote ${quote.id} credited, ${topUp.toFixed(2)} USD still due`);
+    return;
+  }
+  if (!paymentInfo.verified || !paymentInfo.final) {
+    return orphan(paymentInfo.error || 'Payment not final', quote.id);
+  }
+
+  const placed = await placeOrder({ quote, wallet: quote.payerWallet, agentId: quote.agentId, paymentInfo, actor: 'watcher' });
+  openQuotes.splice(openQuotes.indexOf(quote), 1);
+  console.log(`🔭 Watcher placed order ${placed.orderId} for quote ${quote.id} (tx ${transfer.txHash})`);
+}
+
+/**
+ * Process confirmed transfers of one token since the last saved block
+ */
+async function scanToken(network, token) {
+  const latest = await getPublicClient(network.id).getBlockNumber();
+  const safeHead = latest - BigInt(PAYMENT_CONFIRMATIONS - 1);
+  const cursor = db.getWatcherCursor(network.id, token.symbol);
+
+  // First run starts at the current head rather than backfilling history
+  if (cursor === null) {
+    db.setWatcherCursor(network.id, token.symbol, Number(safeHead));
+    return;
+  }
+
+  let fromBlock = BigInt(cursor) + 1n;
+  while (fromBlock <= safeHead) {
+    const toBlock = fromBlock + WATCHER_BLOCK_RANGE - 1n < safeHead ? fromBlock + WATCHER_BLOCK_RANGE - 1n : safeHead;
+    const transfers = await getIncomingTransfers(network.id, token.symbol, fromBlock, toBlock);
+
+    if (transfers.length > 0) {
+      const openQuotes = db.getOpenQuotes(new Date(Date.now() - QUOTE_MATCH_WINDOW_MS).toISOString());
+      for (const transfer of transfers) {
+        await handleTransfer(network, token, transfer, openQuotes);
+      }
+    }
+
+    // Only advance once every transfer in the range was handled, so failures are retried
+    db.setWatcherCursor(network.id, token.symbol, Number(toBlock));
+    fromBlock = toBlock + 1n;
+  }
+}
+
+/**
+ * One pass over every accepted network and token
+ */
+async function watchTransfers() {
+  if (running) return;
+  running = true;
+
+  try {
+    for (const networkId of ENABLED_NETWORKS) {
+      const network = NETWORKS[networkId];
+      for (const token of Object.values(network.tokens)) {
+        try {
+          await scanToken(network, token);
+        } catch (error) {
+          console.error(`Transfer watcher failed for ${token.symbol} on ${network.name}:`, error.message);
+        }
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Resolve a queued orphan payment by hand
+ * @param {number} orphanId
+ * @param {Object} resolution - { action: 'order'|'credit'|'dismiss', quoteId, agentId, wallet, note }
+ * @returns {Promise<Object>} { orphan, orderId } or { status, error }
+ */
+async function resolveOrphan(orphanId, { action, quoteId, agentId, wallet, note }) {
+  const orphan = db.getOrphanPayment(orphanId);
+  if (!orphan) {
+    return { status: 404, error: 'Orphan payment not found' };
+  }
+  if (orphan.status !== 'open') {
+    return { status: 409, error: `Orphan payment already resolved (${orphan.resolution})` };
+  }
+
+  if (action === 'dismiss') {
+    db.resolveOrphanPayment(orphan.id, { resolution: 'dismissed', note });
+    return { orphan: db.getOrphanPayment(orphan.id) };
+  }
+
+  if (action === 'credit') {
+    // The agent may have claimed the transfer as credit since it was queued
+    if (db.getCreditByTxHash(orphan.txHash)) {
+      return { status: 409, error: 'This transfer has already been credited' };
+    }
+    if (!db.creditOrphanPayment(orphan.id, { wallet: wallet || orphan.from, note })) {
+      return { status: 409, error: 'Orphan payment was resolved or credited meanwhile' };
+    }
+    return { orphan: db.getOrphanPayment(orphan.id) };
+  }
+
+  // action === 'order': place the order for a quote the operator picked
+  const quote = db.getQuote(quoteId);
+  if (!quote) {
+    return { status: 404, error: 'Quote not found' };
+  }
+  if (quote.status !== 'open') {
+    return { status: 409, error: 'Quote has already been used for an order' };
+  }
+
+  const orderWallet = wallet || quote.payerWallet || orphan.from;
+  const paymentInfo = await verifyPayment(orphan.txHash, parseFloat(quote.totalUSDC), { network: orphan.network, token: orphan.token });
+  if (!paymentInfo.verified) {
+    return { status: 400, error: paymentInfo.error };
+  }
+
+  const placed = await placeOrder({ quote, wallet: orderWallet, agentId: agentId || quote.agentId, paymentInfo, actor: 'operator' });
+  db.resolveOrphanPayment(orphan.id, { resolution: 'order', orderId: placed.orderId, note });
+  return { orphan: db.getOrphanPayment(orphan.id), orderId: placed.orderId };
+}
+
+function startWatcher() {
+  if (timer || WATCHER_INTERVAL_MS <= 0) return;
+  timer = setInterval(watchTransfers, WATCHER_INTERVAL_MS);
+  timer.unref();
+  console.log(`🔭 Transfer watcher running on ${ENABLED_NETWORKS.join(', ')} (every ${WATCHER_INTERVAL_MS / 1000}s)`);
+}
+
+function stopWatcher() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  startWatcher,
+  stopWatcher,
+  watchTransfers,
+  resolveOrphan
+};
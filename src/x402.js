@@ -1,235 +1,383 @@
 const { ethers } = require('ethers');
+const axios = require('axios');
 const fs = require('fs');
-const path = require('path');
+const { NETWORKS, ENABLED_NETWORKS, toTokenAmount } = require('./networks');
+const { getEthersProvider } = require('./providers');
+const { checkPaymentFinality } = require('./payment');
 
-// Constants for Base network and USDC
-const BASE_CHAIN_ID = 8453;
-const BASE_RPC_URL = 'https://mainnet.base.org';
-const USDC_CONTRACT_ADDRESS = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
-const USDC_DECIMALS = 6;
-const STICKER_PRICE_USD = 4.99;
+// Defaults for Base network and USDC
+const BASE_CHAIN_ID = NETWORKS.base.chainId;
+const USDC_CONTRACT_ADDRESS = NETWORKS.base.tokens.USDC.address;
+const WALLET_KEY_PATH = '/root/.secrets/clawyard-wallet-key';
 
-// ERC-20 ABI for USDC transfers (minimal)
+// Optional x402 facilitator (e.g. https://x402.org/facilitator). When unset we settle ourselves.
+const FACILITATOR_URL = process.env.X402_FACILITATOR_URL;
+
+// EIP-3009 typed data
+const TRANSFER_WITH_AUTHORIZATION_TYPES = {
+  TransferWithAuthorization: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'validAfter', type: 'uint256' },
+    { name: 'validBefore', type: 'uint256' },
+    { name: 'nonce', type: 'bytes32' }
+  ]
+};
+
+// ERC-20 + EIP-3009 ABI for USDC (minimal)
 const ERC20_ABI = [
-  'function transfer(address to, uint256 amount) public returns (bool)',
-  'function transferFrom(address from, address to, uint256 amount) public returns (bool)',
   'function balanceOf(address account) public view returns (uint256)',
-  'function decimals() public view returns (uint8)',
+  'function authorizationState(address authorizer, bytes32 nonce) public view returns (bool)',
+  'function transferWithAuthorization(address from, address to, uint256 value, uint256 validAfter, uint256 validBefore, bytes32 nonce, uint8 v, bytes32 r, bytes32 s)',
   'event Transfer(address indexed from, address indexed to, uint256 value)'
 ];
 
-// Load Clawyard wallet
-function loadClawyardWallet() {
+// Map an x402 network id (eip155:<chainId>) back to the registry
+function findNetwork(x402Network) {
+  return Object.values(NETWORKS).find(network => `eip155:${network.chainId}` === x402Network) || null;
+}
+
+// Load the Clawyard relayer wallet (pays gas for transferWithAuthorization)
+function loadClawyardWallet(network) {
   try {
-    const privateKeyPath = '/root/.secrets/clawyard-wallet-key';
-    const privateKey = fs.readFileSync(privateKeyPath, 'utf8').trim();
-    
-    const provider = new ethers.JsonRpcProvider(BASE_RPC_URL);
-    const wallet = new ethers.Wallet('0x' + privateKey, provider);
-    
-    return wallet;
+    const privateKey = process.env.X402_PRIVATE_KEY || fs.readFileSync(WALLET_KEY_PATH, 'utf8').trim();
+    return new ethers.Wallet(privateKey.startsWith('0x') ? privateKey : '0x' + privateKey, getEthersProvider(network.id));
   } catch (error) {
     throw new Error('Failed to load Clawyard wallet: ' + error.message);
   }
 }
 
-// Convert USD to USDC amount (6 decimals)
-function usdToUsdcAmount(usdAmount) {
-  return ethers.parseUnits(usdAmount.toFixed(2), USDC_DECIMALS);
-}
+// Generate payment requirements for x402 - one entry in `accepts` per accepted network/token
+function generatePaymentRequirements(totalUsd, description = 'Clawyard sticker purchase', resourceUrl = 'https://clawyard.dev/api/order') {
+  const accepts = [];
+  for (const networkId of ENABLED_NETWORKS) {
+    const network = NETWORKS[networkId];
+    for (const token of Object.values(network.tokens)) {
+      accepts.push({
+        scheme: 'exact',
+        network: `eip155:${network.chainId}`,
+        amount: toTokenAmount(totalUsd, token).units,
+        asset: token.address,
+        payTo: network.wallet,
+        maxTimeoutSeconds: 300, // 5 minutes
+        extra: {
+          assetTransferMethod: 'eip3009', // Prefer EIP-3009 for USDC/EURC
+          name: token.eip712.name,
+          version: token.eip712.version
+        }
+      });
+    }
+  }
 
-// Generate payment requirements for x402
-function generatePaymentRequirements(totalUsd, description = 'Clawyard sticker purchase') {
-  const wallet = loadClawyardWallet();
-  const amount = usdToUsdcAmount(totalUsd);
-  
   return {
     x402Version: 2,
     resource: {
-      url: 'https://clawyard.dev/api/order',
+      url: resourceUrl,
       description: description,
       mimeType: 'application/json'
     },
-    accepted: {
-      scheme: 'exact',
-      network: `eip155:${BASE_CHAIN_ID}`,
-      amount: amount.toString(),
-      asset: USDC_CONTRACT_ADDRESS,
-      payTo: wallet.address,
-      maxTimeoutSeconds: 300, // 5 minutes
-      extra: {
-        assetTransferMethod: 'eip3009', // Prefer EIP-3009 for USDC
-        name: 'USDC',
-        version: '2'
-      }
+    accepts,
+    // Default option (USDC on Base), kept for clients that only read one
+    accepted: accepts.find(option => option.asset === USDC_CONTRACT_ADDRESS) || accepts[0]
+  };
+}
+
+/**
+ * Decode a base64 Payment-Signature header
+ * @param {string} header - Raw header value
+ * @returns {Object} Payment payload
+ */
+function decodePaymentSignature(header) {
+  try {
+    return JSON.parse(Buffer.from(header, 'base64').toString());
+  } catch (error) {
+    throw new Error('Payment signature header must be base64 encoded JSON');
+  }
+}
+
+/**
+ * Encode a settlement result for the X-Payment-Response header
+ * @param {Object} settlement - { success, transaction, network, payer }
+ * @returns {string} base64 JSON
+ */
+function encodePaymentResponse(settlement) {
+  return Buffer.from(JSON.stringify(settlement)).toString('base64');
+}
+
+/**
+ * Verify an EIP-3009 payment payload against our payment requirements
+ * @param {Object} paymentPayload - Decoded Payment-Signature payload
+ * @param {Object} requirements - Output of generatePaymentRequirements
+ * @returns {Promise<Object>} The verified authorization and signature
+ */
+async function verifyPaymentPayload(paymentPayload, requirements) {
+  // Basic payload validation
+  if (!paymentPayload.payload || !paymentPayload.payload.signature || !paymentPayload.payload.authorization) {
+    throw new Error('Invalid payment payload structure');
+  }
+
+  const { signature, authorization } = paymentPayload.payload;
+  const accepted = paymentPayload.accepted || requirements.accepted;
+
+  // Validate network and asset against the options we offered
+  const expected = requirements.accepts.find(option =>
+    option.network === accepted.network && option.asset.toLowerCase() === String(accepted.asset).toLowerCase()
+  );
+  if (!expected) {
+    throw new Error(`Unsupported network/asset: ${accepted.network} ${accepted.asset}`);
+  }
+  const network = findNetwork(expected.network);
+
+  // Validate the signed amount, not the amount the client claims to accept
+  if (ethers.getBigInt(authorization.value) < ethers.getBigInt(expected.amount)) {
+    throw new Error(`Insufficient payment amount: expected ${expected.amount}, authorized ${authorization.value}`);
+  }
+
+  // Validate destination
+  if (authorization.to.toLowerCase() !== expected.payTo.toLowerCase()) {
+    throw new Error('Invalid payment destination');
+  }
+
+  // Validate timing
+  const now = Math.floor(Date.now() / 1000);
+  if (now < Number(authorization.validAfter || 0)) {
+    throw new Error('Payment not yet valid');
+  }
+  if (now >= Number(authorization.validBefore)) {
+    throw new Error('Payment expired');
+  }
+
+  // Recover the EIP-712 signer and make sure it is the payer
+  const message = {
+    from: authorization.from,
+    to: authorization.to,
+    value: authorization.value,
+    validAfter: authorization.validAfter || 0,
+    validBefore: authorization.validBefore,
+    nonce: authorization.nonce
+  };
+  const domain = {
+    name: expected.extra.name,
+    version: expected.extra.version,
+    chainId: network.chainId,
+    verifyingContract: expected.asset
+  };
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(domain, TRANSFER_WITH_AUTHORIZATION_TYPES, message, signature);
+  } catch (error) {
+    throw new Error('Invalid authorization signature');
+  }
+  if (signer.toLowerCase() !== authorization.from.toLowerCase()) {
+    throw new Error('Authorization signature does not match payer');
+  }
+
+  const tokenContract = new ethers.Contract(expected.asset, ERC20_ABI, getEthersProvider(network.id));
+
+  // Reject nonces that have already been used or cancelled
+  if (await tokenContract.authorizationState(authorization.from, authorization.nonce)) {
+    throw new Error('Authorization nonce already used');
+  }
+
+  // Check sender balance
+  const senderBalance = await tokenContract.balanceOf(authorization.from);
+  if (senderBalance < ethers.getBigInt(authorization.value)) {
+    throw new Error('Insufficient sender balance');
+  }
+
+  return { authorization: message, signature, requirement: expected, network };
+}
+
+// A settlement that certainly moved no money, so the payment can be retried
+function unsettled(error) {
+  return Object.assign(error, { unsettled: true });
+}
+
+/**
+ * Settle a verified authorization, either via the facilitator or by
+ * submitting transferWithAuthorization from the Clawyard relayer wallet.
+ * Errors carry `unsettled: true` when no money can have moved.
+ * @returns {Promise<Object>} { success, transaction, network, payer, blockNumber }
+ */
+async function settleAuthorization(paymentPayload, requirements, { authorization, signature, requirement, network }) {
+  if (FACILITATOR_URL) {
+    const response = await axios.post(`${FACILITATOR_URL.replace(/\/$/, '')}/settle`, {
+      x402Version: requirements.x402Version,
+      paymentPayload,
+      paymentRequirements: requirement
+    }, { timeout: 60000 });
+
+    const result = response.data || {};
+    if (!result.success) {
+      throw unsettled(new Error(`Facilitator settlement failed: ${result.errorReason || 'unknown error'}`));
     }
+    return {
+      success: true,
+      transaction: result.transaction,
+      network: result.network || requirement.network,
+      payer: result.payer || authorization.from,
+      blockNumber: null
+    };
+  }
+
+  const wallet = loadClawyardWallet(network);
+  const tokenContract = new ethers.Contract(requirement.asset, ERC20_ABI, wallet);
+  const { v, r, s } = ethers.Signature.from(signature);
+
+  console.log(`📤 Submitting transferWithAuthorization from ${authorization.from} on ${network.name}...`);
+  let tx;
+  try {
+    tx = await tokenContract.transferWithAuthorization(
+      authorization.from,
+      authorization.to,
+      authorization.value,
+      authorization.validAfter,
+      authorization.validBefore,
+      authorization.nonce,
+      v, r, s
+    );
+  } catch (error) {
+    // Gas estimation reverted, so nothing was sent
+    throw error.code === 'CALL_EXCEPTION' ? unsettled(error) : error;
+  }
+  const receipt = await tx.wait();
+  if (!receipt || receipt.status !== 1) {
+    throw unsettled(new Error('transferWithAuthorization reverted'));
+  }
+
+  return {
+    success: true,
+    transaction: receipt.hash,
+    network: requirement.network,
+    payer: authorization.from,
+    blockNumber: receipt.blockNumber
   };
 }
 
 // Verify x402 payment signature and execute transfer
-async function verifyAndExecutePayment(paymentPayload) {
+async function verifyAndExecutePayment(paymentPayload, requirements) {
   try {
-    const wallet = loadClawyard Wallet();
-    const provider = wallet.provider;
-    
-    // Basic payload validation
-    if (!paymentPayload.payload || !paymentPayload.payload.signature || !paymentPayload.payload.authorization) {
-      throw new Error('Invalid payment payload structure');
-    }
-    
-    const { signature, authorization } = paymentPayload.payload;
-    const { accepted } = paymentPayload;
-    
-    // Validate network and asset
-    if (accepted.network !== `eip155:${BASE_CHAIN_ID}`) {
-      throw new Error('Invalid network - only Base is supported');
-    }
-    
-    if (accepted.asset.toLowerCase() !== USDC_CONTRACT_ADDRESS.toLowerCase()) {
-      throw new Error('Invalid asset - only USDC is supported');
-    }
-    
-    // Validate amount
-    const expectedAmount = usdToUsdcAmount(STICKER_PRICE_USD);
-    if (ethers.getBigInt(accepted.amount) < expectedAmount) {
-      throw new Error('Insufficient payment amount');
-    }
-    
-    // Validate destination
-    if (authorization.to.toLowerCase() !== wallet.address.toLowerCase()) {
-      throw new Error('Invalid payment destination');
-    }
-    
-    // Validate timing
-    const now = Math.floor(Date.now() / 1000);
-    if (authorization.validAfter && now < authorization.validAfter) {
-      throw new Error('Payment not yet valid');
-    }
-    if (authorization.validBefore && now > authorization.validBefore) {
-      throw new Error('Payment expired');
-    }
-    
-    // Get USDC contract
-    const usdcContract = new ethers.Contract(USDC_CONTRACT_ADDRESS, ERC20_ABI, provider);
-    
-    // Check sender balance
-    const senderBalance = await usdcContract.balanceOf(authorization.from);
-    if (senderBalance < ethers.getBigInt(authorization.value)) {
-      throw new Error('Insufficient sender balance');
-    }
-    
-    // For EIP-3009, we would execute transferWithAuthorization here
-    // For this MVP, we'll simulate successful payment verification
-    console.log('🔍 Payment verified:', {
-      from: authorization.from,
-      to: authorization.to,
-      amount: authorization.value,
-      signature: signature.slice(0, 10) + '...'
+    const verified = await verifyPaymentPayload(paymentPayload, requirements);
+    const settlement = await settleAuthorization(paymentPayload, requirements, verified);
+
+    console.log('🔍 Payment settled:', {
+      from: verified.authorization.from,
+      to: verified.authorization.to,
+      amount: verified.authorization.value.toString(),
+      transaction: settlement.transaction
     });
-    
+
     return {
       success: true,
-      transactionHash: 'simulated-tx-' + Date.now(), // TODO: Real transaction
-      from: authorization.from,
-      to: authorization.to,
-      amount: authorization.value
+      transactionHash: settlement.transaction,
+      from: verified.authorization.from,
+      to: verified.authorization.to,
+      amount: verified.authorization.value.toString(),
+      blockNumber: settlement.blockNumber,
+      network: verified.network,
+      token: Object.values(verified.network.tokens).find(token => token.address === verified.requirement.asset),
+      settlement
     };
-    
+
   } catch (error) {
-    console.error('Payment verification failed:', error);
+    console.error('Payment verification failed:', error.message);
     throw error;
   }
 }
 
-// x402 middleware factory
-function x402Middleware(options = {}) {
-  const { priceCalculator = () => STICKER_PRICE_USD } = options;
-  
-  return async (req, res, next) => {
-    try {
-      // Check for x402 payment signature header
-      const paymentSignature = req.headers['payment-signature'];
-      
-      if (!paymentSignature) {
-        // No payment provided - return 402 with payment requirements
-        const totalPrice = priceCalculator(req.body);
-        const paymentRequirements = generatePaymentRequirements(totalPrice);
-        
-        const encodedPaymentRequired = Buffer.from(JSON.stringify(paymentRequirements)).toString('base64');
-        
-        return res.status(402)
-          .header('Payment-Required', encodedPaymentRequired)
-          .json({
-            error: 'Payment Required',
-            message: 'x402 USDC payment required on Base network',
-            paymentMethod: 'x402-usdc',
-            amount: totalPrice,
-            details: paymentRequirements
-          });
-      }
-      
-      // Decode and verify payment
-      let paymentPayload;
-      try {
-        paymentPayload = JSON.parse(Buffer.from(paymentSignature, 'base64').toString());
-      } catch (error) {
-        return res.status(400).json({
-          error: 'Invalid Payment Signature',
-          message: 'Payment signature header must be base64 encoded JSON'
-        });
-      }
-      
-      // Verify the payment
-      const paymentResult = await verifyAndExecutePayment(paymentPayload);
-      
-      if (paymentResult.success) {
-        // Payment verified - attach payment info to request and continue
-        req.x402Payment = {
-          verified: true,
-          transactionHash: paymentResult.transactionHash,
-          from: paymentResult.from,
-          amount: paymentResult.amount,
-          timestamp: new Date().toISOString()
-        };
-        
-        console.log('✅ x402 payment verified for', paymentResult.from);
-        next();
-      } else {
-        throw new Error('Payment verification failed');
-      }
-      
-    } catch (error) {
-      console.error('x402 middleware error:', error);
-      
-      // Return 402 with error details
-      return res.status(402).json({
-        error: 'Payment Verification Failed',
-        message: error.message,
-        timestamp: new Date().toISOString()
-      });
+/**
+ * Verify and settle a Payment-Signature header for an order total.
+ * Mirrors the result shape of payment.verifyPayment so routes can use either;
+ * like a transfer, the payment is final once its receipt is
+ * PAYMENT_CONFIRMATIONS deep.
+ * @param {string} paymentSignature - Raw Payment-Signature header
+ * @param {Object} requirements - Output of generatePaymentRequirements
+ * @param {Object} options
+ * @param {Function} options.bindPayer - Optional async (from) => { verified, error }, checked before any funds move
+ * @param {Function} options.beforeSettle - Optional async ({ from }) called once the authorization is verified,
+ *   just before it settles - a throw stops the settlement
+ * @returns {Promise<Object>} Payment verification result (+ settlement for X-Payment-Response);
+ *   a failed settlement has `unsettled: true` when no money moved
+ */
+async function settleX402Payment(paymentSignature, requirements, { bindPayer, beforeSettle } = {}) {
+  let paymentPayload;
+  try {
+    paymentPayload = decodePaymentSignature(paymentSignature);
+  } catch (error) {
+    return { verified: false, invalid: true, error: error.message };
+  }
+
+  if (bindPayer) {
+    const binding = await bindPayer(paymentPayload.payload?.authorization?.from);
+    if (!binding.verified) {
+      return { verified: false, unbound: true, error: binding.error };
     }
-  };
-}
+  }
+
+  let verified;
+  try {
+    verified = await verifyPaymentPayload(paymentPayload, requirements);
+  } catch (error) {
+    console.error('Payment verification failed:', error.message);
+    return { verified: false, error: error.message, settlement: { success: false, errorReason: error.message } };
+  }
+
+  if (beforeSettle) {
+    await beforeSettle({ from: verified.authorization.from });
+  }
+
+  let settlement;
+  try {
+    settlement = await settleAuthorization(paymentPayload, requirements, verified);
+  } catch (error) {
+    console.error('Payment settlement failed:', error.message);
+    return {
+      verified: false,
+      unsettled: error.unsettled === true,
+      error: error.message,
+      settlement: { success: false, errorReason: error.message }
+    };
+  }
+
+  const { network } = verified;
+  const token = Object.values(network.tokens).find(candidate => candidate.address === verified.requirement.asset);
+  const amount = parseFloat(ethers.formatUnits(verified.authorization.value, token.decimals));
+  console.log('🔍 Payment settled:', { from: verified.authorization.from, amount, transaction: settlement.transaction });
 
-// Helper function to calculate order total
-function calculateOrderTotal(orderBody) {
-  if (!orderBody.stickers || !Array.isArray(orderBody.stickers)) {
-    return STICKER_PRICE_USD; // Default to single sticker
-  }
-  
-  const totalQuantity = orderBody.stickers.reduce((sum, item) => {
-    return sum + (item.qty || 1);
-  }, 0);
-  
-  return STICKER_PRICE_USD * totalQuantity;
+  // Facilitators don't report the block, so the receipt settles where and how deep it is
+  let finality = { state: 'pending', confirmations: 0 };
+  try {
+    finality = await checkPaymentFinality(settlement.transaction, {}, network.id);
+  } catch (error) {
+    console.warn(`⚠️  Could not check settlement ${settlement.transaction} yet: ${error.message}`);
+  }
+
+  return {
+    verified: true,
+    from: verified.authorization.from,
+    amount,
+    amountUSD: Math.round(amount * token.usdRate * 100) / 100,
+    network: network.id,
+    token: token.symbol,
+    tokenAddress: token.address,
+    transactionHash: settlement.transaction,
+    blockNumber: finality.blockNumber ?? settlement.blockNumber,
+    blockHash: finality.blockHash || null,
+    confirmations: finality.confirmations,
+    final: finality.state === 'final',
+    timestamp: finality.timestamp || Math.floor(Date.now() / 1000),
+    settlement
+  };
 }
 
 module.exports = {
-  x402Middleware,
   generatePaymentRequirements,
+  decodePaymentSignature,
+  encodePaymentResponse,
+  verifyPaymentPayload,
   verifyAndExecutePayment,
-  calculateOrderTotal,
-  STICKER_PRICE_USD,
+  settleX402Payment,
   BASE_CHAIN_ID,
   USDC_CONTRACT_ADDRESS
-};
\ No newline at end of file
+};
@@ -0,0 +1,94 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, removeDatabase } = require('./helpers');
+
+const db = setupDatabase();
+
+// Printful, per Printful order id: its status and whether it refuses to cancel
+const printfulOrders = {};
+const printful = require('../src/printful');
+printful.getOrderStatus = async id => ({ id, status: printfulOrders[id].status });
+printful.cancelOrder = async id => {
+  if (printfulOrders[id].refuse) throw new Error('Order is already in production');
+  printfulOrders[id].status = 'canceled';
+  return true;
+};
+
+// Revocations are only recorded - the EAS job itself is not under test
+const revoked = [];
+require('../src/jobs').enqueueRevocation = orderId => revoked.push(orderId);
+
+const { cancelOrder } = require('../src/cancellation');
+
+const wallet = '0x00000000000000000000000000000000000000aa';
+const address = { name: 'Test Agent', address1: '1 Test Street', city: 'Testville', state: 'CA', country: 'US', zip: '94000' };
+
+after(removeDatabase);
+
+// A store-credit order to two addresses, both submitted to Printful: 12.00 of
+// items less a 1.20 discount, plus 2.00 and 3.00 shipping
+function createSubmittedOrder(first, second) {
+  const firstItems = [{ id: 'agent-works-nights', name: 'Agent Works Nights', qty: 2, price: 4, total: 8, printfulVariantId: 10163 }];
+  const secondItems = [{ id: 'ship-it', name: 'Ship It', qty: 1, price: 4, total: 4, printfulVariantId: 10163 }];
+  const orderId = db.createOrder({
+    wallet,
+    items: [...firstItems, ...secondItems],
+    shippingAddress: address,
+    totalUSDC: '15.80',
+    status: 'paid',
+    shipments: [
+      { items: firstItems, shippingAddress: address, shippingCost: '2.00' },
+      { items: secondItems, shippingAddress: address, shippingCost: '3.00' }
+    ]
+  });
+
+  const [one, two] = db.getOrder(orderId).shipments;
+  printfulOrders[`pf-${orderId}-1`] = first;
+  printfulOrders[`pf-${orderId}-2`] = second;
+  db.updateShipmentPrintful(one.id, `pf-${orderId}-1`);
+  db.updateShipmentPrintful(two.id, `pf-${orderId}-2`);
+  db.updateOrderStatus(orderId, 'submitted', { actor: 'fulfillment' });
+  return orderId;
+}
+
+test('one shipment in production cancels nothing', async () => {
+  const orderId = createSubmittedOrder({ status: 'pending' }, { status: 'inprocess' });
+
+  const result = await cancelOrder(orderId, {});
+  assert.strictEqual(result.status, 409);
+
+  const order = db.getOrder(orderId);
+  assert.strictEqual(order.status, 'submitted');
+  assert.deepStrictEqual(order.shipments.map(shipment => shipment.status), ['submitted', 'submitted']);
+  assert.strictEqual(printfulOrders[`pf-${orderId}-1`].status, 'pending');
+  assert.strictEqual(db.getRefundsByOrder(orderId).length, 0);
+});
+
+test('every shipment cancellable cancels and refunds the whole order', async () => {
+  const orderId = createSubmittedOrder({ status: 'pending' }, { status: 'draft' });
+
+  const result = await cancelOrder(orderId, {});
+  assert.strictEqual(result.partial, null);
+  assert.strictEqual(result.refund.amountUSDC, '15.80');
+  assert.strictEqual(result.order.status, 'refunded');
+  assert.deepStrictEqual(result.order.shipments.map(shipment => shipment.status), ['cancelled', 'cancelled']);
+  assert.ok(revoked.includes(orderId));
+});
+
+test('a shipment Printful starts on mid-way is a partial cancellation, refunded pro rata', async () => {
+  const orderId = createSubmittedOrder({ status: 'pending' }, { status: 'pending', refuse: true });
+
+  const result = await cancelOrder(orderId, { reason: 'Wrong address' });
+  assert.deepStrictEqual(result.partial, { cancelled: [1], remaining: [2] });
+  assert.strictEqual(result.attestationRevocation, null);
+  assert.ok(!revoked.includes(orderId));
+
+  // (15.80 - 5.00 shipping) * 8/12 of the items + 2.00 shipping
+  assert.strictEqual(result.refund.amountUSDC, '9.20');
+  assert.strictEqual(result.refund.method, 'credit');
+
+  const order = db.getOrder(orderId);
+  assert.strictEqual(order.status, 'submitted');
+  assert.deepStrictEqual(order.shipments.map(shipment => shipment.status), ['cancelled', 'submitted']);
+  assert.ok(db.getOrderEvents(orderId).some(event => /Partially cancelled/.test(event.reason)));
+});
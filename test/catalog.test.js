@@ -0,0 +1,42 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, removeDatabase } = require('./helpers');
+
+const db = setupDatabase();
+const { createSticker, updateSticker } = require('../src/catalog');
+
+after(removeDatabase);
+
+function createVariantSticker(id) {
+  const created = createSticker({
+    id,
+    productType: 'sticker',
+    name: 'Sizes',
+    options: [{ name: 'Size', values: ['3"', '4"'] }],
+    variants: [
+      { id: `${id}-3in`, options: { Size: '3"' }, printfulVariantId: 10163, price: 3.5, active: true },
+      { id: `${id}-4in`, options: { Size: '4"' }, printfulVariantId: 10164, price: 4.5, active: true }
+    ],
+    active: true
+  });
+  assert.strictEqual(created.error, undefined);
+  return created.sticker;
+}
+
+test('basePrice is rejected while the product keeps its variants', () => {
+  createVariantSticker('keeps-variants');
+
+  const result = updateSticker('keeps-variants', { basePrice: 5 });
+  assert.strictEqual(result.status, 400);
+  assert.strictEqual(db.getCatalogItem('keeps-variants').basePrice, 3.5);
+});
+
+test('dropping the variants takes a basePrice in the same update', () => {
+  createVariantSticker('drops-variants');
+
+  const result = updateSticker('drops-variants', { variants: null, basePrice: 5 });
+  assert.strictEqual(result.error, undefined);
+  assert.strictEqual(result.sticker.basePrice, 5);
+  assert.strictEqual(result.sticker.variants, null);
+  assert.deepStrictEqual(result.sticker.options, []);
+});
@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { generatePrivateKey, privateKeyToAccount } = require('viem/accounts');
+const { setupDatabase, removeDatabase, createTestQuote, createTestSession } = require('./helpers');
+
+const db = setupDatabase();
+
+// Agent ownership is an RPC lookup - every agent belongs to the wallet asked about
+const agentVerify = require('../src/agent-verify');
+agentVerify.verifyAgent = async (agentId, wallet) => ({ verified: true, owner: wallet });
+
+const { checkWallet, checkPayment, preflightOrder } = require('../src/preflight');
+const { orderSignatureMessage, sessionWallet } = require('../src/auth');
+
+const owner = privateKeyToAccount(generatePrivateKey());
+const stranger = privateKeyToAccount(generatePrivateKey());
+const wallet = owner.address.toLowerCase();
+
+before(() => {
+  db.addCreditEntry({ wallet, amountUSDC: 25, reason: 'overpayment' });
+});
+
+after(removeDatabase);
+
+test('credit is not spent without proof of the wallet', async () => {
+  const quote = createTestQuote(db);
+  const walletCheck = await checkWallet(quote, wallet, {});
+  assert.strictEqual(walletCheck.passed, true);
+  assert.strictEqual(walletCheck.proven, false);
+
+  const payment = checkPayment(quote, { payerWallet: wallet, walletProven: walletCheck.proven });
+  assert.strictEqual(payment.credit.applied, 0);
+  assert.strictEqual(payment.amountDue, 10);
+});
+
+test('a session for the wallet spends its credit', async () => {
+  const quote = createTestQuote(db);
+  const token = createTestSession(db, wallet);
+
+  const walletCheck = await checkWallet(quote, owner.address, { sessionWallet: sessionWallet({ authorization: `Bearer ${token}` }) });
+  assert.strictEqual(walletCheck.proven, true);
+
+  const payment = checkPayment(quote, { payerWallet: owner.address, walletProven: true });
+  assert.strictEqual(payment.credit.applied, 10);
+  assert.strictEqual(payment.amountDue, 0);
+});
+
+test('a session for another wallet proves nothing', async () => {
+  const quote = createTestQuote(db);
+  const token = createTestSession(db, stranger.address);
+
+  const walletCheck = await checkWallet(quote, wallet, { sessionWallet: sessionWallet({ authorization: `Bearer ${token}` }) });
+  assert.strictEqual(walletCheck.proven, false);
+});
+
+test('a walletSignature over the order proves the wallet', async () => {
+  const quote = createTestQuote(db);
+  const walletSignature = await owner.signMessage({ message: orderSignatureMessage({ wallet, quoteId: quote.id }) });
+
+  const walletCheck = await checkWallet(quote, wallet, { walletSignature });
+  assert.strictEqual(walletCheck.proven, true);
+});
+
+test('a walletSignature from another wallet, or for another quote, is rejected', async () => {
+  const quote = createTestQuote(db);
+  const otherQuote = createTestQuote(db);
+
+  const forged = await stranger.signMessage({ message: orderSignatureMessage({ wallet, quoteId: quote.id }) });
+  const forgedCheck = await checkWallet(quote, wallet, { walletSignature: forged });
+  assert.strictEqual(forgedCheck.passed, false);
+  assert.strictEqual(forgedCheck.status, 401);
+
+  const replayed = await owner.signMessage({ message: orderSignatureMessage({ wallet, quoteId: otherQuote.id }) });
+  const replayCheck = await checkWallet(quote, wallet, { walletSignature: replayed });
+  assert.strictEqual(replayCheck.passed, false);
+});
+
+test('preflight does not reveal another wallet\'s credit', async () => {
+  const quote = createTestQuote(db);
+  const report = await preflightOrder([], { quoteId: quote.id, agentId: '1', payerWallet: owner.address });
+
+  assert.strictEqual(report.creditApplied, '0.00');
+  assert.strictEqual(report.amountDue, '10.00');
+});
+
+test('preflight shows the credit to the signed-in wallet', async () => {
+  const quote = createTestQuote(db);
+  const token = createTestSession(db, wallet);
+  const report = await preflightOrder([], { quoteId: quote.id, agentId: '1', payerWallet: owner.address }, { authorization: `Bearer ${token}` });
+
+  assert.strictEqual(report.creditApplied, '10.00');
+  assert.strictEqual(report.amountDue, '0.00');
+});
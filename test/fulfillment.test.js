@@ -0,0 +1,45 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, removeDatabase } = require('./helpers');
+
+const db = setupDatabase();
+
+// Printful orders as they would be created, by shipment position
+const created = [];
+const printful = require('../src/printful');
+printful.createOrder = async orderData => {
+  created.push(orderData);
+  return `pf-${orderData.orderId}-${orderData.shipment}`;
+};
+
+const { submitToPrintful } = require('../src/fulfillment');
+
+const address = { name: 'Test Agent', address1: '1 Test Street', city: 'Testville', state: 'CA', country: 'US', zip: '94000' };
+
+after(removeDatabase);
+
+test('each Printful order carries its shipment\'s share of the discounts', async () => {
+  const firstItems = [{ id: 'agent-works-nights', name: 'Agent Works Nights', qty: 2, price: 4, total: 8, printfulVariantId: 10163 }];
+  const secondItems = [{ id: 'ship-it', name: 'Ship It', qty: 1, price: 4, total: 4, printfulVariantId: 10163 }];
+  const orderId = db.createOrder({
+    wallet: '0x00000000000000000000000000000000000000aa',
+    items: [...firstItems, ...secondItems],
+    shippingAddress: address,
+    // 12.00 of items less 1.20 volume and 0.60 holder discounts, plus 5.00 shipping
+    totalUSDC: '15.20',
+    status: 'paid',
+    discounts: [
+      { type: 'volume', label: '10% off 3 stickers', amount: 1.2 },
+      { type: 'holder', id: 'clawd-holder', label: '$CLAWD holder', wallet: '0x00000000000000000000000000000000000000aa', amount: 0.6 }
+    ],
+    shipments: [
+      { items: firstItems, shippingAddress: address, shippingCost: '2.00' },
+      { items: secondItems, shippingAddress: address, shippingCost: '3.00' }
+    ]
+  });
+
+  await submitToPrintful(orderId);
+
+  assert.deepStrictEqual(created.map(order => [order.shipment, order.discount]), [[1, 1.2], [2, 0.6]]);
+  assert.strictEqual(db.getOrder(orderId).status, 'submitted');
+});
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+/*
+ * Shared setup for the node:test suites. Every test file runs in its own
+ * process, so each gets a fresh SQLite database in a temp directory.
+ */
+
+// Tests never talk to Printful (its client stubs itself without a key)
+delete process.env.PRINTFUL_API_KEY;
+
+let tempDir = null;
+
+/**
+ * Point the database at a new temp file and create the tables
+ * @returns {Object} The database module
+ */
+function setupDatabase() {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'clawyard-test-'));
+  process.env.DB_PATH = path.join(tempDir, 'clawyard.db');
+  const db = require('../src/database');
+  db.init();
+  return db;
+}
+
+function removeDatabase() {
+  if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+  tempDir = null;
+}
+
+/**
+ * An open single-address quote
+ * @param {Object} db
+ * @param {Object} overrides - Any createQuote fields
+ * @returns {Object} The quote, as db.getQuote returns it
+ */
+function createTestQuote(db, overrides = {}) {
+  const totalUSDC = overrides.totalUSDC || '10.00';
+  const id = db.createQuote({
+    kind: 'catalog',
+    items: [{ id: 'agent-works-nights', name: 'Agent Works Nights', qty: 2, price: 4, total: 8, printfulVariantId: 10163 }],
+    shippingAddress: { name: 'Test Agent', address1: '1 Test Street', city: 'Testville', state: 'CA', country: 'US', zip: '94000' },
+    shippingMethod: 'STANDARD',
+    shippingCost: '2.00',
+    subtotalUSDC: '8.00',
+    totalUSDC,
+    expiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString(),
+    ...overrides
+  });
+  return db.getQuote(id);
+}
+
+/**
+ * Open a SIWE session row directly, skipping the signed message
+ * @returns {string} Bearer token for it
+ */
+function createTestSession(db, wallet) {
+  const token = crypto.randomBytes(32).toString('hex');
+  db.createSession({
+    tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+    wallet: wallet.toLowerCase(),
+    chainId: 8453,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+  });
+  return token;
+}
+
+module.exports = {
+  setupDatabase,
+  removeDatabase,
+  createTestQuote,
+  createTestSession
+};
@@ -0,0 +1,83 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, removeDatabase } = require('./helpers');
+
+setupDatabase();
+
+const { idempotentOrder } = require('../src/idempotency');
+
+after(removeDatabase);
+
+const alice = '0x00000000000000000000000000000000000000aa';
+const bob = '0x00000000000000000000000000000000000000bb';
+
+function paymentSignature(from, nonce) {
+  const payload = { x402Version: 1, payload: { signature: `0x${nonce.slice(2, 10)}`, authorization: { from, nonce } } };
+  return Buffer.from(JSON.stringify(payload)).toString('base64');
+}
+
+// Run a request through the middleware; the handler answers with `handler(req)` when reached
+function send({ headers = {}, body = {} }, handler = () => ({ status: 201, body: { orderId: 'order-1' } })) {
+  const req = { baseUrl: '', path: '/api/order', headers, body };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+    get(name) { return this.headers[name.toLowerCase()]; },
+    json(payload) { this.body = payload; return this; }
+  };
+  let handled = false;
+  idempotentOrder(req, res, () => {
+    handled = true;
+    const { status, body: payload } = handler(req);
+    res.status(status).json(payload);
+  });
+  return { handled, status: res.statusCode, body: res.body, headers: res.headers };
+}
+
+test('the same Idempotency-Key from two wallets is two orders', () => {
+  const first = send({ headers: { 'idempotency-key': 'shared-key' }, body: { quoteId: 'q1', payerWallet: alice } });
+  assert.strictEqual(first.handled, true);
+
+  const other = send({ headers: { 'idempotency-key': 'shared-key' }, body: { quoteId: 'q2', payerWallet: bob } },
+    () => ({ status: 201, body: { orderId: 'order-2' } }));
+  assert.strictEqual(other.handled, true);
+  assert.strictEqual(other.body.orderId, 'order-2');
+
+  const replay = send({ headers: { 'idempotency-key': 'shared-key' }, body: { quoteId: 'q1', payerWallet: alice } });
+  assert.strictEqual(replay.handled, false);
+  assert.strictEqual(replay.status, 201);
+  assert.strictEqual(replay.body.orderId, 'order-1');
+  assert.strictEqual(replay.headers['idempotent-replayed'], 'true');
+});
+
+test('a key reused with a different body is rejected', () => {
+  send({ headers: { 'idempotency-key': 'body-key', 'x-wallet': alice }, body: { quoteId: 'q3' } });
+  const reused = send({ headers: { 'idempotency-key': 'body-key', 'x-wallet': alice }, body: { quoteId: 'q4' } });
+  assert.strictEqual(reused.handled, false);
+  assert.strictEqual(reused.status, 409);
+  assert.strictEqual(reused.body.error, 'Idempotency key reused');
+});
+
+test('a re-signed Payment-Signature still replays the original order', () => {
+  const nonce = `0x${'1'.repeat(64)}`;
+  const headers = { 'idempotency-key': 'x402-key', 'payment-signature': paymentSignature(alice, nonce) };
+  send({ headers, body: { quoteId: 'q5' } });
+
+  // Same authorization, different encoding of the header
+  const resent = send({ headers: { ...headers, 'payment-signature': paymentSignature(alice, nonce).replace(/=+$/, '') }, body: { quoteId: 'q5' } });
+  assert.strictEqual(resent.handled, false);
+  assert.strictEqual(resent.status, 201);
+  assert.strictEqual(resent.body.orderId, 'order-1');
+});
+
+test('an error response releases the key for a corrected retry', () => {
+  const failed = send({ headers: { 'idempotency-key': 'retry-key', 'x-wallet': bob }, body: { quoteId: 'q6' } },
+    () => ({ status: 400, body: { error: 'Invalid request' } }));
+  assert.strictEqual(failed.status, 400);
+
+  const retried = send({ headers: { 'idempotency-key': 'retry-key', 'x-wallet': bob }, body: { quoteId: 'q6' } });
+  assert.strictEqual(retried.handled, true);
+  assert.strictEqual(retried.status, 201);
+});
@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+// Read when the modules load
+process.env.CHAIN_PROFILE = 'local';
+process.env.LOCAL_ETH_CHAIN_ID = '31338';
+
+const { NETWORKS } = require('../src/networks');
+const { getPublicClient, getEthersProvider } = require('../src/providers');
+
+test('the local profile uses the node\'s chain id everywhere', async () => {
+  assert.strictEqual(NETWORKS.base.chainId, 31337);
+  assert.strictEqual(NETWORKS.ethereum.chainId, 31338);
+  assert.strictEqual(getPublicClient('base').chain.id, 31337);
+  assert.strictEqual((await getEthersProvider('base').getNetwork()).chainId, 31337n);
+  // The forked token contracts stay where they are
+  assert.strictEqual(NETWORKS.base.tokens.USDC.address, '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913');
+});
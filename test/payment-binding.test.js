@@ -0,0 +1,74 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { generatePrivateKey, privateKeyToAccount } = require('viem/accounts');
+const { setupDatabase, removeDatabase } = require('./helpers');
+
+const db = setupDatabase();
+
+// No holder discounts - the agent rule would otherwise ask the registry over RPC
+const agentVerify = require('../src/agent-verify');
+agentVerify.hasRegisteredAgent = async () => ({ hasAgent: false, agentCount: 0 });
+
+const { verifyPaymentBinding, delegationMessage, quoteMemo } = require('../src/payment-binding');
+const { createQuote } = require('../src/quotes');
+const { seedCatalog, getCatalog } = require('../src/catalog');
+
+const victim = privateKeyToAccount(generatePrivateKey());
+const attacker = privateKeyToAccount(generatePrivateKey());
+const quoteId = '8d7c6b5a-4f3e-4d2c-9b1a-0f9e8d7c6b5a';
+
+after(removeDatabase);
+
+test('a transfer from the named wallet is not enough on its own', async () => {
+  // Someone else's pending transfer, claimed by naming its sender as payerWallet
+  const binding = await verifyPaymentBinding({ payer: victim.address, payerWallet: victim.address, quoteId });
+  assert.strictEqual(binding.verified, false);
+  assert.match(binding.error, /doesn't prove it controls that wallet/);
+});
+
+test('a transfer from the proven wallet is bound by its sender', async () => {
+  const binding = await verifyPaymentBinding({ payer: victim.address, payerWallet: victim.address.toLowerCase(), quoteId, walletProven: true });
+  assert.deepStrictEqual(binding, { verified: true, method: 'sender' });
+});
+
+test('proof of one wallet does not bind a transfer from another', async () => {
+  const binding = await verifyPaymentBinding({ payer: victim.address, payerWallet: attacker.address, quoteId, walletProven: true });
+  assert.strictEqual(binding.verified, false);
+});
+
+test('the quote memo binds a transfer without proof', async () => {
+  const input = `0xa9059cbb${'0'.repeat(128)}${quoteMemo(quoteId).slice(2)}`;
+  const binding = await verifyPaymentBinding({ payer: victim.address, payerWallet: attacker.address, quoteId, input });
+  assert.deepStrictEqual(binding, { verified: true, method: 'memo' });
+});
+
+test('a delegation from the sender binds its transfer to the agent wallet', async () => {
+  const delegation = await victim.signMessage({ message: delegationMessage({ payer: victim.address, wallet: attacker.address, quoteId }) });
+  const binding = await verifyPaymentBinding({ payer: victim.address, payerWallet: attacker.address, quoteId, delegation });
+  assert.deepStrictEqual(binding, { verified: true, method: 'delegation' });
+});
+
+test('a delegation signed by anyone but the sender is rejected', async () => {
+  const delegation = await attacker.signMessage({ message: delegationMessage({ payer: victim.address, wallet: attacker.address, quoteId }) });
+  const binding = await verifyPaymentBinding({ payer: victim.address, payerWallet: attacker.address, quoteId, delegation });
+  assert.strictEqual(binding.verified, false);
+});
+
+test('a quote records whether it was requested signed in as payerWallet', async () => {
+  seedCatalog();
+  const request = {
+    stickers: [{ id: getCatalog()[0].id, qty: 1 }],
+    shippingAddress: { name: 'Test Agent', address1: '1 Test Street', city: 'Testville', state: 'CA', country: 'US', zip: '94000' },
+    agentId: '1',
+    payerWallet: victim.address
+  };
+
+  const signedIn = await createQuote(getCatalog(), request, { sessionWallet: victim.address.toLowerCase() });
+  assert.strictEqual(signedIn.quote.payerVerified, true);
+
+  const otherSession = await createQuote(getCatalog(), request, { sessionWallet: attacker.address.toLowerCase() });
+  assert.strictEqual(otherSession.quote.payerVerified, false);
+
+  const anonymous = await createQuote(getCatalog(), request);
+  assert.strictEqual(anonymous.quote.payerVerified, false);
+});
@@ -0,0 +1,110 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, removeDatabase } = require('./helpers');
+
+const db = setupDatabase();
+
+// Revocations are only recorded - the EAS job itself is not under test
+const revoked = [];
+require('../src/jobs').enqueueRevocation = orderId => revoked.push(orderId);
+
+const { handlePrintfulEvent } = require('../src/printful-webhooks');
+
+const wallet = '0x00000000000000000000000000000000000000cc';
+const address = { name: 'Test Agent', address1: '1 Test Street', city: 'Testville', state: 'CA', country: 'US', zip: '94000' };
+const stickers = [{ id: 'agent-works-nights', name: 'Agent Works Nights', qty: 2, price: 4, total: 8, printfulVariantId: 10163 }];
+const more = [{ id: 'ship-it', name: 'Ship It', qty: 1, price: 4, total: 4, printfulVariantId: 10163 }];
+
+after(removeDatabase);
+
+// A store-credit order with every shipment submitted to Printful
+function createSubmittedOrder(shipments = [{ items: stickers, shippingAddress: address, shippingCost: '2.00' }]) {
+  const orderId = db.createOrder({
+    wallet,
+    items: shipments.flatMap(shipment => shipment.items),
+    shippingAddress: address,
+    totalUSDC: shipments.length > 1 ? '17.00' : '10.00',
+    status: 'paid',
+    shipments
+  });
+  const printfulOrders = db.getOrder(orderId).shipments.map(shipment => {
+    db.updateShipmentPrintful(shipment.id, `pf-${orderId}-${shipment.position}`);
+    const suffix = shipment.position > 1 ? `-${shipment.position}` : '';
+    return { id: `pf-${orderId}-${shipment.position}`, external_id: `CLW-${orderId.slice(0, 8)}${suffix}` };
+  });
+  db.updateOrderStatus(orderId, 'submitted', { actor: 'fulfillment' });
+  return { orderId, printfulOrders };
+}
+
+function delivery(type, order, extra = {}) {
+  return { type, occurred_at: new Date().toISOString(), data: { order }, ...extra };
+}
+
+test('order_updated to inprocess moves the order to in_production', async () => {
+  const { orderId, printfulOrders: [printfulOrder] } = createSubmittedOrder();
+
+  const result = await handlePrintfulEvent(delivery('order_updated', { ...printfulOrder, status: 'inprocess' }));
+  assert.strictEqual(result.status, 'in_production');
+  assert.strictEqual(db.getOrder(orderId).shipments[0].status, 'in_production');
+});
+
+test('other order updates leave the status alone', async () => {
+  const { orderId, printfulOrders: [printfulOrder] } = createSubmittedOrder();
+
+  const result = await handlePrintfulEvent(delivery('order_updated', { ...printfulOrder, status: 'pending' }));
+  assert.strictEqual(result.status, 'submitted');
+  assert.strictEqual(db.getOrder(orderId).shipments[0].status, 'submitted');
+});
+
+test('order_canceled cancels, refunds and revokes like an agent cancellation', async () => {
+  const { orderId, printfulOrders: [printfulOrder] } = createSubmittedOrder();
+
+  const result = await handlePrintfulEvent(delivery('order_canceled', printfulOrder, { data: { order: printfulOrder, reason: 'Out of stock' } }));
+  assert.strictEqual(result.status, 'refunded');
+  const [refund] = db.getRefundsByOrder(orderId);
+  assert.strictEqual(refund.amountUSDC, '10.00');
+  assert.strictEqual(refund.initiatedBy, 'printful');
+  assert.ok(revoked.includes(orderId));
+});
+
+test('order_canceled for one of several shipments refunds it pro rata', async () => {
+  const { orderId, printfulOrders } = createSubmittedOrder([
+    { items: stickers, shippingAddress: address, shippingCost: '2.00' },
+    { items: more, shippingAddress: address, shippingCost: '3.00' }
+  ]);
+
+  const result = await handlePrintfulEvent(delivery('order_canceled', printfulOrders[1]));
+  assert.strictEqual(result.status, 'submitted');
+  // (17.00 - 5.00 shipping) * 4/12 of the items + 3.00 shipping
+  assert.deepStrictEqual(db.getRefundsByOrder(orderId).map(refund => refund.amountUSDC), ['7.00']);
+  assert.ok(!revoked.includes(orderId));
+});
+
+test('a cancellation we made ourselves is not refunded again', async () => {
+  const { orderId, printfulOrders: [printfulOrder] } = createSubmittedOrder();
+  db.updateShipmentStatus(db.getOrder(orderId).shipments[0].id, 'cancelled');
+
+  await handlePrintfulEvent(delivery('order_canceled', printfulOrder));
+  assert.strictEqual(db.getRefundsByOrder(orderId).length, 0);
+});
+
+test('a replayed delivery is applied once', async () => {
+  const { orderId, printfulOrders: [printfulOrder] } = createSubmittedOrder();
+  const event = delivery('order_canceled', printfulOrder);
+
+  await handlePrintfulEvent(event);
+  const replayed = await handlePrintfulEvent({ ...event, retries: 1 });
+  assert.deepStrictEqual(replayed, { handled: false, reason: 'Duplicate event' });
+  assert.strictEqual(db.getRefundsByOrder(orderId).length, 1);
+});
+
+test('a delivery outside the accepted window is refused', async () => {
+  const { orderId, printfulOrders: [printfulOrder] } = createSubmittedOrder();
+  const old = new Date(Date.now() - 73 * 60 * 60 * 1000).toISOString();
+
+  const result = await handlePrintfulEvent({ ...delivery('order_canceled', printfulOrder), occurred_at: old });
+  assert.strictEqual(result.handled, false);
+  const undated = await handlePrintfulEvent({ ...delivery('order_canceled', printfulOrder), occurred_at: undefined });
+  assert.strictEqual(undated.handled, false);
+  assert.strictEqual(db.getOrder(orderId).status, 'submitted');
+});
@@ -0,0 +1,136 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { custom } = require('viem');
+const { generatePrivateKey } = require('viem/accounts');
+const { setupDatabase, removeDatabase } = require('./helpers');
+
+const db = setupDatabase();
+process.env.REFUND_PRIVATE_KEY = generatePrivateKey();
+
+// A node that accepts any transfer, and a receipt per refund tx that each test sets
+const REFUND_TX = `0x${'ab'.repeat(32)}`;
+const chain = { receipt: null };
+const rpc = {
+  eth_chainId: '0x2105',
+  eth_getTransactionCount: '0x0',
+  eth_estimateGas: '0x186a0',
+  eth_maxPriorityFeePerGas: '0x1',
+  eth_getBlockByNumber: { number: '0x1', hash: `0x${'01'.repeat(32)}`, timestamp: '0x1', baseFeePerGas: '0x1', transactions: [] },
+  eth_sendRawTransaction: REFUND_TX
+};
+const providers = require('../src/providers');
+providers.getTransport = () => custom({ request: async ({ method }) => rpc[method] });
+providers.getPublicClient = () => ({
+  waitForTransactionReceipt: async () => {
+    if (!chain.receipt) throw new Error('Timed out while waiting for transaction');
+    return chain.receipt;
+  },
+  getTransactionReceipt: async () => {
+    if (!chain.receipt) throw Object.assign(new Error('Transaction receipt not found'), { name: 'TransactionReceiptNotFoundError' });
+    return chain.receipt;
+  }
+});
+
+const { refundOrder, confirmSubmittedRefunds } = require('../src/refunds');
+
+const wallet = '0x00000000000000000000000000000000000000bb';
+const address = { name: 'Test Agent', address1: '1 Test Street', city: 'Testville', state: 'CA', country: 'US', zip: '94000' };
+const items = [{ id: 'agent-works-nights', name: 'Agent Works Nights', qty: 2, price: 4, total: 8, printfulVariantId: 10163 }];
+
+after(removeDatabase);
+
+// A 10.00 order: 4.00 of store credit, the rest paid on-chain in USDC
+function createMixedOrder() {
+  db.addCreditEntry({ wallet, amountUSDC: 4, reason: 'overpayment' });
+  return db.createOrder({
+    wallet,
+    items,
+    shippingAddress: address,
+    totalUSDC: '10.00',
+    status: 'paid',
+    creditApplied: 4,
+    paymentTxHash: `0x${crypto.randomUUID().replace(/-/g, '').padEnd(64, '0')}`,
+    paymentNetwork: 'base',
+    paymentToken: 'USDC',
+    paymentFrom: wallet
+  });
+}
+
+test('the credit part of a refund comes back as credit, the rest on-chain', async () => {
+  const orderId = createMixedOrder();
+  chain.receipt = { status: 'success' };
+
+  const result = await refundOrder(orderId, { scope: 'full', cancelPrintful: false });
+  assert.strictEqual(result.error, undefined);
+  assert.strictEqual(result.refund.status, 'sent');
+  assert.strictEqual(result.refund.amountUSDC, '10.00');
+  assert.strictEqual(result.refund.creditUSDC, '4.00');
+  assert.strictEqual(result.refund.tokenAmount, '6.000000');
+  assert.strictEqual(result.refund.txHash, REFUND_TX);
+  assert.strictEqual(result.order.status, 'refunded');
+  assert.strictEqual(db.getCreditBalance(wallet), 4);
+});
+
+test('a partial refund splits in the proportion the order was paid', async () => {
+  const orderId = createMixedOrder();
+  chain.receipt = { status: 'success' };
+
+  const result = await refundOrder(orderId, { scope: 'amount', amount: 5 });
+  assert.strictEqual(result.refund.creditUSDC, '2.00');
+  assert.strictEqual(result.refund.tokenAmount, '3.000000');
+  assert.strictEqual(result.order.status, 'paid');
+
+  const rest = await refundOrder(orderId, { scope: 'full', cancelPrintful: false });
+  assert.strictEqual(rest.refund.creditUSDC, '2.00');
+  assert.strictEqual(rest.order.status, 'refunded');
+});
+
+test('an unconfirmed transfer stays submitted and is never sent twice', async () => {
+  const orderId = createMixedOrder();
+  const before = db.getCreditBalance(wallet);
+  chain.receipt = null;
+
+  const result = await refundOrder(orderId, { scope: 'full', cancelPrintful: false });
+  assert.strictEqual(result.status, 202);
+  assert.strictEqual(result.refund.status, 'submitted');
+  assert.strictEqual(result.refund.txHash, REFUND_TX);
+  assert.strictEqual(db.getOrder(orderId).status, 'paid');
+  assert.strictEqual(db.getCreditBalance(wallet), before);
+
+  // The submitted refund still holds the whole amount
+  const again = await refundOrder(orderId, { scope: 'full', cancelPrintful: false });
+  assert.strictEqual(again.status, 400);
+
+  // Still not mined: left alone
+  await confirmSubmittedRefunds();
+  assert.strictEqual(db.getRefund(result.refund.id).status, 'submitted');
+
+  chain.receipt = { status: 'success' };
+  await confirmSubmittedRefunds();
+  assert.strictEqual(db.getRefund(result.refund.id).status, 'sent');
+  assert.strictEqual(db.getOrder(orderId).status, 'refunded');
+  assert.strictEqual(db.getCreditBalance(wallet), before + 4);
+});
+
+test('a reverted transfer fails the refund without returning credit', async () => {
+  const orderId = createMixedOrder();
+  const before = db.getCreditBalance(wallet);
+  chain.receipt = { status: 'reverted' };
+
+  const result = await refundOrder(orderId, { scope: 'full', cancelPrintful: false });
+  assert.strictEqual(result.status, 502);
+  assert.strictEqual(result.refund.status, 'failed');
+  assert.strictEqual(db.getCreditBalance(wallet), before);
+  assert.strictEqual(db.getOrder(orderId).status, 'paid');
+});
+
+test('an order paid entirely with credit is refunded as credit', async () => {
+  db.addCreditEntry({ wallet, amountUSDC: 10, reason: 'overpayment' });
+  const orderId = db.createOrder({ wallet, items, shippingAddress: address, totalUSDC: '10.00', status: 'paid', creditApplied: 10 });
+  const before = db.getCreditBalance(wallet);
+
+  const result = await refundOrder(orderId, { scope: 'full', cancelPrintful: false });
+  assert.strictEqual(result.refund.method, 'credit');
+  assert.strictEqual(result.refund.creditUSDC, '10.00');
+  assert.strictEqual(db.getCreditBalance(wallet), before + 10);
+});
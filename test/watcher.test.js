@@ -0,0 +1,38 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, removeDatabase } = require('./helpers');
+
+const db = setupDatabase();
+
+const { resolveOrphan } = require('../src/watcher');
+
+const sender = '0x00000000000000000000000000000000000000aa';
+
+after(removeDatabase);
+
+function createOrphan(txHash) {
+  db.addOrphanPayment({
+    network: 'base', token: 'USDC', txHash, logIndex: 0, from: sender,
+    amount: '5000000', amountUSD: '5.00', blockNumber: 1, reason: 'no_matching_quote'
+  });
+  return db.getOrphanPayments().find(orphan => orphan.txHash === txHash);
+}
+
+test('crediting an orphan adds the credit and resolves it', async () => {
+  const orphan = createOrphan(`0x${'1'.repeat(64)}`);
+
+  const result = await resolveOrphan(orphan.id, { action: 'credit' });
+  assert.strictEqual(result.orphan.resolution, 'credit');
+  assert.strictEqual(db.getCreditBalance(sender), 5);
+});
+
+test('an orphan whose transfer was already credited is not credited again', async () => {
+  const txHash = `0x${'2'.repeat(64)}`;
+  const orphan = createOrphan(txHash);
+  db.addCreditEntry({ wallet: sender, amountUSDC: 5, reason: 'orphan_payment', txHash });
+
+  const result = await resolveOrphan(orphan.id, { action: 'credit' });
+  assert.strictEqual(result.status, 409);
+  assert.strictEqual(db.getOrphanPayment(orphan.id).status, 'open');
+  assert.strictEqual(db.getCreditBalance(sender), 10);
+});
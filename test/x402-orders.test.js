@@ -0,0 +1,105 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, removeDatabase, createTestQuote } = require('./helpers');
+
+const db = setupDatabase();
+
+// Settlement is played by each test: it gets the hook the order is recorded in
+const settle = { run: null };
+require('../src/x402').settleX402Payment = async (paymentSignature, requirements, options) => settle.run(options);
+const fulfilled = [];
+require('../src/jobs').enqueueFulfillment = orderId => fulfilled.push(orderId);
+
+const { placeX402Order } = require('../src/checkout');
+
+const wallet = '0x00000000000000000000000000000000000000dd';
+const TX = `0x${'cd'.repeat(32)}`;
+
+after(removeDatabase);
+
+function settled(overrides = {}) {
+  return {
+    verified: true, from: wallet, amount: 10, amountUSD: 10, network: 'base', token: 'USDC',
+    transactionHash: TX, blockNumber: 100, blockHash: `0x${'01'.repeat(32)}`, confirmations: 1, final: false,
+    timestamp: 1700000000, settlement: { success: true },
+    ...overrides
+  };
+}
+
+function place(quote, credit) {
+  return placeX402Order({ quote, wallet, agentId: '1', credit, paymentSignature: 'sig', paymentRequirements: {} });
+}
+
+test('the order exists as payment_pending before the authorization settles', async () => {
+  const quote = createTestQuote(db);
+  let seenBeforeSettling = null;
+  settle.run = async ({ beforeSettle }) => {
+    await beforeSettle({ from: wallet });
+    seenBeforeSettling = db.getQuote(quote.id).orderId && db.getOrder(db.getQuote(quote.id).orderId);
+    return settled();
+  };
+
+  const { placed } = await place(quote);
+  assert.strictEqual(seenBeforeSettling.status, 'payment_pending');
+  assert.strictEqual(seenBeforeSettling.txHash, null);
+
+  // Not deep enough yet: left for the confirmer, now with its tx
+  assert.strictEqual(placed.status, 'payment_pending');
+  const order = db.getOrder(placed.orderId);
+  assert.strictEqual(order.txHash, TX);
+  assert.strictEqual(order.paymentBlockNumber, 100);
+  assert.ok(!fulfilled.includes(placed.orderId));
+});
+
+test('a final settlement moves the order to paid and queues fulfilment', async () => {
+  const quote = createTestQuote(db);
+  settle.run = async ({ beforeSettle }) => {
+    await beforeSettle({ from: wallet });
+    return settled({ transactionHash: `0x${'ce'.repeat(32)}`, confirmations: 3, final: true });
+  };
+
+  const { placed } = await place(quote);
+  assert.strictEqual(placed.status, 'paid');
+  assert.strictEqual(db.getOrder(placed.orderId).status, 'paid');
+  assert.ok(fulfilled.includes(placed.orderId));
+});
+
+test('a settlement that moved no money fails the order, returns credit and reopens the quote', async () => {
+  const quote = createTestQuote(db);
+  db.addCreditEntry({ wallet, amountUSDC: 3, reason: 'overpayment' });
+  settle.run = async ({ beforeSettle }) => {
+    await beforeSettle({ from: wallet });
+    return { verified: false, unsettled: true, error: 'Facilitator settlement failed: insufficient_funds', settlement: { success: false } };
+  };
+
+  const { paymentInfo, placed } = await place(quote, { applied: 3, amountDue: 7 });
+  assert.strictEqual(placed, null);
+  const order = db.getOrder(paymentInfo.orderId);
+  assert.strictEqual(order.status, 'failed');
+  assert.strictEqual(order.failureReason, 'payment_failed');
+  assert.strictEqual(db.getCreditBalance(wallet), 3);
+  assert.strictEqual(db.getQuote(quote.id).status, 'open');
+});
+
+test('a settlement with an unknown outcome keeps the quote used', async () => {
+  const quote = createTestQuote(db);
+  settle.run = async ({ beforeSettle }) => {
+    await beforeSettle({ from: wallet });
+    return { verified: false, unsettled: false, error: 'timeout of 60000ms exceeded', settlement: { success: false } };
+  };
+
+  const { paymentInfo } = await place(quote);
+  assert.match(paymentInfo.error, /contact the store/);
+  assert.strictEqual(db.getOrder(paymentInfo.orderId).failureReason, 'payment_failed');
+  assert.strictEqual(db.getQuote(quote.id).status, 'used');
+});
+
+test('an authorization rejected before settling records no order', async () => {
+  const quote = createTestQuote(db);
+  settle.run = async () => ({ verified: false, invalid: true, error: 'Bad signature' });
+
+  const { paymentInfo, placed } = await place(quote);
+  assert.strictEqual(placed, null);
+  assert.strictEqual(paymentInfo.orderId, undefined);
+  assert.strictEqual(db.getQuote(quote.id).status, 'open');
+});